@@ -0,0 +1,331 @@
+/**
+ * Express application
+ * createApp() builds a new app from the config, logger and clients it is given:
+ * its own metrics registry, circuit breakers, services (container.js), rate
+ * limiter, idempotency store and event hub. Nothing is kept at module level, so
+ * each call is independent of the others. server.js creates the clients and
+ * calls it at startup; the tests call it with in-process stand-ins.
+ */
+
+const { tracer } = require('./tracing');
+const { trace, context } = require('@opentelemetry/api');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const swaggerUi = require('swagger-ui-express');
+const swaggerJsdoc = require('swagger-jsdoc');
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const path = require('path');
+const { createContainer } = require('./container');
+const { createMetrics, createInventoryStats, watchState } = require('./metrics');
+const { createBreakers, wrapPool } = require('./clients');
+const { createEventHub } = require('./events');
+const { createRateLimiter } = require('./rateLimit');
+const { createIdempotencyHandler } = require('./idempotency');
+const { createAuth } = require('./auth');
+const { requestPath, createValidation } = require('./middleware');
+const { mountResourceRouters } = require('./routes');
+const { createRouter: createSystemRouter } = require('./routes/system');
+const { createGraphQLRouter } = require('./graphql');
+const { schemas } = require('./validation');
+
+// Every error response carries a machine-readable code and the correlation ID
+// next to the human-readable error message
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    412: 'PRECONDITION_FAILED',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    422: 'UNPROCESSABLE_ENTITY',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+// ===================
+// Swagger/OpenAPI Configuration (BONUS)
+// ===================
+const swaggerSpec = swaggerJsdoc({
+    definition: {
+        openapi: '3.0.0',
+        info: {
+            title: 'Bookstore API',
+            version: '1.0.0',
+            description: 'A comprehensive bookstore management API with Redis caching',
+            contact: {
+                name: 'API Support',
+                email: 'support@bookstore.com'
+            }
+        },
+        servers: [
+            {
+                url: 'http://localhost:3000',
+                description: 'Development server'
+            }
+        ],
+        tags: [
+            { name: 'Health', description: 'Health check endpoints' },
+            { name: 'Auth', description: 'Login and current user' },
+            { name: 'Users', description: 'User account management (admin only)' },
+            { name: 'Books', description: 'Book management operations' },
+            { name: 'Catalogue', description: 'Authors, categories and tags linked to books' },
+            { name: 'Orders', description: 'Orders and checkout' },
+            { name: 'Webhooks', description: 'Outbound webhook subscriptions and their delivery log (admin only)' },
+            { name: 'GraphQL', description: 'GraphQL endpoint for books and their catalogue' },
+            { name: 'Metrics', description: 'Prometheus metrics' },
+            { name: 'Admin', description: 'Operator views of the running service (admin only)' }
+        ],
+        components: {
+            schemas: {
+                ...schemas,
+                Error: {
+                    type: 'object',
+                    properties: {
+                        error: { type: 'string', example: 'Request validation failed' },
+                        code: { type: 'string', example: 'VALIDATION_FAILED' },
+                        details: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    location: { type: 'string', enum: ['params', 'query', 'body', 'row'] },
+                                    field: { type: 'string', example: 'isbn' },
+                                    rule: { type: 'string', example: 'format' },
+                                    message: { type: 'string', example: 'must be a valid ISBN-10 or ISBN-13 with a correct check digit' }
+                                }
+                            }
+                        },
+                        correlationId: { type: 'string' }
+                    }
+                }
+            },
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT'
+                }
+            }
+        }
+    },
+    apis: [path.join(__dirname, 'routes', '*.js'), path.join(__dirname, 'graphql', '*.js')]
+});
+
+/**
+ * Build the app without listening.
+ * @param {object} deps
+ * @param {object} deps.config      loaded config (see config.js)
+ * @param {object} deps.logger      winston logger (see logger.js)
+ * @param {object} deps.db          mysql2 promise pool (or anything offering its query() and
+ *                                  getConnection()); wrapped in place with the MySQL breaker and retries
+ * @param {object} [deps.redis]     node-redis client, connected or reconnecting in the background,
+ *                                  or null to run as if Redis were down
+ * @param {object} [deps.subscriber] a second node-redis client for cross-replica events, or null
+ *                                  to deliver events to this app's clients only
+ * @returns {express.Application} with app.locals { services, events, breakers, metrics, draining };
+ *                                  set draining to true when a shutdown begins
+ */
+function createApp({ config, logger, db, redis = null, subscriber = null }) {
+    if (!config.auth.jwtSecret) {
+        // Only outside production (config.js requires JWT_SECRET there). Tokens signed
+        // with a per-process secret are not valid on other replicas or after a restart
+        config = { ...config, auth: { ...config.auth, jwtSecret: crypto.randomBytes(32).toString('hex') } };
+        logger.warn('JWT_SECRET not set; using a random secret for this process only', { correlationId: 'init' });
+    }
+
+    const metrics = createMetrics();
+    const breakers = createBreakers({ config, logger, metrics });
+    const pool = wrapPool(db, { config, logger, metrics, breaker: breakers.mysql });
+    const events = createEventHub({ redis, subscriber, breaker: breakers.redis, logger });
+    const services = createContainer({ config, db: pool, redis, logger, metrics, events, breakers });
+    const inventory = createInventoryStats(services.bookRepository, config.inventoryMetricsTtl);
+    watchState(metrics, { db: pool, connectionLimit: config.db.connectionLimit, redis, breakers, events, inventory, logger });
+
+    const rateLimiter = createRateLimiter({ config: config.rateLimit, redis, breaker: breakers.redis, metrics, logger });
+    const handleIdempotencyKey = createIdempotencyHandler({
+        config: config.idempotency,
+        redis,
+        breaker: breakers.redis,
+        repository: services.idempotencyRepository,
+        metrics,
+        logger
+    });
+    const { authenticate, requireRole } = createAuth({ jwtSecret: config.auth.jwtSecret, rateLimiter, handleIdempotencyKey, logger });
+    const { validateRequest, sendValidationError } = createValidation(logger);
+
+    // Back on Redis: close its circuit and clear what writes made without it could not invalidate
+    redis?.on('ready', () => {
+        breakers.redis.reset();
+        if (!services.cacheService.missedInvalidations) return;
+        services.cacheService.missedInvalidations = false;
+        services.bookService.invalidateAllCache()
+            .then(() => {
+                logger.info('Cleared the book cache after writes made while Redis was unavailable', { correlationId: 'redis' });
+            })
+            .catch((error) => {
+                logger.warn('Cache resync after reconnecting to Redis failed', { correlationId: 'redis', error: error.message });
+            });
+    });
+
+    const app = express();
+    app.set('trust proxy', /^\d+$/.test(config.trustProxy) ? parseInt(config.trustProxy) : config.trustProxy);
+    app.locals.services = services;
+    app.locals.events = events;
+    app.locals.breakers = breakers;
+    app.locals.metrics = metrics;
+    app.locals.draining = false;
+
+    // ===================
+    // Middleware
+    // ===================
+
+    // Correlation ID middleware
+    app.use((req, res, next) => {
+        req.correlationId = req.headers['x-correlation-id'] || uuidv4();
+        res.setHeader('X-Correlation-ID', req.correlationId);
+        // Lets a trace be found from the correlation ID in a log line or error response
+        trace.getActiveSpan()?.setAttribute('correlation_id', req.correlationId);
+        next();
+    });
+
+    // Error envelope middleware
+    app.use((req, res, next) => {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            // Handlers answer 500 when MySQL fails; while its circuit is open that means
+            // "try again shortly" rather than a bug
+            if (res.statusCode === 500 && breakers.mysql.state === 'open') {
+                res.status(503).setHeader('Retry-After', Math.max(1, Math.ceil(breakers.mysql.retryAfterMs / 1000)));
+            }
+            if (res.statusCode >= 400 && body && typeof body.error === 'string') {
+                body = {
+                    error: body.error,
+                    code: body.code || ERROR_CODES[res.statusCode] || 'ERROR',
+                    details: body.details || [],
+                    ...body,
+                    correlationId: req.correlationId
+                };
+            }
+            // Its own span, so time spent serializing large pages shows up in traces
+            const span = tracer.startSpan('res.json');
+            try {
+                return json(body);
+            } finally {
+                span.end();
+            }
+        };
+        next();
+    });
+
+    // While draining, keep-alive clients are told to reconnect (to another replica) after this response
+    app.use((req, res, next) => {
+        if (app.locals.draining) res.setHeader('Connection', 'close');
+        next();
+    });
+
+    // Request logging middleware
+    app.use((req, res, next) => {
+        const start = Date.now();
+
+        // Bound to the request's context so the log line carries its trace and span IDs
+        res.on('finish', context.bind(context.active(), () => {
+            const duration = (Date.now() - start) / 1000;
+
+            logger.info('HTTP Request', {
+                correlationId: req.correlationId,
+                method: req.method,
+                path: requestPath(req),
+                statusCode: res.statusCode,
+                duration: `${duration}s`,
+                userAgent: req.headers['user-agent']
+            });
+
+            // Label by route template (/api/books/:id), not the raw path, to keep one series per route;
+            // a mounted router's root route is labelled with its base path alone (/api/books)
+            const route = req.route ? (req.baseUrl + req.route.path).replace(/(.)\/$/, '$1') : 'unmatched';
+            metrics.httpRequestDuration.labels(req.method, route, res.statusCode).observe(duration);
+            metrics.httpRequestTotal.labels(req.method, route, res.statusCode).inc();
+        }));
+
+        next();
+    });
+
+    app.use(helmet());
+    // Same-origin through the nginx proxy by default, explicit allow-list (CORS_ORIGINS) otherwise
+    app.use(cors({
+        origin: config.corsOrigins.length > 0 ? config.corsOrigins : false,
+        exposedHeaders: ['ETag', 'X-Correlation-ID', 'Idempotent-Replayed', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+    }));
+    app.use(rateLimiter.limitByClient);
+    // The catalogue import route streams its own request body; book and order
+    // payloads are small, so anything bigger than JSON_BODY_LIMIT is rejected with 413
+    const jsonParser = express.json({ limit: config.jsonBodyLimit });
+    app.use((req, res, next) => (req.path === '/api/books/import' ? next() : jsonParser(req, res, next)));
+
+    // ===================
+    // Routes
+    // ===================
+
+    app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+    app.use('/api', createSystemRouter({
+        config,
+        db: pool,
+        redis,
+        breakers,
+        register: metrics.register,
+        events,
+        isDraining: () => app.locals.draining,
+        requireRole,
+        logger
+    }));
+
+    // Every REST resource is a plugin router listed in routes/index.js
+    app.use(mountResourceRouters({ services, authenticate, requireRole, validateRequest, sendValidationError }));
+
+    app.use('/api/graphql', createGraphQLRouter({
+        config: config.graphql,
+        services,
+        inventory,
+        rateLimiter,
+        requireRole,
+        metrics,
+        logger
+    }));
+
+    // ===================
+    // Error Handling
+    // ===================
+
+    app.use((req, res) => {
+        res.status(404).json({ error: 'Endpoint not found', code: 'ENDPOINT_NOT_FOUND' });
+    });
+
+    app.use((err, req, res, next) => {
+        // Malformed or oversized JSON bodies from express.json()
+        if (err.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+        }
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json({ error: 'Request body is too large' });
+        }
+
+        logger.error('Unhandled error', {
+            correlationId: req.correlationId,
+            error: err.message,
+            stack: err.stack
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    });
+
+    return app;
+}
+
+module.exports = {
+    createApp
+};
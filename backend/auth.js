@@ -0,0 +1,62 @@
+/**
+ * Authentication & authorization
+ * Bearer tokens signed by POST /api/auth/login (UserService), and the role
+ * hierarchy viewer < clerk < admin.
+ */
+
+const jwt = require('jsonwebtoken');
+const { ROLES } = require('./validation');
+
+/**
+ * @param {object} deps
+ * @param {string} deps.jwtSecret    secret the tokens are signed with
+ * @param {object} deps.rateLimiter  from createRateLimiter() (rateLimit.js), for limitByUser
+ * @param {function} deps.handleIdempotencyKey middleware from createIdempotencyHandler() (idempotency.js)
+ * @param {object} deps.logger       winston logger
+ */
+function createAuth({ jwtSecret, rateLimiter, handleIdempotencyKey, logger }) {
+    // Resolve the bearer token into req.user; rejects missing or invalid tokens
+    function authenticate(req, res, next) {
+        const header = req.headers.authorization || '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        try {
+            const payload = jwt.verify(token, jwtSecret);
+            req.user = { id: parseInt(payload.sub), username: payload.username, role: payload.role };
+            next();
+        } catch (error) {
+            logger.warn('Invalid authentication token', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(401).json({ error: 'Invalid or expired token' });
+        }
+    }
+
+    // Require at least the given role. Also applies the per-user rate limits and Idempotency-Key handling
+    function requireRole(role) {
+        const minimum = ROLES.indexOf(role);
+        return [authenticate, rateLimiter.limitByUser, (req, res, next) => {
+            if (ROLES.indexOf(req.user.role) < minimum) {
+                logger.warn('Forbidden request', {
+                    correlationId: req.correlationId,
+                    userId: req.user.id,
+                    role: req.user.role,
+                    requiredRole: role
+                });
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            next();
+        }, handleIdempotencyKey];
+    }
+
+    return { authenticate, requireRole };
+}
+
+module.exports = {
+    createAuth
+};
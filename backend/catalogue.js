@@ -0,0 +1,147 @@
+/**
+ * Catalogue import/export formats
+ * Parsing of uploaded CSV/JSON files into records, and the streaming CSV, JSON
+ * and ONIX-lite writers used by GET /api/books/export.
+ */
+
+const { Transform } = require('stream');
+const { parse: parseCsv } = require('csv-parse');
+const { stringify: stringifyCsv } = require('csv-stringify');
+const StreamArray = require('stream-json/streamers/StreamArray');
+const { cleanISBN, toISBN13, toISBN10 } = require('./isbn');
+
+const EXPORT_COLUMNS = ['id', 'title', 'author', 'isbn', 'isbn_display', 'price', 'stock', 'reorder_threshold', 'reorder_quantity', 'created_at', 'updated_at'];
+
+// Turn the request body into an async iterable of records, or null for unsupported content types
+function createImportRecordStream(req) {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+    if (type === 'text/csv') {
+        return req.pipe(parseCsv({
+            columns: header => header.map(column => column.trim().toLowerCase()),
+            skip_empty_lines: true,
+            trim: true,
+            bom: true
+        }));
+    }
+
+    if (type === 'application/json') {
+        const records = req.pipe(StreamArray.withParser());
+        return (async function* () {
+            for await (const { value } of records) {
+                yield value;
+            }
+        })();
+    }
+
+    return null;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Minimal ONIX 3.0 product record: identifier, title, contributor, stock and price
+function toOnixProduct(book) {
+    // 15 = ISBN-13, 02 = ISBN-10 (only 978-prefixed ISBNs have one)
+    const isbn10 = toISBN10(book.isbn);
+    const identifiers = [['15', toISBN13(book.isbn) || cleanISBN(book.isbn)], ...(isbn10 ? [['02', isbn10]] : [])];
+    return `  <Product>
+    <RecordReference>bookstore-${book.id}</RecordReference>
+    <NotificationType>03</NotificationType>
+${identifiers.map(([type, value]) => `    <ProductIdentifier>
+      <ProductIDType>${type}</ProductIDType>
+      <IDValue>${escapeXml(value)}</IDValue>
+    </ProductIdentifier>
+`).join('')}    <DescriptiveDetail>
+      <TitleDetail>
+        <TitleType>01</TitleType>
+        <TitleElement>
+          <TitleElementLevel>01</TitleElementLevel>
+          <TitleText>${escapeXml(book.title)}</TitleText>
+        </TitleElement>
+      </TitleDetail>
+      <Contributor>
+        <SequenceNumber>1</SequenceNumber>
+        <ContributorRole>A01</ContributorRole>
+        <PersonName>${escapeXml(book.author)}</PersonName>
+      </Contributor>
+    </DescriptiveDetail>
+    <ProductSupply>
+      <SupplyDetail>
+        <ProductAvailability>${book.stock > 0 ? '21' : '31'}</ProductAvailability>
+        <Stock>
+          <OnHand>${book.stock}</OnHand>
+        </Stock>
+        <Price>
+          <PriceType>01</PriceType>
+          <PriceAmount>${book.price}</PriceAmount>
+          <CurrencyCode>USD</CurrencyCode>
+        </Price>
+      </SupplyDetail>
+    </ProductSupply>
+  </Product>
+`;
+}
+
+// Wrap row objects in a streaming document: opening text, one chunk per row, closing text
+function createDocumentStream(open, close, formatRow) {
+    let first = true;
+    return new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, callback) {
+            const prefix = first ? open : '';
+            first = false;
+            callback(null, prefix + formatRow(row, prefix === ''));
+        },
+        flush(callback) {
+            callback(null, (first ? open : '') + close);
+        }
+    });
+}
+
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        createStream: () => stringifyCsv({
+            header: true,
+            columns: EXPORT_COLUMNS,
+            cast: { date: value => value.toISOString() }
+        })
+    },
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        createStream: () => createDocumentStream('[\n', '\n]\n', (row, separated) =>
+            (separated ? ',\n' : '') + JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(column => [column, row[column]]))))
+    },
+    onix: {
+        contentType: 'application/xml; charset=utf-8',
+        extension: 'xml',
+        createStream: () => createDocumentStream(
+            `<?xml version="1.0" encoding="UTF-8"?>
+<ONIXMessage release="3.0" xmlns="http://ns.editeur.org/onix/3.0/reference">
+  <Header>
+    <Sender>
+      <SenderName>Bookstore</SenderName>
+    </Sender>
+    <SentDateTime>${new Date().toISOString().replace(/[-:]/g, '').slice(0, 13)}</SentDateTime>
+  </Header>
+`,
+            '</ONIXMessage>\n',
+            toOnixProduct
+        )
+    }
+};
+
+module.exports = {
+    EXPORT_COLUMNS,
+    EXPORT_FORMATS,
+    createImportRecordStream,
+    toOnixProduct
+};
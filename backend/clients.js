@@ -0,0 +1,169 @@
+/**
+ * MySQL and Redis clients
+ * Connecting at startup, the circuit breakers every call goes through, and
+ * closing at shutdown. Nothing here keeps a client: each function takes or
+ * returns the ones it works on.
+ *
+ * MySQL calls made through the pool run through a circuit breaker and are
+ * retried with exponential backoff on transient errors (guardPool in db.js).
+ * Redis commands run through a breaker of their own with a timeout. Both
+ * breakers show in /api/ready and the circuit_breaker_state metric.
+ *
+ * The Redis client reconnects with backoff by itself (REDIS_RECONNECT_*), so
+ * Redis being down at startup or restarting later only pauses caching,
+ * rate-limit counting in Redis and cross-replica events until it is back.
+ */
+
+const mysql = require('mysql2/promise');
+const redis = require('redis');
+const { instrumentPool, guardPool, isDbUnavailableError } = require('./db');
+const { retry, backoffDelay, CircuitBreaker } = require('./resilience');
+
+/**
+ * @param {object} deps
+ * @param {object} deps.config   loaded config (see config.js)
+ * @param {object} deps.logger   winston logger
+ * @param {object} deps.metrics  from createMetrics() (metrics.js)
+ * @returns {{ mysql: CircuitBreaker, redis: CircuitBreaker }}
+ */
+function createBreakers({ config, logger, metrics }) {
+    const { resilience } = config;
+    const createBreaker = (dependency, options) => new CircuitBreaker({
+        name: dependency,
+        ...resilience.circuit,
+        ...options,
+        onStateChange: (state, previous) => {
+            metrics.circuitBreakerTransitions.labels(dependency, state).inc();
+            logger[state === 'open' ? 'error' : 'info']('Circuit breaker state changed', {
+                correlationId: 'circuit',
+                dependency,
+                state,
+                previous
+            });
+        }
+    });
+
+    return {
+        mysql: createBreaker('mysql', { isFailure: isDbUnavailableError }),
+        // An error reply (WRONGTYPE and the like) means Redis is up and answering
+        redis: createBreaker('redis', {
+            timeoutMs: resilience.redisCommandTimeoutMs,
+            isFailure: error => !(error instanceof redis.ErrorReply)
+        })
+    };
+}
+
+/**
+ * Time every query, then guard the pool with the MySQL breaker and retries.
+ * Both wrap the pool in place, so the pool returned is the one passed in.
+ */
+function wrapPool(pool, { config, logger, metrics, breaker }) {
+    return guardPool(instrumentPool(pool, metrics.dbQueryDuration), {
+        breaker,
+        retry: config.resilience.dbRetry,
+        onRetry: (error, operation) => {
+            metrics.mysqlRetries.labels(operation).inc();
+            logger.warn('Retrying MySQL call after a transient error', { operation, code: error.code, error: error.message });
+        }
+    });
+}
+
+// Whether a Redis command can be sent now: connected, and its circuit not open
+function redisAvailable(client, breaker) {
+    return Boolean(client?.isReady) && !breaker.rejecting;
+}
+
+/**
+ * Connect at startup, retrying with backoff (DB_CONNECT_ATTEMPTS).
+ * @returns {Promise<object|null>} the mysql2 promise pool, or null if MySQL never answered
+ */
+async function connectDatabase({ config, logger }) {
+    const { dbConnect } = config.resilience;
+    const pool = mysql.createPool(config.db);
+    try {
+        await retry(async () => {
+            const connection = await pool.getConnection();
+            connection.release();
+        }, {
+            ...dbConnect,
+            onRetry: (error, attempt, delayMs) => {
+                logger.warn('Database connection failed; retrying', {
+                    correlationId: 'init',
+                    attemptsLeft: dbConnect.attempts - attempt,
+                    retryInMs: delayMs,
+                    error: error.message
+                });
+            }
+        });
+    } catch (error) {
+        logger.error('Database connection failed', {
+            correlationId: 'init',
+            error: error.message
+        });
+        await pool.end().catch(() => {});
+        return null;
+    }
+
+    logger.info('Database connected successfully', { correlationId: 'init' });
+    return pool;
+}
+
+// One warning per outage rather than one per reconnect attempt
+function watchRedisConnection(client, label, logger) {
+    let down = false;
+    client.on('error', (err) => {
+        if (down) return;
+        down = true;
+        logger.warn(`${label} unavailable; reconnecting in the background`, { correlationId: 'redis', error: err.message });
+    });
+    client.on('ready', () => {
+        if (down) {
+            logger.info(`${label} reconnected`, { correlationId: 'redis' });
+        }
+        down = false;
+    });
+}
+
+/**
+ * Start connecting to Redis; waits at most REDIS_COMMAND_TIMEOUT_MS so startup
+ * never blocks on it. The client returned may still be connecting.
+ */
+async function connectRedis({ config, logger }) {
+    const { redisReconnect: { baseDelayMs, maxDelayMs }, redisCommandTimeoutMs } = config.resilience;
+    const client = redis.createClient({
+        ...config.redis,
+        socket: {
+            ...config.redis.socket,
+            reconnectStrategy: retries => backoffDelay(retries + 1, { baseDelayMs, maxDelayMs })
+        }
+    });
+    watchRedisConnection(client, 'Redis', logger);
+
+    const connecting = client.connect().catch((error) => {
+        logger.error('Redis client stopped reconnecting', { correlationId: 'redis', error: error.message });
+    });
+    await Promise.race([connecting, new Promise(resolve => setTimeout(resolve, redisCommandTimeoutMs))]);
+    logger.info(client.isReady ? 'Redis connected successfully' : 'Redis not reachable yet (caching disabled until it is)', {
+        correlationId: 'init'
+    });
+    return client;
+}
+
+// QUIT when connected; a client still reconnecting would only queue it, so just stop it
+async function closeRedis(client) {
+    if (client?.isReady) {
+        await client.quit();
+    } else if (client?.isOpen) {
+        await client.disconnect();
+    }
+}
+
+module.exports = {
+    createBreakers,
+    wrapPool,
+    redisAvailable,
+    connectDatabase,
+    watchRedisConnection,
+    connectRedis,
+    closeRedis
+};
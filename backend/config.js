@@ -0,0 +1,395 @@
+/**
+ * Configuration
+ * Everything the backend reads from the environment, loaded in one place.
+ * server.js loads it once and hands each module the section it needs, so no
+ * other module reads process.env (tracing.js excepted: it must load first,
+ * and the OpenTelemetry SDK reads its own OTEL_* variables).
+ *
+ * Every variable is declared in SETTINGS with its type, range and default.
+ * loadConfig() checks all of them and throws one ConfigError listing every
+ * problem, so a bad deployment fails at startup instead of on first use.
+ *
+ * Settings marked file: true may instead be read from the file named by
+ * <NAME>_FILE (e.g. DB_PASSWORD_FILE=/var/run/secrets/bookstore/database-password),
+ * which is how OpenShift mounts the keys of secret.yaml as a volume. Settings
+ * marked requiredInProduction ignore their default when NODE_ENV=production.
+ */
+
+const fs = require('fs');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+const LOW_STOCK_SINKS = ['log', 'webhook', 'redis'];
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Setting type -> parse(raw, setting), throwing with the reason a value is rejected
+const TYPES = {
+    string: (raw, { pattern, values }) => {
+        if (values && !values.includes(raw)) throw new Error(`must be one of ${values.join(', ')}`);
+        if (pattern && !pattern.test(raw)) throw new Error(`must match ${pattern}`);
+        return raw;
+    },
+    integer: (raw, { min, max }) => {
+        if (!/^-?\d+$/.test(raw.trim())) throw new Error('must be an integer');
+        const value = parseInt(raw, 10);
+        if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+            throw new Error(max === undefined ? `must be at least ${min}` : `must be between ${min} and ${max}`);
+        }
+        return value;
+    },
+    boolean: (raw) => {
+        const value = raw.trim().toLowerCase();
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        throw new Error('must be true or false');
+    },
+    list: (raw) => raw
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean),
+    url: (raw) => {
+        let url;
+        try {
+            url = new URL(raw);
+        } catch {
+            throw new Error('must be an absolute URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('must be an http(s) URL');
+        return raw;
+    }
+};
+
+const seconds = value => value * 1000;
+
+// Variable name -> { type, default, min, max, pattern, values, file, secret, requiredInProduction, transform }
+const SETTINGS = {
+    NODE_ENV: { type: 'string', default: 'development' },
+    PORT: { type: 'integer', default: 3000, min: 1, max: 65535 },
+    // A hop count, or an Express trust proxy list such as loopback, 10.0.0.0/8
+    TRUST_PROXY: { type: 'string', default: '2' },
+    LOG_LEVEL: { type: 'string', default: 'info', values: LOG_LEVELS },
+    CORS_ORIGINS: { type: 'list', default: [] },
+    JSON_BODY_LIMIT: { type: 'string', default: '32kb', pattern: /^\d+(b|kb|mb)$/i },
+    SHUTDOWN_DELAY_SECONDS: { type: 'integer', default: 5, min: 0, transform: seconds },
+    SHUTDOWN_TIMEOUT_SECONDS: { type: 'integer', default: 20, min: 1, transform: seconds },
+
+    DB_HOST: { type: 'string', default: 'mysql' },
+    DB_PORT: { type: 'integer', default: 3306, min: 1, max: 65535 },
+    DB_USER: { type: 'string', default: 'bookstore', file: true },
+    DB_PASSWORD: { type: 'string', default: 'bookstore123', file: true, secret: true, requiredInProduction: true },
+    DB_NAME: { type: 'string', default: 'bookstore' },
+    DB_CONNECT_ATTEMPTS: { type: 'integer', default: 10, min: 1 },
+    DB_CONNECT_RETRY_BASE_MS: { type: 'integer', default: 1000, min: 1 },
+    DB_CONNECT_RETRY_MAX_MS: { type: 'integer', default: 30000, min: 1 },
+    DB_RETRY_ATTEMPTS: { type: 'integer', default: 3, min: 1 },
+    DB_RETRY_BASE_MS: { type: 'integer', default: 100, min: 1 },
+    DB_RETRY_MAX_MS: { type: 'integer', default: 2000, min: 1 },
+
+    MIGRATE_ON_START: { type: 'boolean', default: true },
+    MIGRATION_LOCK_TIMEOUT: { type: 'integer', default: 60, min: 1 },
+
+    REDIS_HOST: { type: 'string', default: 'redis' },
+    REDIS_PORT: { type: 'integer', default: 6379, min: 1, max: 65535 },
+    CACHE_TTL: { type: 'integer', default: 300, min: 1 },
+    CACHE_STALE_TTL: { type: 'integer', default: 60, min: 0 },
+    CACHE_SERVE_STALE_ON_DB_ERROR: { type: 'boolean', default: false },
+    CACHE_STALE_IF_ERROR_TTL: { type: 'integer', default: 3600, min: 0 },
+    REDIS_COMMAND_TIMEOUT_MS: { type: 'integer', default: 1000, min: 1 },
+    REDIS_RECONNECT_BASE_MS: { type: 'integer', default: 100, min: 1 },
+    REDIS_RECONNECT_MAX_MS: { type: 'integer', default: 10000, min: 1 },
+
+    CIRCUIT_FAILURE_THRESHOLD: { type: 'integer', default: 5, min: 1 },
+    CIRCUIT_RESET_SECONDS: { type: 'integer', default: 30, min: 1, transform: seconds },
+
+    // Outside production a missing secret means a random one per process (see createApp() in app.js)
+    JWT_SECRET: { type: 'string', file: true, secret: true, requiredInProduction: true },
+    JWT_EXPIRES_IN: { type: 'string', default: '8h', pattern: /^\d+(s|m|h|d)?$/ },
+    ADMIN_USERNAME: { type: 'string', file: true },
+    ADMIN_PASSWORD: { type: 'string', file: true, secret: true },
+
+    IMPORT_MAX_ROWS: { type: 'integer', default: 10000, min: 1 },
+    INVENTORY_METRICS_TTL: { type: 'integer', default: 30, min: 0 },
+
+    LOW_STOCK_ALERT_SINK: { type: 'string', default: 'log', values: LOW_STOCK_SINKS },
+    LOW_STOCK_CHECK_INTERVAL: { type: 'integer', default: 60, min: 1, transform: seconds },
+    LOW_STOCK_WEBHOOK_URL: { type: 'url', file: true, secret: true },
+    LOW_STOCK_WEBHOOK_TIMEOUT_MS: { type: 'integer', default: 5000, min: 1 },
+    LOW_STOCK_STREAM: { type: 'string', default: 'bookstore:low-stock-alerts' },
+    LOW_STOCK_STREAM_MAXLEN: { type: 'integer', default: 10000, min: 1 },
+
+    TRASH_RETENTION_DAYS: { type: 'integer', default: 30, min: 0 },
+    TRASH_PURGE_INTERVAL: { type: 'integer', default: 3600, min: 1, transform: seconds },
+
+    WEBHOOK_POLL_INTERVAL: { type: 'integer', default: 5, min: 1, transform: seconds },
+    WEBHOOK_TIMEOUT_MS: { type: 'integer', default: 10000, min: 1 },
+    WEBHOOK_MAX_ATTEMPTS: { type: 'integer', default: 8, min: 1 },
+    WEBHOOK_RETRY_BASE_SECONDS: { type: 'integer', default: 30, min: 1 },
+    WEBHOOK_RETRY_MAX_SECONDS: { type: 'integer', default: 3600, min: 1 },
+
+    RATE_LIMIT_ENABLED: { type: 'boolean', default: true },
+    RATE_LIMIT_WINDOW: { type: 'integer', default: 60, min: 1 },
+    RATE_LIMIT_CLIENT_MAX: { type: 'integer', default: 1200, min: 1 },
+    RATE_LIMIT_LOGIN_MAX: { type: 'integer', default: 10, min: 1 },
+    RATE_LIMIT_USER_MAX: { type: 'integer', default: 300, min: 1 },
+    RATE_LIMIT_BOOK_WRITE_MAX: { type: 'integer', default: 60, min: 1 },
+
+    IDEMPOTENCY_TTL: { type: 'integer', default: 86400, min: 1 },
+    IDEMPOTENCY_LOCK_TTL: { type: 'integer', default: 60, min: 1 },
+
+    GRAPHQL_MAX_DEPTH: { type: 'integer', default: 8, min: 1 },
+    GRAPHQL_MAX_COMPLEXITY: { type: 'integer', default: 5000, min: 1 }
+};
+
+// Rules spanning several settings: values -> problem, or nothing when they hold
+const CHECKS = [
+    values => values.LOW_STOCK_ALERT_SINK === 'webhook' && values.LOW_STOCK_WEBHOOK_URL === undefined
+        && 'LOW_STOCK_WEBHOOK_URL is required when LOW_STOCK_ALERT_SINK=webhook',
+    values => (values.ADMIN_USERNAME === undefined) !== (values.ADMIN_PASSWORD === undefined)
+        && 'ADMIN_USERNAME and ADMIN_PASSWORD must be set together',
+    ...[
+        ['WEBHOOK_RETRY_BASE_SECONDS', 'WEBHOOK_RETRY_MAX_SECONDS'],
+        ['DB_CONNECT_RETRY_BASE_MS', 'DB_CONNECT_RETRY_MAX_MS'],
+        ['DB_RETRY_BASE_MS', 'DB_RETRY_MAX_MS'],
+        ['REDIS_RECONNECT_BASE_MS', 'REDIS_RECONNECT_MAX_MS']
+    ].map(([base, max]) => values => values[max] < values[base] && `${max} must be at least ${base}`)
+];
+
+// The raw value of a setting and where it came from ('env', 'file' or 'default');
+// an empty variable counts as unset
+function readRaw(name, setting, env, production) {
+    const fileVariable = `${name}_FILE`;
+    if (setting.file && env[fileVariable]) {
+        if (env[name]) throw new Error(`set either ${name} or ${fileVariable}, not both`);
+        let raw;
+        try {
+            raw = fs.readFileSync(env[fileVariable], 'utf8');
+        } catch (error) {
+            throw new Error(`${fileVariable} could not be read (${error.code || error.message})`);
+        }
+        // Secret files usually end with a newline the value does not include
+        return { raw: raw.replace(/\r?\n$/, ''), source: 'file' };
+    }
+    if (env[name]) return { raw: env[name], source: 'env' };
+    if (setting.requiredInProduction && production) {
+        throw new Error(`${name} is required in production${setting.file ? ` (or ${fileVariable})` : ''}`);
+    }
+    return { source: 'default' };
+}
+
+// Parse every setting: { values, settings } by variable name, or a ConfigError listing every problem
+function readSettings(env) {
+    const production = env.NODE_ENV === 'production';
+    const values = {};
+    const sources = {};
+    const problems = [];
+
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        try {
+            const { raw, source } = readRaw(name, setting, env, production);
+            sources[name] = source;
+            if (raw === undefined) {
+                values[name] = setting.default;
+                continue;
+            }
+            try {
+                values[name] = TYPES[setting.type](raw, setting);
+            } catch (error) {
+                // Never echo a secret, even a malformed one
+                problems.push(`${name} ${error.message}${setting.secret ? '' : ` (got "${raw}")`}`);
+            }
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+
+    if (problems.length === 0) {
+        for (const check of CHECKS) {
+            const problem = check(values);
+            if (problem) problems.push(problem);
+        }
+    }
+    if (problems.length > 0) throw new ConfigError(problems);
+
+    // Described in the units operators set them in, before any transform
+    const settings = describeSettings(values, sources);
+    for (const [name, { transform }] of Object.entries(SETTINGS)) {
+        if (transform && values[name] !== undefined) values[name] = transform(values[name]);
+    }
+    return { values, settings };
+}
+
+// Every setting with its source, for GET /api/admin/config; secrets only say whether they are set
+function describeSettings(values, sources) {
+    return Object.fromEntries(Object.entries(SETTINGS).map(([name, setting]) => {
+        const value = values[name] ?? null;
+        return [name, {
+            value: setting.secret && value !== null ? '[redacted]' : value,
+            source: sources[name]
+        }];
+    }));
+}
+
+/**
+ * Load and validate the configuration.
+ * @param {object} [env] variables to read (process.env by default)
+ * @returns {object} config sections; config.settings describes each variable for operators
+ * @throws {ConfigError} listing every invalid or missing setting
+ */
+function loadConfig(env = process.env) {
+    const { values, settings } = readSettings(env);
+
+    return {
+        env: values.NODE_ENV,
+        port: values.PORT,
+        // Requests reach us through the OpenShift router and nginx, each adding to
+        // X-Forwarded-For; trusting both hops makes req.ip the browser's address
+        trustProxy: values.TRUST_PROXY,
+        logLevel: values.LOG_LEVEL,
+        // CORS: same-origin through the nginx proxy by default, explicit allow-list otherwise
+        corsOrigins: values.CORS_ORIGINS,
+        // The catalogue import route streams its own request body; book and order
+        // payloads are small, so anything bigger is rejected with 413
+        jsonBodyLimit: values.JSON_BODY_LIMIT,
+
+        shutdown: {
+            // Time between failing readiness and closing the listener, so the Service
+            // and router stop sending new requests to this pod first
+            delayMs: values.SHUTDOWN_DELAY_SECONDS,
+            // Deadline for in-flight requests; keep delay + timeout under terminationGracePeriodSeconds
+            drainTimeoutMs: values.SHUTDOWN_TIMEOUT_SECONDS
+        },
+
+        db: {
+            host: values.DB_HOST,
+            port: values.DB_PORT,
+            user: values.DB_USER,
+            password: values.DB_PASSWORD,
+            database: values.DB_NAME,
+            waitForConnections: true,
+            connectionLimit: 10,
+            queueLimit: 0
+        },
+
+        migrations: {
+            // Apply pending migrations (backend/migrations) on startup unless MIGRATE_ON_START=false
+            onStart: values.MIGRATE_ON_START,
+            lockTimeoutSeconds: values.MIGRATION_LOCK_TIMEOUT
+        },
+
+        redis: {
+            socket: {
+                host: values.REDIS_HOST,
+                port: values.REDIS_PORT
+            }
+        },
+
+        cache: {
+            ttl: values.CACHE_TTL,
+            // How long an expired entry may still be served while it is refreshed in the background
+            staleTtl: values.CACHE_STALE_TTL,
+            // Opt-in: answer reads with an entry up to staleIfErrorTtl seconds past its
+            // fresh time while MySQL is unreachable, instead of failing them
+            serveStaleOnDbError: values.CACHE_SERVE_STALE_ON_DB_ERROR,
+            staleIfErrorTtl: values.CACHE_STALE_IF_ERROR_TTL
+        },
+
+        resilience: {
+            // Connecting at startup, before giving up and exiting
+            dbConnect: {
+                attempts: values.DB_CONNECT_ATTEMPTS,
+                baseDelayMs: values.DB_CONNECT_RETRY_BASE_MS,
+                maxDelayMs: values.DB_CONNECT_RETRY_MAX_MS
+            },
+            // Statements that failed with a transient error (see guardPool in db.js)
+            dbRetry: {
+                attempts: values.DB_RETRY_ATTEMPTS,
+                baseDelayMs: values.DB_RETRY_BASE_MS,
+                maxDelayMs: values.DB_RETRY_MAX_MS
+            },
+            // Shared by the MySQL and Redis circuit breakers
+            circuit: {
+                failureThreshold: values.CIRCUIT_FAILURE_THRESHOLD,
+                resetTimeoutMs: values.CIRCUIT_RESET_SECONDS
+            },
+            redisCommandTimeoutMs: values.REDIS_COMMAND_TIMEOUT_MS,
+            redisReconnect: {
+                baseDelayMs: values.REDIS_RECONNECT_BASE_MS,
+                maxDelayMs: values.REDIS_RECONNECT_MAX_MS
+            }
+        },
+
+        auth: {
+            jwtSecret: values.JWT_SECRET,
+            jwtExpiresIn: values.JWT_EXPIRES_IN,
+            adminUsername: values.ADMIN_USERNAME,
+            adminPassword: values.ADMIN_PASSWORD
+        },
+
+        importMaxRows: values.IMPORT_MAX_ROWS,
+        inventoryMetricsTtl: values.INVENTORY_METRICS_TTL,
+
+        lowStock: {
+            sink: values.LOW_STOCK_ALERT_SINK,
+            intervalMs: values.LOW_STOCK_CHECK_INTERVAL,
+            webhookUrl: values.LOW_STOCK_WEBHOOK_URL,
+            webhookTimeoutMs: values.LOW_STOCK_WEBHOOK_TIMEOUT_MS,
+            stream: values.LOW_STOCK_STREAM,
+            streamMaxLength: values.LOW_STOCK_STREAM_MAXLEN
+        },
+
+        trash: {
+            // 0 keeps trashed books until an admin purges them
+            retentionDays: values.TRASH_RETENTION_DAYS,
+            intervalMs: values.TRASH_PURGE_INTERVAL,
+            batchSize: 100
+        },
+
+        webhooks: {
+            pollIntervalMs: values.WEBHOOK_POLL_INTERVAL,
+            timeoutMs: values.WEBHOOK_TIMEOUT_MS,
+            maxAttempts: values.WEBHOOK_MAX_ATTEMPTS,
+            retryBaseSeconds: values.WEBHOOK_RETRY_BASE_SECONDS,
+            retryMaxSeconds: values.WEBHOOK_RETRY_MAX_SECONDS,
+            batchSize: 20
+        },
+
+        rateLimit: {
+            enabled: values.RATE_LIMIT_ENABLED,
+            windowSeconds: values.RATE_LIMIT_WINDOW,
+            limits: {
+                client: values.RATE_LIMIT_CLIENT_MAX,
+                login: values.RATE_LIMIT_LOGIN_MAX,
+                user: values.RATE_LIMIT_USER_MAX,
+                book_write: values.RATE_LIMIT_BOOK_WRITE_MAX
+            }
+        },
+
+        idempotency: {
+            ttlSeconds: values.IDEMPOTENCY_TTL,
+            // How long a reservation survives a replica dying before its response is stored
+            lockSeconds: values.IDEMPOTENCY_LOCK_TTL
+        },
+
+        graphql: {
+            maxDepth: values.GRAPHQL_MAX_DEPTH,
+            maxComplexity: values.GRAPHQL_MAX_COMPLEXITY,
+            // Size assumed for list fields without a limit argument (a book's authors, an author's books)
+            assumedListSize: 10,
+            graphiql: values.NODE_ENV !== 'production'
+        },
+
+        settings
+    };
+}
+
+module.exports = {
+    SETTINGS,
+    ConfigError,
+    loadConfig
+};
@@ -0,0 +1,104 @@
+/**
+ * Dependency container
+ * Wires the services and repositories to the clients createApp() was given
+ * (see app.js). Nothing here opens connections or reads the environment.
+ */
+
+const { CacheService } = require('./services/CacheService');
+const { BookService } = require('./services/BookService');
+const { TaxonomyService, TAXONOMIES } = require('./services/TaxonomyService');
+const { OrderService } = require('./services/OrderService');
+const { UserService } = require('./services/UserService');
+const { WebhookService } = require('./services/WebhookService');
+const { BookRepository } = require('./repositories/BookRepository');
+const { IdempotencyRepository } = require('./repositories/IdempotencyRepository');
+const { LowStockAlertRepository } = require('./repositories/LowStockAlertRepository');
+const { TaxonomyRepository } = require('./repositories/TaxonomyRepository');
+const { OrderRepository } = require('./repositories/OrderRepository');
+const { UserRepository } = require('./repositories/UserRepository');
+const { WebhookRepository } = require('./repositories/WebhookRepository');
+const { isDbUnavailableError } = require('./db');
+
+/**
+ * @param {object} deps
+ * @param {object} deps.config   loaded config (see config.js)
+ * @param {object} deps.db       mysql2 promise pool
+ * @param {object} deps.redis    node-redis client, or null without Redis
+ * @param {object} deps.logger   winston logger
+ * @param {object} deps.metrics  { cache: { requests, errors, coalesced }, booksPurged, webhookDeliveries }
+ * @param {object} deps.events   { publish(type, data) } broadcasting real-time events; each is
+ *                               also queued for webhook subscribers here
+ * @param {object} [deps.breakers] { redis } circuit breaker the cache's commands run through
+ */
+function createContainer({ config, db, redis, logger, metrics, events, breakers = {} }) {
+    const cacheService = new CacheService({
+        client: redis,
+        logger,
+        metrics: metrics.cache,
+        ttl: config.cache.ttl,
+        staleTtl: config.cache.staleTtl,
+        breaker: breakers.redis,
+        serveStaleIf: config.cache.serveStaleOnDbError ? isDbUnavailableError : null,
+        staleIfErrorTtl: config.cache.staleIfErrorTtl
+    });
+    const webhookService = new WebhookService({
+        repository: new WebhookRepository(db),
+        logger,
+        metrics: { deliveries: metrics.webhookDeliveries },
+        config
+    });
+    // Every change event is queued for webhook subscribers, then broadcast
+    const publishing = {
+        async publish(type, data) {
+            await webhookService.enqueueEvent(type, data);
+            await events.publish(type, data);
+        }
+    };
+
+    const bookRepository = new BookRepository(db);
+    const bookService = new BookService({
+        repository: bookRepository,
+        cache: cacheService,
+        events: publishing,
+        logger,
+        metrics: { booksPurged: metrics.booksPurged },
+        config
+    });
+    // authors, categories and tags -> TaxonomyService
+    const taxonomyServices = Object.fromEntries(Object.entries(TAXONOMIES).map(([name, taxonomy]) => [name, new TaxonomyService({
+        taxonomy,
+        repository: new TaxonomyRepository(db, taxonomy),
+        bookService,
+        logger
+    })]));
+    const orderService = new OrderService({
+        repository: new OrderRepository(db, bookRepository),
+        bookService,
+        logger
+    });
+    const userService = new UserService({
+        repository: new UserRepository(db),
+        logger,
+        config
+    });
+
+    return {
+        config,
+        logger,
+        db,
+        redis,
+        cacheService,
+        bookRepository,
+        idempotencyRepository: new IdempotencyRepository(db),
+        lowStockAlertRepository: new LowStockAlertRepository(db),
+        bookService,
+        taxonomyServices,
+        orderService,
+        userService,
+        webhookService
+    };
+}
+
+module.exports = {
+    createContainer
+};
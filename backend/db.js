@@ -0,0 +1,113 @@
+/**
+ * MySQL helpers
+ * Query timing, retries and the circuit breaker, transactions and LIKE escaping,
+ * shared by clients.js and the repositories. The pool itself is created by
+ * connectDatabase() in clients.js (or injected by tests).
+ */
+
+const { retry } = require('./resilience');
+
+// Raised before the statement reached MySQL, so any statement can run again
+const CONNECT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ETIMEDOUT', 'ER_CON_COUNT_ERROR'];
+// The connection dropped, possibly after the statement ran: only reads run again
+const CONNECTION_LOST_ERRORS = ['PROTOCOL_CONNECTION_LOST', 'ECONNRESET', 'EPIPE'];
+// MySQL rolled the statement back; outside a transaction it can simply run again
+const ROLLED_BACK_ERRORS = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+
+// MySQL cannot be reached right now (what the circuit breaker counts, and what
+// a stale cache entry may be served for)
+function isDbUnavailableError(error) {
+    return error.code === 'CIRCUIT_OPEN' || CONNECT_ERRORS.includes(error.code) || CONNECTION_LOST_ERRORS.includes(error.code);
+}
+
+// Time every query run through the pool or a connection checked out of it
+// on the given histogram (mysql_query_duration_seconds)
+function instrumentPool(target, queryDuration) {
+    const timeQueries = (queryable) => {
+        for (const method of ['query', 'execute']) {
+            const original = queryable[method].bind(queryable);
+            queryable[method] = async (sql, ...args) => {
+                const statement = typeof sql === 'string' ? sql : sql.sql;
+                const keyword = statement.trim().split(/\s+/)[0].toUpperCase();
+                const end = queryDuration.startTimer({
+                    operation: ['SELECT', 'INSERT', 'UPDATE', 'DELETE'].includes(keyword) ? keyword.toLowerCase() : 'other'
+                });
+                try {
+                    const result = await original(sql, ...args);
+                    end({ status: 'ok' });
+                    return result;
+                } catch (error) {
+                    end({ status: 'error' });
+                    throw error;
+                }
+            };
+        }
+        return queryable;
+    };
+
+    const getConnection = target.getConnection.bind(target);
+    target.getConnection = async () => timeQueries(await getConnection());
+    return timeQueries(target);
+}
+
+/**
+ * Run pool-level statements and connection checkouts through the circuit
+ * breaker, retrying transient errors with backoff. Statements on a checked-out
+ * connection are left alone: they may be part of a transaction, which cannot be
+ * resumed halfway.
+ * @param {object} target   pool, after instrumentPool so every attempt is timed
+ * @param {object} options
+ * @param {object} options.breaker  CircuitBreaker (resilience.js)
+ * @param {object} options.retry    { attempts, baseDelayMs, maxDelayMs }
+ * @param {function} [options.onRetry] (error, operation) before each retry
+ */
+function guardPool(target, { breaker, retry: retryOptions, onRetry = () => {} }) {
+    const guarded = (operation, call, shouldRetry) => retry(() => breaker.exec(call), {
+        ...retryOptions,
+        shouldRetry,
+        onRetry: error => onRetry(error, operation)
+    });
+
+    for (const method of ['query', 'execute']) {
+        const original = target[method].bind(target);
+        target[method] = (sql, ...args) => {
+            const read = /^\s*SELECT\b/i.test(typeof sql === 'string' ? sql : sql.sql);
+            return guarded(method, () => original(sql, ...args), error =>
+                CONNECT_ERRORS.includes(error.code)
+                || ROLLED_BACK_ERRORS.includes(error.code)
+                || (read && CONNECTION_LOST_ERRORS.includes(error.code)));
+        };
+    }
+
+    const getConnection = target.getConnection.bind(target);
+    target.getConnection = () => guarded('getConnection', getConnection, error => CONNECT_ERRORS.includes(error.code));
+    return target;
+}
+
+// Run fn(connection) inside a transaction: commit on success, roll back on error
+async function withTransaction(pool, fn) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await fn(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+
+module.exports = {
+    isDbUnavailableError,
+    instrumentPool,
+    guardPool,
+    withTransaction,
+    escapeLike
+};
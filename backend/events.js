@@ -0,0 +1,133 @@
+/**
+ * Real-time events (Server-Sent Events)
+ * Every replica publishes book changes to one Redis channel and forwards what it
+ * receives there to its own SSE clients, so a browser connected to any replica
+ * sees changes made through all of them. Without Redis, events only reach
+ * clients of the replica that made the change.
+ *
+ * Event types (data is JSON):
+ *   book.created / book.updated   { book }       full book with relations (created also on restore from the trash)
+ *   book.deleted                  { id }         moved to the trash
+ *   book.stock                    { books: [{ id, stock, version }] }   orders and cancellations
+ *   catalogue.changed             { reason }     bulk changes: reload the list
+ */
+
+const { redisAvailable } = require('./clients');
+
+const EVENTS_CHANNEL = 'bookstore:events';
+const EVENTS_HEARTBEAT_MS = 15000;
+
+/**
+ * @param {object} deps
+ * @param {object} deps.redis       node-redis client publishing events, or null
+ * @param {object} deps.subscriber  a second client for the subscription (a subscribed
+ *                                  client cannot run other commands), or null
+ * @param {object} deps.breaker     circuit breaker Redis commands run through
+ * @param {object} deps.logger      winston logger
+ */
+function createEventHub({ redis = null, subscriber = null, breaker, logger }) {
+    // Open /api/events responses on this replica
+    const clients = new Set();
+
+    function deliver({ type, data }) {
+        const frame = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+        for (const res of clients) {
+            res.write(frame);
+        }
+    }
+
+    // Broadcast a change to every replica's clients; never fails the write that caused it.
+    // The container queues the event for webhooks before it gets here
+    async function publish(type, data) {
+        const event = { type, data };
+        if (redisAvailable(redis, breaker) && subscriber?.isReady) {
+            try {
+                await breaker.exec(() => redis.publish(EVENTS_CHANNEL, JSON.stringify(event)));
+                return;
+            } catch (error) {
+                logger.warn('Event publish failed; delivering locally', { type, error: error.message });
+            }
+        }
+        deliver(event);
+    }
+
+    // The subscriber connects and reconnects in the background like the main
+    // client, and node-redis renews the subscription after each reconnection
+    function listen() {
+        Promise.resolve(subscriber.isOpen || subscriber.connect())
+            .then(() => subscriber.subscribe(EVENTS_CHANNEL, (message) => {
+                try {
+                    deliver(JSON.parse(message));
+                } catch (error) {
+                    logger.warn('Ignoring malformed event', { error: error.message });
+                }
+            }))
+            .then(() => {
+                logger.info('Subscribed to book events', { correlationId: 'init', channel: EVENTS_CHANNEL });
+            })
+            .catch((error) => {
+                logger.warn('Redis event subscription failed (events stay on this instance)', {
+                    correlationId: 'init',
+                    error: error.message
+                });
+            });
+    }
+
+    // Keep an /api/events response open until the client goes away
+    function openStream(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // Tells nginx not to buffer this response
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        clients.add(res);
+        logger.info('Event stream opened', {
+            correlationId: req.correlationId,
+            userId: req.user.id,
+            clients: clients.size
+        });
+
+        req.on('close', () => {
+            clients.delete(res);
+            logger.info('Event stream closed', {
+                correlationId: req.correlationId,
+                userId: req.user.id,
+                clients: clients.size
+            });
+        });
+    }
+
+    // Comment lines keep idle connections open through nginx and the OpenShift router
+    const heartbeat = setInterval(() => {
+        for (const res of clients) {
+            res.write(': heartbeat\n\n');
+        }
+    }, EVENTS_HEARTBEAT_MS);
+    heartbeat.unref();
+
+    if (subscriber) listen();
+
+    return {
+        publish,
+        openStream,
+        get clientCount() {
+            return clients.size;
+        },
+        // Event streams never finish on their own; clients reconnect to another replica
+        close() {
+            clearInterval(heartbeat);
+            for (const res of clients) {
+                res.end();
+            }
+        }
+    };
+}
+
+module.exports = {
+    EVENTS_CHANNEL,
+    createEventHub
+};
@@ -0,0 +1,364 @@
+/**
+ * GraphQL API
+ * /api/graphql serves the schema in graphql/schema.js next to the REST routes.
+ * Before execution a document is rejected when it nests deeper than
+ * GRAPHQL_MAX_DEPTH or its estimated cost exceeds GRAPHQL_MAX_COMPLEXITY.
+ * Outside production, GET /api/graphql from a browser opens GraphiQL.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const {
+    parse: parseGraphQL,
+    validate: validateGraphQL,
+    execute: executeGraphQL,
+    getOperationAST,
+    getVariableValues,
+    getNamedType,
+    getNullableType,
+    isListType,
+    GraphQLError,
+    Kind
+} = require('graphql');
+const { MAX_PAGE_SIZE } = require('../validation');
+const { graphqlError, createGraphQLLoaders, createGraphQLSchema } = require('./schema');
+
+/**
+ * Depth and estimated cost of an operation, with fragments expanded and
+ * introspection fields left out. An object field costs size x (1 + the cost
+ * of its selections), where size is 1, or for a list the `limit` argument of
+ * the list itself or of the paginated field around it (variables resolved,
+ * the argument default otherwise), else assumedListSize.
+ * Scalar fields cost nothing.
+ */
+function measureGraphQLOperation(schema, document, operation, variables, assumedListSize) {
+    const fragments = new Map(
+        document.definitions
+            .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+            .map(definition => [definition.name.value, definition])
+    );
+
+    const limitArgument = (fieldDef, node) => {
+        const argument = node.arguments.find(arg => arg.name.value === 'limit');
+        let value = fieldDef.args.find(arg => arg.name === 'limit').defaultValue;
+        if (argument?.value.kind === Kind.INT) value = parseInt(argument.value.value);
+        if (argument?.value.kind === Kind.VARIABLE) value = variables[argument.value.name.value] ?? value;
+        return Number.isInteger(value) && value > 0 ? value : MAX_PAGE_SIZE;
+    };
+
+    const measure = (selectionSet, parentType, pageSize) => {
+        let depth = 0;
+        let cost = 0;
+
+        for (const selection of selectionSet.selections) {
+            if (selection.kind !== Kind.FIELD) {
+                const fragment = selection.kind === Kind.FRAGMENT_SPREAD ? fragments.get(selection.name.value) : selection;
+                const type = fragment.typeCondition ? schema.getType(fragment.typeCondition.name.value) : parentType;
+                const inner = measure(fragment.selectionSet, type, pageSize);
+                depth = Math.max(depth, inner.depth);
+                cost += inner.cost;
+                continue;
+            }
+            if (selection.name.value.startsWith('__')) continue;
+
+            const fieldDef = parentType.getFields()[selection.name.value];
+            if (!selection.selectionSet) {
+                depth = Math.max(depth, 1);
+                continue;
+            }
+
+            const isList = isListType(getNullableType(fieldDef.type));
+            const limit = fieldDef.args.some(arg => arg.name === 'limit') ? limitArgument(fieldDef, selection) : pageSize;
+            const size = isList ? (limit ?? assumedListSize) : 1;
+            // A page size is used up by the first list below the paginated field
+            const inner = measure(selection.selectionSet, getNamedType(fieldDef.type), isList ? null : limit);
+            depth = Math.max(depth, 1 + inner.depth);
+            cost += size * (1 + inner.cost);
+        }
+        return { depth, cost };
+    };
+
+    return measure(operation.selectionSet, schema.getRootType(operation.operation), null);
+}
+
+const GRAPHIQL_TOKEN_PLACEHOLDER = 'Bearer <token from POST /api/auth/login>';
+
+/**
+ * The router serving /api/graphql (mount it at that path)
+ * @param {object} deps
+ * @param {object} deps.config       GraphQL config (config.graphql)
+ * @param {object} deps.services     the container from container.js
+ * @param {object} deps.inventory    inventory totals (createInventoryStats() in metrics.js)
+ * @param {object} deps.rateLimiter  from createRateLimiter() (rateLimit.js)
+ * @param {function} deps.requireRole from createAuth() (auth.js)
+ * @param {object} deps.metrics      from createMetrics() (metrics.js)
+ * @param {object} deps.logger       winston logger
+ */
+function createGraphQLRouter({ config, services, inventory, rateLimiter, requireRole, metrics, logger }) {
+    const schema = createGraphQLSchema({ services, inventory, rateLimiter, logger });
+
+    // Errors reported without running the operation: 400 (or the given status) with { errors }
+    function sendGraphQLRejection(req, res, { status = 400, type = 'unknown', errors }) {
+        metrics.graphqlOperations.labels(type, 'rejected').inc();
+        logger.warn('GraphQL request rejected', {
+            correlationId: req.correlationId,
+            errors: errors.map(error => error.message)
+        });
+        res.status(status).json({
+            errors: errors.map(error => ({
+                ...(error instanceof GraphQLError ? error.toJSON() : error),
+                extensions: { ...error.extensions, correlationId: req.correlationId }
+            }))
+        });
+    }
+
+    // Resolver errors keep their message and code; unexpected ones are logged and masked
+    function toGraphQLClientError(req, error) {
+        let reported = error;
+        if (!error.extensions.code) {
+            logger.error('GraphQL resolver failed', {
+                correlationId: req.correlationId,
+                path: error.path?.join('.'),
+                error: error.message
+            });
+            reported = new GraphQLError('Internal server error', {
+                nodes: error.nodes,
+                path: error.path,
+                extensions: { code: 'INTERNAL_ERROR' }
+            });
+        }
+        return { ...reported.toJSON(), extensions: { ...reported.extensions, correlationId: req.correlationId } };
+    }
+
+    // GraphQL over HTTP: POST with a JSON body, or GET (queries only) with query string parameters
+    async function handleGraphQLRequest(req, res) {
+        const params = (req.method === 'GET' ? req.query : req.body) || {};
+        const { query, operationName } = params;
+
+        if (typeof query !== 'string' || !query.trim()) {
+            return sendGraphQLRejection(req, res, { errors: [graphqlError('Must provide a query string', 'BAD_REQUEST')] });
+        }
+
+        let variables = params.variables ?? {};
+        if (typeof variables === 'string') {
+            try {
+                variables = JSON.parse(variables);
+            } catch (error) {
+                return sendGraphQLRejection(req, res, { errors: [graphqlError('variables must be a JSON object', 'BAD_REQUEST')] });
+            }
+        }
+        if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+            return sendGraphQLRejection(req, res, { errors: [graphqlError('variables must be a JSON object', 'BAD_REQUEST')] });
+        }
+
+        let document;
+        try {
+            document = parseGraphQL(query);
+        } catch (error) {
+            error.extensions.code = 'GRAPHQL_PARSE_FAILED';
+            return sendGraphQLRejection(req, res, { errors: [error] });
+        }
+
+        const validationErrors = validateGraphQL(schema, document);
+        if (validationErrors.length > 0) {
+            for (const error of validationErrors) error.extensions.code = 'GRAPHQL_VALIDATION_FAILED';
+            return sendGraphQLRejection(req, res, { errors: validationErrors });
+        }
+
+        const operation = getOperationAST(document, operationName);
+        if (!operation) {
+            return sendGraphQLRejection(req, res, {
+                errors: [graphqlError(operationName ? `Unknown operation "${operationName}"` : 'Must provide operationName when the document has several operations', 'BAD_REQUEST')]
+            });
+        }
+        const type = operation.operation;
+        if (req.method === 'GET' && type !== 'query') {
+            res.setHeader('Allow', 'POST');
+            return sendGraphQLRejection(req, res, {
+                status: 405,
+                type,
+                errors: [graphqlError(`Only queries can be sent with GET; send the ${type} with POST`, 'METHOD_NOT_ALLOWED')]
+            });
+        }
+
+        // Coerced here rather than by execute(), which would report a missing or mistyped
+        // variable as an execution error (masked as INTERNAL_ERROR with a 200)
+        const coerced = getVariableValues(schema, operation.variableDefinitions ?? [], variables);
+        if (coerced.errors) {
+            for (const error of coerced.errors) error.extensions.code = 'BAD_USER_INPUT';
+            return sendGraphQLRejection(req, res, { type, errors: coerced.errors });
+        }
+
+        const { depth, cost } = measureGraphQLOperation(schema, document, operation, coerced.coerced, config.assumedListSize);
+        if (depth > config.maxDepth) {
+            return sendGraphQLRejection(req, res, {
+                type,
+                errors: [graphqlError(`Query depth ${depth} exceeds the maximum of ${config.maxDepth}`, 'QUERY_TOO_DEEP', { depth, maxDepth: config.maxDepth })]
+            });
+        }
+        if (cost > config.maxComplexity) {
+            return sendGraphQLRejection(req, res, {
+                type,
+                errors: [graphqlError(
+                    `Query cost ${cost} exceeds the maximum of ${config.maxComplexity}; request smaller pages or fewer nested lists`,
+                    'QUERY_TOO_COMPLEX',
+                    { cost, maxComplexity: config.maxComplexity }
+                )]
+            });
+        }
+
+        try {
+            const result = await executeGraphQL({
+                schema: schema,
+                document,
+                variableValues: variables,
+                operationName,
+                contextValue: { req, loaders: createGraphQLLoaders(services) }
+            });
+
+            metrics.graphqlOperations.labels(type, result.errors ? 'error' : 'success').inc();
+            logger.info('GraphQL operation executed', {
+                correlationId: req.correlationId,
+                operationName: operation.name?.value,
+                type,
+                depth,
+                cost,
+                errors: result.errors?.length || 0,
+                userId: req.user.id
+            });
+
+            const body = {};
+            if (result.errors) body.errors = result.errors.map(error => toGraphQLClientError(req, error));
+            body.data = result.data;
+            res.json(body);
+        } catch (error) {
+            metrics.graphqlOperations.labels(type, 'error').inc();
+            logger.error('Error executing GraphQL operation', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to execute GraphQL operation' });
+        }
+    }
+
+    // GraphiQL for a browser opening GET /api/graphql without a query; the token is
+    // entered in its Headers tab. Its scripts load from unpkg, so it gets its own CSP
+    function serveGraphiQL(req, res, next) {
+        if (!config.graphiql || req.query.query !== undefined || req.accepts(['json', 'html']) !== 'html') {
+            return next();
+        }
+
+        const nonce = crypto.randomBytes(16).toString('base64');
+        res.setHeader('Content-Security-Policy', [
+            "default-src 'self'",
+            `script-src 'nonce-${nonce}' https://unpkg.com`,
+            "style-src 'self' 'unsafe-inline' https://unpkg.com",
+            "font-src 'self' data: https://unpkg.com",
+            "img-src 'self' data:",
+            "connect-src 'self'",
+            "object-src 'none'",
+            "base-uri 'none'",
+            "frame-ancestors 'self'"
+        ].join('; '));
+        res.type('html').send(`<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="utf-8">
+        <title>Bookstore API - GraphiQL</title>
+        <link rel="stylesheet" href="https://unpkg.com/graphiql@3/graphiql.min.css">
+        <style>body { margin: 0; } #graphiql { height: 100vh; }</style>
+    </head>
+    <body>
+        <div id="graphiql">Loading GraphiQL...</div>
+        <script crossorigin src="https://unpkg.com/react@18/umd/react.production.min.js"></script>
+        <script crossorigin src="https://unpkg.com/react-dom@18/umd/react-dom.production.min.js"></script>
+        <script crossorigin src="https://unpkg.com/graphiql@3/graphiql.min.js"></script>
+        <script nonce="${nonce}">
+            ReactDOM.createRoot(document.getElementById('graphiql')).render(
+                React.createElement(GraphiQL, {
+                    fetcher: GraphiQL.createFetcher({ url: window.location.pathname }),
+                    defaultHeaders: ${JSON.stringify(JSON.stringify({ Authorization: GRAPHIQL_TOKEN_PLACEHOLDER }, null, 2))},
+                    defaultQuery: ${JSON.stringify('{\n  books(limit: 5) {\n    data { id title authors { name } stock lowStock }\n    pagination { total }\n  }\n}\n')}
+                })
+            );
+        </script>
+    </body>
+    </html>`);
+    }
+
+    /**
+     * @swagger
+     * /api/graphql:
+     *   post:
+     *     summary: Run a GraphQL query or mutation
+     *     description: |
+     *       Books with their authors, categories, tags and history, and book mutations
+     *       (createBook, updateBook, deleteBook, restoreBook) with the same validation, roles and
+     *       caching as the REST routes. Resolver errors are returned in errors[] with a 200 status;
+     *       extensions.code uses the REST error codes (VALIDATION_FAILED, NOT_FOUND, FORBIDDEN,
+     *       PRECONDITION_FAILED, CONFLICT, RATE_LIMITED). Documents nested deeper than
+     *       GRAPHQL_MAX_DEPTH or with an estimated cost above GRAPHQL_MAX_COMPLEXITY are rejected.
+     *       The schema is available through introspection.
+     *     tags: [GraphQL]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [query]
+     *             properties:
+     *               query:
+     *                 type: string
+     *                 example: '{ books(limit: 5) { data { id title stock } } }'
+     *               variables:
+     *                 type: object
+     *               operationName:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: Result with data and, when a resolver failed, errors
+     *       400:
+     *         description: Unparseable or invalid document, missing or mistyped variables, or a document over the depth/cost limits
+     *       401:
+     *         description: Authentication required
+     *   get:
+     *     summary: Run a GraphQL query (or open GraphiQL)
+     *     description: |
+     *       Queries only, with query, variables (JSON) and operationName as query string parameters.
+     *       Outside production a browser request without a query opens GraphiQL.
+     *     tags: [GraphQL]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: query
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: variables
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: operationName
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Result, or the GraphiQL page
+     *       400:
+     *         description: Unparseable or invalid document, missing or mistyped variables, or a document over the depth/cost limits
+     *       405:
+     *         description: Mutations must be sent with POST
+     */
+    const router = express.Router();
+    router.get('/', serveGraphiQL, requireRole('viewer'), handleGraphQLRequest);
+    router.post('/', requireRole('viewer'), handleGraphQLRequest);
+    return router;
+}
+
+module.exports = {
+    createGraphQLRouter
+};
@@ -0,0 +1,469 @@
+/**
+ * GraphQL schema
+ * Books and their authors, categories, tags and history, and book mutations.
+ * Resolvers reuse the REST building blocks: the Ajv request schemas, BookService
+ * (the book cache, writes, the trash) and the TaxonomyServices, so both APIs
+ * accept the same input and share cache invalidation, history and events.
+ *
+ * Every request gets its own DataLoaders (createGraphQLLoaders), so the lookups
+ * made while resolving one document are batched: a page of books with their
+ * history costs one history query, not one per book.
+ */
+
+const { buildSchema, GraphQLError } = require('graphql');
+const DataLoader = require('dataloader');
+const { toBookListOptions, bookETag } = require('../services/BookService');
+const { TAXONOMIES } = require('../services/TaxonomyService');
+const {
+    ROLES,
+    BOOK_SORT_FIELDS,
+    DEFAULT_PAGE_SIZE,
+    validators,
+    bodyValidators,
+    formatSchemaErrors,
+    pickBookFields,
+    pickBookRelations
+} = require('../validation');
+
+const typeDefs = `
+    """A book in the catalogue; books in the trash are not returned"""
+    type Book {
+        id: Int!
+        title: String!
+        "Credit line, derived from the linked authors when not set explicitly"
+        author: String!
+        "Canonical ISBN-13"
+        isbn: String!
+        "The ISBN as it was entered"
+        isbnDisplay: String
+        price: Float!
+        stock: Int!
+        reorderThreshold: Int!
+        reorderQuantity: Int!
+        "True when stock is at or below reorderThreshold"
+        lowStock: Boolean!
+        "Bumped by every write; pass it as ifMatch to reject stale writes"
+        version: Int!
+        authors: [Author!]!
+        categories: [Category!]!
+        tags: [Tag!]!
+        "Most recent changes first (clerk role required)"
+        history(limit: Int = 50): [HistoryEntry!]
+        createdAt: String!
+        updatedAt: String!
+    }
+
+    type Author {
+        id: Int!
+        name: String!
+        bookCount: Int!
+        books: [Book!]!
+    }
+
+    type Category {
+        id: Int!
+        name: String!
+        description: String
+        bookCount: Int!
+        books: [Book!]!
+    }
+
+    type Tag {
+        id: Int!
+        name: String!
+        bookCount: Int!
+        books: [Book!]!
+    }
+
+    type User {
+        id: Int!
+        username: String
+    }
+
+    """One entry of a book's change history"""
+    type HistoryEntry {
+        id: Int!
+        action: String!
+        "Changed fields; every recorded field for creations, restores and deletions"
+        changes: [FieldChange!]!
+        user: User
+        correlationId: String
+        createdAt: String!
+    }
+
+    """Values are strings; numbers and lists are JSON-encoded"""
+    type FieldChange {
+        field: String!
+        before: String
+        after: String
+    }
+
+    type Pagination {
+        page: Int!
+        limit: Int!
+        total: Int!
+        totalPages: Int!
+    }
+
+    type BookPage {
+        data: [Book!]!
+        pagination: Pagination!
+    }
+
+    type DeletedBook {
+        id: Int!
+        title: String!
+        deletedAt: String!
+        deletedBy: User
+        "When the retention job will purge it; null when retention is disabled"
+        purgeAt: String
+    }
+
+    type Inventory {
+        titles: Int!
+        units: Int!
+        lowStock: Int!
+        value: Float!
+    }
+
+    enum BookSortField {
+        ${BOOK_SORT_FIELDS.join('\n        ')}
+    }
+
+    enum SortOrder {
+        asc
+        desc
+    }
+
+    """Same filters as the GET /api/books query parameters"""
+    input BookFilter {
+        q: String
+        isbn: String
+        category: Int
+        tag: String
+        minPrice: Float
+        maxPrice: Float
+        minStock: Int
+        maxStock: Int
+        lowStock: Boolean
+    }
+
+    """Same rules as the POST /api/books and PATCH /api/books/{id} bodies"""
+    input BookInput {
+        title: String
+        author: String
+        isbn: String
+        price: Float
+        stock: Int
+        reorderThreshold: Int
+        reorderQuantity: Int
+        authorIds: [Int!]
+        categoryIds: [Int!]
+        tags: [String!]
+    }
+
+    type Query {
+        books(filter: BookFilter, sort: BookSortField = created_at, order: SortOrder = desc, page: Int = 1, limit: Int = ${DEFAULT_PAGE_SIZE}): BookPage!
+        book(id: Int!): Book
+        "Books at or below their reorder threshold, furthest below it first"
+        lowStockBooks(page: Int = 1, limit: Int = ${DEFAULT_PAGE_SIZE}): BookPage!
+        authors(q: String): [Author!]!
+        author(id: Int!): Author
+        categories(q: String): [Category!]!
+        category(id: Int!): Category
+        tags(q: String): [Tag!]!
+        tag(id: Int!): Tag
+        inventory: Inventory!
+    }
+
+    type Mutation {
+        "Clerk role required"
+        createBook(input: BookInput!): Book!
+        "Clerk role required; only the fields sent are changed"
+        updateBook(id: Int!, input: BookInput!, ifMatch: Int): Book!
+        "Admin role required; moves the book to the trash"
+        deleteBook(id: Int!, ifMatch: Int): DeletedBook!
+        "Clerk role required; takes a book out of the trash"
+        restoreBook(id: Int!): Book!
+    }
+`;
+
+// camelCase GraphQL fields -> the column names used by the REST schemas
+const GRAPHQL_BOOK_COLUMNS = { reorderThreshold: 'reorder_threshold', reorderQuantity: 'reorder_quantity' };
+const GRAPHQL_BOOK_FIELDS = Object.fromEntries(
+    Object.entries(GRAPHQL_BOOK_COLUMNS).map(([field, column]) => [column, field])
+);
+
+// Errors carry the same codes as the REST error envelope in extensions.code
+function graphqlError(message, code, extensions = {}) {
+    return new GraphQLError(message, { extensions: { code, ...extensions } });
+}
+
+function graphqlValidationError(details, argName) {
+    return graphqlError('Request validation failed', 'VALIDATION_FAILED', {
+        details: details.map(detail => ({
+            ...detail,
+            location: 'args',
+            field: [argName, GRAPHQL_BOOK_FIELDS[detail.field] || detail.field].filter(Boolean).join('.')
+        }))
+    });
+}
+
+// Validate (and default) arguments with a REST request schema so both APIs accept the
+// same values; returns them under the REST field names. Mutation input is checked like a
+// JSON body; other arguments are coerced like a query string, since ID arrives as a string
+function validateArgs(schemaName, args, argName) {
+    const values = {};
+    for (const [field, value] of Object.entries(args || {})) {
+        if (value !== undefined && value !== null) values[GRAPHQL_BOOK_COLUMNS[field] || field] = value;
+    }
+
+    const validate = (argName === 'input' ? bodyValidators : validators)[schemaName];
+    if (!validate(values)) {
+        throw graphqlValidationError(formatSchemaErrors(validate.errors, 'args'), argName);
+    }
+    return values;
+}
+
+// The ifMatch argument (a book version) as the If-Match value BookService checks;
+// whatever header the GraphQL request itself carried is ignored
+function graphqlIfMatch(ifMatch) {
+    return ifMatch === undefined || ifMatch === null ? undefined : bookETag({ version: ifMatch });
+}
+
+// A duplicate ISBN surfaces as a CONFLICT error; anything else is unexpected
+function toBookWriteError(error, duplicateMessage) {
+    return error.code === 'ER_DUP_ENTRY' ? graphqlError(duplicateMessage, 'CONFLICT') : error;
+}
+
+function toISOString(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+// Strings as they are, everything else as JSON
+function toChangeValue(value) {
+    if (value === undefined || value === null) return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// The latest history entries of several books; one window query per distinct limit (normally one)
+function bookHistoryLoader(services) {
+    return async (keys) => {
+        const byLimit = new Map();
+        for (const limit of new Set(keys.map(key => key.limit))) {
+            const bookIds = keys.filter(key => key.limit === limit).map(key => key.bookId);
+            byLimit.set(limit, await services.bookService.recentHistory(bookIds, limit));
+        }
+        return keys.map(({ bookId, limit }) => byLimit.get(limit).get(bookId) || []);
+    };
+}
+
+/**
+ * The DataLoaders for one request
+ * @param {object} services the container from container.js
+ */
+function createGraphQLLoaders(services) {
+    const loaders = {
+        // Each book goes through the same cache entry as GET /api/books/:id
+        book: new DataLoader(ids => Promise.all(ids.map(async id => (await services.bookService.get(id)).value || null))),
+        history: new DataLoader(bookHistoryLoader(services), { cacheKeyFn: ({ bookId, limit }) => `${bookId}:${limit}` })
+    };
+    for (const [name, taxonomyService] of Object.entries(services.taxonomyServices)) {
+        loaders[name] = new DataLoader(ids => taxonomyService.getMany(ids));
+        loaders[`${name}Books`] = new DataLoader(ids => taxonomyService.booksOf(ids));
+    }
+    return loaders;
+}
+
+// Fields shared by Author, Category and Tag; list queries already carry bookCount
+function taxonomyFieldResolvers(name) {
+    return {
+        bookCount: async (entity, args, { loaders }) => entity.bookCount ?? (await loaders[`${name}Books`].load(entity.id)).length,
+        books: (entity, args, { loaders }) => loaders[`${name}Books`].load(entity.id)
+    };
+}
+
+/**
+ * The schema with its resolvers attached. Resolvers expect { req, loaders } as
+ * the execution context, with req.user set and loaders from createGraphQLLoaders().
+ * @param {object} deps
+ * @param {object} deps.services     the container from container.js
+ * @param {object} deps.inventory    inventory totals (createInventoryStats() in metrics.js)
+ * @param {object} deps.rateLimiter  from createRateLimiter() (rateLimit.js)
+ * @param {object} deps.logger       winston logger
+ */
+function createGraphQLSchema({ services, inventory, rateLimiter, logger }) {
+    function assertGraphQLRole({ req }, role) {
+        if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+            logger.warn('Forbidden request', {
+                correlationId: req.correlationId,
+                userId: req.user.id,
+                role: req.user.role,
+                requiredRole: role
+            });
+            throw graphqlError('Insufficient permissions', 'FORBIDDEN');
+        }
+    }
+
+    // Mutations count against the book_write limit like book writes over REST
+    async function limitGraphQLWrite({ req }) {
+        const retryAfter = await rateLimiter.check(req, 'book_write', req.user.id);
+        if (retryAfter > 0) {
+            throw graphqlError(`Too many requests; try again in ${retryAfter} seconds`, 'RATE_LIMITED', { retryAfter });
+        }
+    }
+
+    function preconditionFailedError(req, book, ifMatch) {
+        logger.warn('Stale write rejected', {
+            correlationId: req.correlationId,
+            bookId: book.id,
+            ifMatch,
+            currentVersion: book.version
+        });
+        return graphqlError('Book was modified by someone else. Reload it and try again', 'PRECONDITION_FAILED', {
+            currentVersion: book.version
+        });
+    }
+
+    // authors(q) / author(id), categories(q) / category(id), tags(q) / tag(id)
+    function taxonomyQueryResolvers() {
+        const resolvers = {};
+        for (const [name, { label }] of Object.entries(TAXONOMIES)) {
+            resolvers[name] = (root, args) => services.taxonomyServices[name].list(validateArgs('TaxonomyListQuery', args).q);
+            resolvers[label.toLowerCase()] = (root, args, { loaders }) => loaders[name].load(validateArgs('IdParams', args).id);
+        }
+        return resolvers;
+    }
+
+    const resolvers = {
+        Query: {
+            async books(root, { filter, ...args }, { req }) {
+                const query = validateArgs('BookListQuery', { ...filter, ...args });
+                return (await services.bookService.list(req, toBookListOptions(query))).value;
+            },
+            book: (root, args, { loaders }) => loaders.book.load(validateArgs('IdParams', args).id),
+            lowStockBooks: (root, args) => services.bookService.lowStock(validateArgs('LowStockQuery', args)),
+            ...taxonomyQueryResolvers(),
+            async inventory() {
+                const stats = await inventory.get();
+                return Object.fromEntries(Object.entries(stats).map(([field, value]) => [field, Number(value)]));
+            }
+        },
+
+        Mutation: {
+            async createBook(root, { input }, context) {
+                const { req } = context;
+                assertGraphQLRole(context, 'clerk');
+                await limitGraphQLWrite(context);
+                const body = validateArgs('BookCreate', input, 'input');
+
+                const result = await services.bookService.create(req, pickBookFields(body), pickBookRelations(body))
+                    .catch((error) => { throw toBookWriteError(error, 'Book with this ISBN already exists'); });
+                if (result.invalid) throw graphqlValidationError(result.invalid, 'input');
+                return result.book;
+            },
+
+            async updateBook(root, { id, input, ifMatch }, context) {
+                const { req } = context;
+                assertGraphQLRole(context, 'clerk');
+                await limitGraphQLWrite(context);
+                const bookId = validateArgs('IdParams', { id }).id;
+                const body = validateArgs('BookPatch', input, 'input');
+                const changes = pickBookFields(body);
+                const relations = pickBookRelations(body);
+
+                const expected = graphqlIfMatch(ifMatch);
+                const result = await services.bookService.update(req, bookId, changes, relations, { ifMatch: expected })
+                    .catch((error) => { throw toBookWriteError(error, 'Book with this ISBN already exists'); });
+                if (result.notFound) throw graphqlError('Book not found', 'NOT_FOUND');
+                if (result.conflict) throw preconditionFailedError(req, result.conflict, expected);
+                if (result.invalid) throw graphqlValidationError(result.invalid, 'input');
+                return result.book;
+            },
+
+            async deleteBook(root, { id, ifMatch }, context) {
+                const { req } = context;
+                assertGraphQLRole(context, 'admin');
+                await limitGraphQLWrite(context);
+                const bookId = validateArgs('IdParams', { id }).id;
+
+                const expected = graphqlIfMatch(ifMatch);
+                const deleted = await services.bookService.trash(req, bookId, { ifMatch: expected });
+                if (deleted.notFound) throw graphqlError('Book not found', 'NOT_FOUND');
+                if (deleted.conflict) throw preconditionFailedError(req, deleted.conflict, expected);
+                return deleted.book;
+            },
+
+            async restoreBook(root, { id }, context) {
+                const { req } = context;
+                assertGraphQLRole(context, 'clerk');
+                await limitGraphQLWrite(context);
+
+                const restored = await services.bookService.restore(req, validateArgs('IdParams', { id }).id)
+                    .catch((error) => { throw toBookWriteError(error, 'Another book now uses this ISBN'); });
+                if (!restored) throw graphqlError('Book not found in the trash', 'NOT_FOUND');
+                return restored;
+            }
+        },
+
+        Book: {
+            isbnDisplay: book => book.isbn_display,
+            price: book => Number(book.price),
+            reorderThreshold: book => book.reorder_threshold,
+            reorderQuantity: book => book.reorder_quantity,
+            lowStock: book => book.stock <= book.reorder_threshold,
+            history(book, args, context) {
+                assertGraphQLRole(context, 'clerk');
+                const { limit } = validateArgs('HistoryQuery', args);
+                return context.loaders.history.load({ bookId: book.id, limit });
+            },
+            createdAt: book => toISOString(book.created_at),
+            updatedAt: book => toISOString(book.updated_at)
+        },
+
+        Author: taxonomyFieldResolvers('authors'),
+        Category: {
+            ...taxonomyFieldResolvers('categories'),
+            // Categories embedded in a book only carry id and name
+            description: async (category, args, { loaders }) => (
+                'description' in category ? category.description : (await loaders.categories.load(category.id))?.description
+            )
+        },
+        Tag: taxonomyFieldResolvers('tags'),
+
+        HistoryEntry: {
+            changes(entry) {
+                const fields = entry.before && entry.after
+                    ? entry.changes
+                    : Object.keys(entry.before || entry.after || {}).filter(field => field !== 'id');
+                return fields.map(field => ({
+                    field: GRAPHQL_BOOK_FIELDS[field] || field,
+                    before: toChangeValue(entry.before?.[field]),
+                    after: toChangeValue(entry.after?.[field])
+                }));
+            },
+            createdAt: entry => toISOString(entry.createdAt)
+        },
+
+        DeletedBook: {
+            deletedAt: book => toISOString(book.deleted_at),
+            deletedBy: book => book.deleted_by,
+            purgeAt: book => toISOString(book.purge_at)
+        }
+    };
+
+    const schema = buildSchema(typeDefs);
+    for (const [typeName, fields] of Object.entries(resolvers)) {
+        const typeFields = schema.getType(typeName).getFields();
+        for (const [fieldName, resolve] of Object.entries(fields)) {
+            typeFields[fieldName].resolve = resolve;
+        }
+    }
+    return schema;
+}
+
+module.exports = {
+    graphqlError,
+    createGraphQLLoaders,
+    createGraphQLSchema
+};
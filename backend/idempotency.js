@@ -0,0 +1,167 @@
+/**
+ * Idempotency keys
+ * A mutating request may carry an Idempotency-Key header (scoped to the user).
+ * The first request with a key reserves it and its response is stored; a repeat
+ * of the same request gets that response back with Idempotent-Replayed: true
+ * instead of running again. Reusing a key for a different request is rejected
+ * with 422, and a repeat that arrives while the first is still running gets 409.
+ * Records live in Redis, or in the idempotency_keys table while Redis is down.
+ * 5xx responses are not stored, so a failed request can be retried with its key.
+ */
+
+const crypto = require('crypto');
+const { redisAvailable } = require('./clients');
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+const IDEMPOTENT_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Response headers replayed along with the stored status and body
+const IDEMPOTENCY_REPLAYED_HEADERS = ['etag', 'location'];
+
+// Streamed bodies (catalogue imports) are not read here, so their type and length stand in for them
+function requestFingerprint(req) {
+    const body = req.body !== undefined
+        ? req.body
+        : { contentType: req.headers['content-type'] || null, contentLength: req.headers['content-length'] || null };
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([req.method, req.originalUrl, req.headers['if-match'] || null, body]))
+        .digest('hex');
+}
+
+/**
+ * Returns the middleware handling the Idempotency-Key header; it runs after
+ * authentication, since keys are scoped to req.user.
+ * @param {object} deps
+ * @param {object} deps.config      idempotency config (config.idempotency)
+ * @param {object} deps.redis       node-redis client, or null to keep records in MySQL only
+ * @param {object} deps.breaker     circuit breaker Redis commands run through
+ * @param {object} deps.repository  IdempotencyRepository (the MySQL store)
+ * @param {object} deps.metrics     from createMetrics() (metrics.js)
+ * @param {object} deps.logger      winston logger
+ */
+function createIdempotencyHandler({ config, redis = null, breaker, repository, metrics, logger }) {
+    const requests = metrics.idempotencyRequests;
+
+    // Store name -> operations on a record { fingerprint, response } (response is null while in progress)
+    const stores = {
+        redis: {
+            key: ({ userId, key }) => `idempotency:${userId}:${key}`,
+            async reserve(id, fingerprint) {
+                const reply = await breaker.exec(() => redis.set(this.key(id), JSON.stringify({ fingerprint, response: null }), {
+                    NX: true,
+                    EX: config.lockSeconds
+                }));
+                return reply === 'OK';
+            },
+            async get(id) {
+                const raw = await breaker.exec(() => redis.get(this.key(id)));
+                return raw ? JSON.parse(raw) : null;
+            },
+            async complete(id, fingerprint, response) {
+                await breaker.exec(() => redis.set(this.key(id), JSON.stringify({ fingerprint, response }), {
+                    EX: config.ttlSeconds
+                }));
+            },
+            async release(id) {
+                await breaker.exec(() => redis.del(this.key(id)));
+            }
+        },
+        mysql: {
+            reserve: (id, fingerprint) => repository.reserve(id, fingerprint, config.lockSeconds),
+            get: id => repository.find(id),
+            complete: (id, fingerprint, response) => repository.complete(id, response, config.ttlSeconds),
+            release: id => repository.release(id)
+        }
+    };
+
+    // Reserve the key in Redis, falling back to MySQL; returns the store used, or the existing record
+    async function reserve(id, fingerprint) {
+        if (redisAvailable(redis, breaker)) {
+            try {
+                const store = stores.redis;
+                return (await store.reserve(id, fingerprint)) ? { store } : { store, existing: await store.get(id) };
+            } catch (error) {
+                logger.warn('Idempotency key store failed in Redis; using MySQL', { error: error.message });
+            }
+        }
+        const store = stores.mysql;
+        return (await store.reserve(id, fingerprint)) ? { store } : { store, existing: await store.get(id) };
+    }
+
+    return async function handleIdempotencyKey(req, res, next) {
+        const key = req.get('Idempotency-Key');
+        if (key === undefined || !IDEMPOTENT_METHODS.includes(req.method)) return next();
+
+        if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+            return res.status(400).json({
+                error: 'Idempotency-Key must be 1-255 visible ASCII characters',
+                code: 'INVALID_IDEMPOTENCY_KEY'
+            });
+        }
+
+        const id = { userId: req.user.id, key };
+        const fingerprint = requestFingerprint(req);
+        let reservation;
+        try {
+            reservation = await reserve(id, fingerprint);
+        } catch (error) {
+            logger.error('Idempotency key check failed', { correlationId: req.correlationId, error: error.message });
+            return res.status(503).json({ error: 'Idempotency keys are temporarily unavailable; retry shortly' });
+        }
+
+        const { store, existing } = reservation;
+        if (existing !== undefined) {
+            // The record expired between the reservation attempt and the read: treat the key as in progress
+            const record = existing || { fingerprint, response: null };
+            if (record.fingerprint !== fingerprint) {
+                requests.labels('mismatch').inc();
+                return res.status(422).json({
+                    error: 'Idempotency-Key was already used for a different request',
+                    code: 'IDEMPOTENCY_KEY_REUSED'
+                });
+            }
+            if (!record.response) {
+                requests.labels('in_progress').inc();
+                res.setHeader('Retry-After', 1);
+                return res.status(409).json({
+                    error: 'A request with this Idempotency-Key is still being processed',
+                    code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+                });
+            }
+
+            requests.labels('replayed').inc();
+            logger.info('Replaying idempotent response', {
+                correlationId: req.correlationId,
+                userId: req.user.id,
+                statusCode: record.response.statusCode
+            });
+            res.set(record.response.headers);
+            res.setHeader('Idempotent-Replayed', 'true');
+            return res.status(record.response.statusCode).json(record.response.body);
+        }
+
+        requests.labels('new').inc();
+        // The response is settled once the route calls res.json; store it before it is sent
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const statusCode = res.statusCode;
+            const saved = statusCode >= 500
+                ? store.release(id)
+                : store.complete(id, fingerprint, {
+                    statusCode,
+                    headers: Object.fromEntries(
+                        IDEMPOTENCY_REPLAYED_HEADERS.filter(name => res.get(name)).map(name => [name, res.get(name)])
+                    ),
+                    body
+                });
+            saved.catch((error) => {
+                logger.error('Failed to store idempotent response', { correlationId: req.correlationId, error: error.message });
+            });
+            return json(body);
+        };
+        next();
+    };
+}
+
+module.exports = {
+    createIdempotencyHandler
+};
@@ -0,0 +1,60 @@
+/**
+ * ISBN helpers
+ * Check-digit validation and ISBN-10/ISBN-13 conversion. Books store the
+ * canonical ISBN-13 in books.isbn and the form they were entered in in
+ * books.isbn_display.
+ */
+
+function cleanISBN(isbn) {
+    return String(isbn).replace(/[-\s]/g, '').toUpperCase();
+}
+
+// Check digit for the first 9 digits of an ISBN-10 (weights 10..2, mod 11)
+function isbn10CheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < 9; i++) sum += Number(digits[i]) * (10 - i);
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? 'X' : String(check);
+}
+
+// Check digit for the first 12 digits of an ISBN-13 (alternating weights 1 and 3, mod 10)
+function isbn13CheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < 12; i++) sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+    return String((10 - (sum % 10)) % 10);
+}
+
+function validateISBN(isbn) {
+    if (typeof isbn !== 'string') return false;
+    const clean = cleanISBN(isbn);
+
+    if (/^\d{9}[\dX]$/.test(clean)) return isbn10CheckDigit(clean) === clean[9];
+    if (/^97[89]\d{10}$/.test(clean)) return isbn13CheckDigit(clean) === clean[12];
+    return false;
+}
+
+// Canonical ISBN-13 for a valid ISBN-10 or ISBN-13, or null
+function toISBN13(isbn) {
+    if (!validateISBN(isbn)) return null;
+    const clean = cleanISBN(isbn);
+    if (clean.length === 13) return clean;
+
+    const digits = `978${clean.slice(0, 9)}`;
+    return digits + isbn13CheckDigit(digits);
+}
+
+// ISBN-10 for a valid ISBN; null for 979-prefixed ISBN-13s, which have no ISBN-10 form
+function toISBN10(isbn) {
+    const isbn13 = toISBN13(isbn);
+    if (!isbn13 || !isbn13.startsWith('978')) return null;
+
+    const digits = isbn13.slice(3, 12);
+    return digits + isbn10CheckDigit(digits);
+}
+
+module.exports = {
+    cleanISBN,
+    validateISBN,
+    toISBN13,
+    toISBN10
+};
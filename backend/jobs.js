@@ -0,0 +1,184 @@
+/**
+ * Background jobs
+ * Periodic work each replica runs next to serving requests: low-stock alerts,
+ * trash retention, webhook deliveries and purging expired idempotency keys.
+ * startJobs() starts them all against the given services and returns stop().
+ *
+ * Low-stock alerts: a periodic check sends one alert per book when its stock
+ * drops to or below its reorder_threshold. Each alert is claimed in
+ * low_stock_alerts first (book_id is the primary key), so replicas checking at
+ * the same time and restarted replicas never send it twice. Once the book is
+ * restocked above its threshold the claim is removed and the next drop alerts again.
+ *
+ * LOW_STOCK_ALERT_SINK picks where alerts go:
+ *   log       a warning in the application log (default)
+ *   webhook   JSON POST to LOW_STOCK_WEBHOOK_URL
+ *   redis     XADD to the LOW_STOCK_STREAM Redis stream
+ *
+ * Trash retention: DELETE /api/books/:id moves a book to the trash by setting
+ * deleted_at. Trashed books can be restored until they are purged: by an
+ * admin, or by this job once they have been in the trash for
+ * TRASH_RETENTION_DAYS (0 keeps them until an admin purges them). Books that
+ * orders refer to cannot be hard-deleted and stay in the trash.
+ *
+ * Webhooks: every change event is also queued for the webhooks subscribed to
+ * it and delivered by WebhookService. Deliveries are queued in MySQL, so this
+ * poll picks up retries that fell due and deliveries queued by replicas that
+ * stopped before sending them.
+ */
+
+const { redisAvailable } = require('./clients');
+
+const IDEMPOTENCY_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Sink name -> async send(alert); a thrown error leaves the alert to be retried on the next check
+function createLowStockSinks({ config, redis, breaker, logger }) {
+    return {
+        log: async (alert) => {
+            logger.warn('Book stock is at or below its reorder threshold', { correlationId: 'low-stock', ...alert });
+        },
+        webhook: async (alert) => {
+            const response = await fetch(config.webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ type: 'book.low_stock', data: alert }),
+                signal: AbortSignal.timeout(config.webhookTimeoutMs)
+            });
+            if (!response.ok) throw new Error(`Webhook responded with HTTP ${response.status}`);
+        },
+        redis: async (alert) => {
+            if (!redisAvailable(redis, breaker)) throw new Error('Redis is not connected');
+            const fields = Object.fromEntries(Object.entries(alert).map(([field, value]) => [field, String(value)]));
+            await breaker.exec(() => redis.xAdd(config.stream, '*', fields, {
+                TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: config.streamMaxLength }
+            }));
+        }
+    };
+}
+
+/**
+ * A low-stock check that never overlaps itself; resolves once the check is done
+ * @param {object} deps
+ * @param {object} deps.config      low-stock config (config.lowStock)
+ * @param {object} deps.alerts      LowStockAlertRepository
+ * @param {function} deps.send      async send(alert) of the configured sink
+ * @param {object} deps.metrics     from createMetrics() (metrics.js)
+ * @param {object} deps.logger      winston logger
+ */
+function createLowStockCheck({ config, alerts, send, metrics, logger }) {
+    let running = false;
+
+    return async function checkLowStock() {
+        if (running) return;
+        running = true;
+
+        try {
+            // Re-arm books that were restocked (or had their threshold lowered) since their last alert
+            await alerts.rearm();
+
+            for (const book of await alerts.findUnclaimed()) {
+                // Another replica may have claimed this book since the SELECT
+                if (!await alerts.claim(book)) continue;
+
+                const alert = {
+                    bookId: book.id,
+                    title: book.title,
+                    isbn: book.isbn,
+                    stock: book.stock,
+                    reorderThreshold: book.reorder_threshold,
+                    reorderQuantity: book.reorder_quantity,
+                    detectedAt: new Date().toISOString()
+                };
+                try {
+                    await send(alert);
+                    metrics.lowStockAlerts.labels(config.sink, 'sent').inc();
+                } catch (error) {
+                    metrics.lowStockAlerts.labels(config.sink, 'failed').inc();
+                    logger.warn('Low-stock alert could not be sent; retrying on the next check', {
+                        correlationId: 'low-stock',
+                        sink: config.sink,
+                        bookId: book.id,
+                        error: error.message
+                    });
+                    await alerts.release(book.id);
+                }
+            }
+        } catch (error) {
+            logger.error('Low-stock check failed', { correlationId: 'low-stock', error: error.message });
+        } finally {
+            running = false;
+        }
+    };
+}
+
+// Run job now and every intervalMs; the timer does not keep the process alive
+function every(intervalMs, job) {
+    const timer = setInterval(job, intervalMs);
+    timer.unref();
+    job();
+    return timer;
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.config    loaded config (see config.js)
+ * @param {object} deps.services  the container from container.js
+ * @param {object} deps.redis     node-redis client, or null
+ * @param {object} deps.breaker   circuit breaker Redis commands run through
+ * @param {object} deps.metrics   from createMetrics() (metrics.js)
+ * @param {object} deps.logger    winston logger
+ * @returns {{ stop(): void }}
+ */
+function startJobs({ config, services, redis = null, breaker, metrics, logger }) {
+    const { lowStock: lowStockConfig, trash: trashConfig, webhooks: webhookConfig } = config;
+    const timers = [];
+
+    // LOW_STOCK_ALERT_SINK is one of the sinks (checked by config.js)
+    const checkLowStock = createLowStockCheck({
+        config: lowStockConfig,
+        alerts: services.lowStockAlertRepository,
+        send: createLowStockSinks({ config: lowStockConfig, redis, breaker, logger })[lowStockConfig.sink],
+        metrics,
+        logger
+    });
+    timers.push(every(lowStockConfig.intervalMs, checkLowStock));
+    logger.info('Low-stock alerts enabled', {
+        correlationId: 'init',
+        sink: lowStockConfig.sink,
+        intervalSeconds: lowStockConfig.intervalMs / 1000
+    });
+
+    if (trashConfig.retentionDays > 0) {
+        timers.push(every(trashConfig.intervalMs, () => services.bookService.purgeExpiredTrash()));
+        logger.info('Trash retention enabled', {
+            correlationId: 'init',
+            retentionDays: trashConfig.retentionDays,
+            intervalSeconds: trashConfig.intervalMs / 1000
+        });
+    } else {
+        logger.info('Trash retention disabled; trashed books are kept until an admin purges them', { correlationId: 'init' });
+    }
+
+    timers.push(every(webhookConfig.pollIntervalMs, () => services.webhookService.processDeliveries()));
+
+    // Expired MySQL records are also skipped on read; this only keeps the table small
+    const purgeIdempotencyKeys = setInterval(async () => {
+        try {
+            await services.idempotencyRepository.purgeExpired(10000);
+        } catch (error) {
+            logger.warn('Failed to purge expired idempotency keys', { error: error.message });
+        }
+    }, IDEMPOTENCY_PURGE_INTERVAL_MS);
+    purgeIdempotencyKeys.unref();
+    timers.push(purgeIdempotencyKeys);
+
+    return {
+        stop() {
+            for (const timer of timers) clearInterval(timer);
+        }
+    };
+}
+
+module.exports = {
+    startJobs
+};
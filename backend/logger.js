@@ -0,0 +1,35 @@
+/**
+ * Structured logging
+ * A winston logger writing JSON-formatted entries to the console. Every entry
+ * should carry a correlationId: the request's, or a name for background work
+ * ('init', 'redis', 'low-stock', 'shutdown', ...).
+ */
+
+const winston = require('winston');
+
+/**
+ * @param {object} config loaded config (see config.js); uses logLevel
+ */
+function createLogger(config) {
+    return winston.createLogger({
+        level: config.logLevel,
+        format: winston.format.combine(
+            winston.format.timestamp(),
+            winston.format.errors({ stack: true }),
+            winston.format.json()
+        ),
+        defaultMeta: { service: 'bookstore-api' },
+        transports: [
+            new winston.transports.Console({
+                format: winston.format.combine(
+                    winston.format.colorize(),
+                    winston.format.simple()
+                )
+            })
+        ]
+    });
+}
+
+module.exports = {
+    createLogger
+};
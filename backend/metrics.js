@@ -0,0 +1,208 @@
+/**
+ * Prometheus metrics
+ * createMetrics() builds a registry with the default process metrics and every
+ * counter and histogram the app records to. watchState() adds the gauges read
+ * at scrape time from the clients, the circuit breakers and the catalogue.
+ * Each app gets its own registry, served on /api/metrics.
+ */
+
+const promClient = require('prom-client');
+
+const CIRCUIT_STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+function createMetrics() {
+    const register = new promClient.Registry();
+    promClient.collectDefaultMetrics({ register });
+
+    const counter = (name, help, labelNames = []) => new promClient.Counter({ name, help, labelNames, registers: [register] });
+
+    return {
+        register,
+        httpRequestDuration: new promClient.Histogram({
+            name: 'http_request_duration_seconds',
+            help: 'Duration of HTTP requests in seconds',
+            labelNames: ['method', 'route', 'status_code'],
+            registers: [register]
+        }),
+        httpRequestTotal: counter('http_requests_total', 'Total number of HTTP requests', ['method', 'route', 'status_code']),
+        cache: {
+            requests: counter('cache_requests_total', 'Cache lookups by result (hit, stale, miss, bypass when Redis is unavailable)', ['cache', 'result']),
+            errors: counter('cache_errors_total', 'Failed Redis cache operations', ['operation']),
+            coalesced: counter('cache_coalesced_total', 'Cache misses that waited for a load already in progress instead of querying MySQL', ['cache'])
+        },
+        lowStockAlerts: counter('low_stock_alerts_total', 'Low-stock alerts by sink and outcome (sent, failed)', ['sink', 'status']),
+        webhookDeliveries: counter(
+            'webhook_deliveries_total',
+            'Webhook delivery attempts by outcome (succeeded, retrying, failed once attempts run out)',
+            ['status']
+        ),
+        rateLimitRejections: counter(
+            'rate_limit_rejections_total',
+            'Requests rejected with 429 by policy and counter store (redis, or memory while Redis is down)',
+            ['policy', 'store']
+        ),
+        idempotencyRequests: counter(
+            'idempotency_requests_total',
+            'Requests with an Idempotency-Key by outcome (new, replayed, mismatch, in_progress)',
+            ['result']
+        ),
+        booksPurged: counter('books_purged_total', 'Books hard-deleted from the trash, by an admin or by the retention job', ['trigger']),
+        graphqlOperations: counter(
+            'graphql_operations_total',
+            'GraphQL operations by type and result (success, error: executed with errors, rejected: not executed)',
+            ['type', 'result']
+        ),
+        circuitBreakerTransitions: counter('circuit_breaker_transitions_total', 'Circuit breaker transitions by dependency and the state entered', ['dependency', 'state']),
+        mysqlRetries: counter(
+            'mysql_retries_total',
+            'MySQL calls retried after a transient error, by operation (query, execute, getConnection)',
+            ['operation']
+        ),
+        dbQueryDuration: new promClient.Histogram({
+            name: 'mysql_query_duration_seconds',
+            help: 'Duration of MySQL queries in seconds by statement type',
+            labelNames: ['operation', 'status'],
+            buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+            registers: [register]
+        })
+    };
+}
+
+/**
+ * Inventory totals from one aggregate query, shared by the inventory gauges and
+ * the GraphQL inventory field and reused for ttlSeconds, so frequent scrapes
+ * from several replicas stay cheap. get() resolves to { titles, units, lowStock, value }.
+ * @param {object} repository BookRepository
+ * @param {number} ttlSeconds INVENTORY_METRICS_TTL
+ */
+function createInventoryStats(repository, ttlSeconds) {
+    let stats = { at: 0, promise: null };
+
+    return {
+        get() {
+            if (!stats.promise || Date.now() - stats.at > ttlSeconds * 1000) {
+                const promise = repository.inventoryStats();
+                // A failed query is retried on the next call rather than cached
+                promise.catch(() => {
+                    if (stats.promise === promise) stats = { at: 0, promise: null };
+                });
+                stats = { at: Date.now(), promise };
+            }
+            return stats.promise;
+        }
+    };
+}
+
+/**
+ * Register the gauges read at scrape time.
+ * @param {object} metrics    from createMetrics()
+ * @param {object} deps
+ * @param {object} deps.db        mysql2 promise pool (its pool usage is read when it has one)
+ * @param {number} deps.connectionLimit DB_CONNECTION_LIMIT
+ * @param {object} deps.redis     node-redis client, or null
+ * @param {object} deps.breakers  { mysql, redis } circuit breakers
+ * @param {object} deps.events    event hub (see events.js), for its client count
+ * @param {object} deps.inventory from createInventoryStats()
+ * @param {object} deps.logger    winston logger
+ */
+function watchState(metrics, { db, connectionLimit, redis, breakers, events, inventory, logger }) {
+    const { register } = metrics;
+
+    new promClient.Gauge({
+        name: 'circuit_breaker_state',
+        help: 'Circuit breaker state per dependency: 0 closed, 1 half-open (trial call allowed), 2 open (calls fail fast)',
+        labelNames: ['dependency'],
+        registers: [register],
+        collect() {
+            for (const [dependency, breaker] of Object.entries(breakers)) {
+                this.labels(dependency).set(CIRCUIT_STATE_VALUES[breaker.state]);
+            }
+        }
+    });
+
+    new promClient.Gauge({
+        name: 'events_connected_clients',
+        help: 'Browsers connected to the /api/events stream on this instance',
+        registers: [register],
+        collect() {
+            this.set(events.clientCount);
+        }
+    });
+
+    // MySQL: pool usage read from the mysql2 pool on every scrape, query timings from instrumentPool()
+    new promClient.Gauge({
+        name: 'mysql_pool_connections',
+        help: 'MySQL pool connections: active (checked out), idle, and queued requests waiting for one',
+        labelNames: ['state'],
+        registers: [register],
+        collect() {
+            const core = db.pool;
+            if (!core) return;
+            const all = core._allConnections.length;
+            const idle = core._freeConnections.length;
+            this.set({ state: 'active' }, all - idle);
+            this.set({ state: 'idle' }, idle);
+            this.set({ state: 'queued' }, core._connectionQueue.length);
+        }
+    });
+
+    new promClient.Gauge({
+        name: 'mysql_pool_connection_limit',
+        help: 'Maximum number of connections in the MySQL pool',
+        registers: [register],
+        collect() {
+            this.set(connectionLimit);
+        }
+    });
+
+    // Redis: connection state and a PING round trip measured on every scrape
+    new promClient.Gauge({
+        name: 'redis_up',
+        help: '1 when the Redis connection is ready, 0 otherwise',
+        registers: [register],
+        collect() {
+            this.set(redis?.isReady ? 1 : 0);
+        }
+    });
+
+    new promClient.Gauge({
+        name: 'redis_ping_duration_seconds',
+        help: 'Round trip of a Redis PING at scrape time (NaN while Redis is down)',
+        registers: [register],
+        async collect() {
+            this.set(NaN);
+            if (!redis?.isReady || breakers.redis.rejecting) return;
+            const start = process.hrtime.bigint();
+            try {
+                await breakers.redis.exec(() => redis.ping());
+                this.set(Number(process.hrtime.bigint() - start) / 1e9);
+            } catch (error) {
+                logger.warn('Redis ping for metrics failed', { error: error.message });
+            }
+        }
+    });
+
+    const inventoryGauge = (name, help, field) => new promClient.Gauge({
+        name,
+        help,
+        registers: [register],
+        async collect() {
+            try {
+                this.set(Number((await inventory.get())[field]));
+            } catch (error) {
+                logger.warn('Inventory metrics query failed', { metric: name, error: error.message });
+            }
+        }
+    });
+
+    inventoryGauge('bookstore_book_titles', 'Number of books (titles) in the catalogue', 'titles');
+    inventoryGauge('bookstore_stock_units', 'Total units in stock across all books', 'units');
+    inventoryGauge('bookstore_low_stock_titles', 'Books with stock at or below their reorder threshold', 'lowStock');
+    inventoryGauge('bookstore_inventory_value', 'Sum of price x stock over all books', 'value');
+}
+
+module.exports = {
+    createMetrics,
+    createInventoryStats,
+    watchState
+};
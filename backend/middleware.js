@@ -0,0 +1,58 @@
+/**
+ * Request helpers shared by the app, the rate limiter and the routers
+ */
+
+const { validators, bodyValidators, formatSchemaErrors } = require('./validation');
+
+// Path from the app's root; req.path is relative inside a router mounted at a base path (routes/)
+function requestPath(req) {
+    return req.originalUrl.split('?')[0];
+}
+
+/**
+ * Request validation against the schemas in validation.js. Returns
+ * validateRequest(spec), a middleware validating (and, for params and query,
+ * coercing) req.params, req.query and req.body against the named schemas, e.g.
+ * validateRequest({ params: 'IdParams', body: 'BookPatch' }), and
+ * sendValidationError(req, res, details). Every failing field is reported at once.
+ * @param {object} logger winston logger
+ */
+function createValidation(logger) {
+    function sendValidationError(req, res, details) {
+        logger.warn('Request validation failed', {
+            correlationId: req.correlationId,
+            path: requestPath(req),
+            fields: details.map(detail => detail.field)
+        });
+        res.status(400).json({
+            error: 'Request validation failed',
+            code: 'VALIDATION_FAILED',
+            details
+        });
+    }
+
+    function validateRequest(spec) {
+        return (req, res, next) => {
+            const details = [];
+            for (const location of ['params', 'query', 'body']) {
+                if (!spec[location]) continue;
+                const validate = (location === 'body' ? bodyValidators : validators)[spec[location]];
+                if (!validate(req[location])) {
+                    details.push(...formatSchemaErrors(validate.errors, location));
+                }
+            }
+
+            if (details.length > 0) {
+                return sendValidationError(req, res, details);
+            }
+            next();
+        };
+    }
+
+    return { validateRequest, sendValidationError };
+}
+
+module.exports = {
+    requestPath,
+    createValidation
+};
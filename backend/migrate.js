@@ -0,0 +1,192 @@
+/**
+ * Database migrations
+ * Applies the numbered files in ./migrations in order and records each one in
+ * the schema_migrations table. A migration is either a pair of SQL files
+ * (NNN_name.up.sql / NNN_name.down.sql) or a module (NNN_name.js) exporting
+ * up(connection, { logger }) and down(connection, { logger }).
+ *
+ * Every run holds a MySQL named lock, so backend replicas starting together
+ * apply pending migrations once while the others wait.
+ *
+ * CLI: npm run migrate up | down [steps] | status
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const { loadConfig, ConfigError } = require('./config');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'bookstore_schema_migrations';
+const DEFAULT_LOCK_TIMEOUT_SECONDS = 60;
+
+// Console logger for the CLI, with the winston method names used by the server
+const consoleLogger = {
+    info: (message, meta = {}) => console.log(message, Object.keys(meta).length ? JSON.stringify(meta) : ''),
+    warn: (message, meta = {}) => console.warn(message, Object.keys(meta).length ? JSON.stringify(meta) : ''),
+    error: (message, meta = {}) => console.error(message, Object.keys(meta).length ? JSON.stringify(meta) : '')
+};
+
+// Read ./migrations into [{ version, name, up, down }] sorted by version
+function loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+        const match = file.match(/^(\d+)_(\w+?)(?:\.(up|down))?\.(sql|js)$/);
+        if (!match) continue;
+        const [, version, name, direction, extension] = match;
+
+        if (!migrations.has(version)) migrations.set(version, { version, name });
+        const migration = migrations.get(version);
+        const filePath = path.join(MIGRATIONS_DIR, file);
+
+        if (extension === 'js') {
+            const { up, down } = require(filePath);
+            Object.assign(migration, { up, down });
+        } else if (direction) {
+            const sql = fs.readFileSync(filePath, 'utf8');
+            migration[direction] = connection => connection.query(sql);
+        }
+    }
+
+    return [...migrations.values()];
+}
+
+// Run fn(connection) on a dedicated multi-statement connection holding the migration lock.
+// dbConfig is config.db, optionally with lockTimeoutSeconds from config.migrations
+async function withMigrationLock(dbConfig, fn) {
+    const { host, port, user, password, database, lockTimeoutSeconds = DEFAULT_LOCK_TIMEOUT_SECONDS } = dbConfig;
+    const connection = await mysql.createConnection({ host, port, user, password, database, multipleStatements: true });
+
+    try {
+        const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, lockTimeoutSeconds]);
+        if (acquired !== 1) {
+            throw new Error(`Timed out after ${lockTimeoutSeconds}s waiting for the migration lock`);
+        }
+
+        try {
+            await connection.query(
+                `CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version VARCHAR(20) PRIMARY KEY,
+                    name VARCHAR(255) NOT NULL,
+                    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+            );
+            return await fn(connection);
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+        }
+    } finally {
+        await connection.end();
+    }
+}
+
+async function getAppliedVersions(connection) {
+    const [rows] = await connection.query('SELECT version, applied_at FROM schema_migrations');
+    return new Map(rows.map(row => [row.version, row.applied_at]));
+}
+
+// Apply every pending migration; returns the ones applied
+async function migrateUp(dbConfig, logger = consoleLogger) {
+    return withMigrationLock(dbConfig, async (connection) => {
+        const applied = await getAppliedVersions(connection);
+        const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+        for (const migration of pending) {
+            if (!migration.up) throw new Error(`Migration ${migration.version}_${migration.name} has no up step`);
+
+            logger.info('Applying migration', { version: migration.version, name: migration.name });
+            // MySQL commits DDL implicitly, so a failed migration is not rolled back: fix it and rerun
+            await migration.up(connection, { logger });
+            await connection.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        }
+
+        if (pending.length === 0) {
+            logger.info('Database schema is up to date');
+        }
+        return pending;
+    });
+}
+
+// Revert the most recently applied migrations (one by default); returns the ones reverted
+async function migrateDown(dbConfig, logger = consoleLogger, steps = 1) {
+    return withMigrationLock(dbConfig, async (connection) => {
+        const applied = await getAppliedVersions(connection);
+        const targets = loadMigrations()
+            .filter(migration => applied.has(migration.version))
+            .reverse()
+            .slice(0, steps);
+
+        for (const migration of targets) {
+            if (!migration.down) throw new Error(`Migration ${migration.version}_${migration.name} has no down step`);
+
+            logger.info('Reverting migration', { version: migration.version, name: migration.name });
+            await migration.down(connection, { logger });
+            await connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+        return targets;
+    });
+}
+
+// [{ version, name, appliedAt }] for every known migration; appliedAt is null when pending
+async function migrationStatus(dbConfig) {
+    return withMigrationLock(dbConfig, async (connection) => {
+        const applied = await getAppliedVersions(connection);
+        return loadMigrations().map(({ version, name }) => ({
+            version,
+            name,
+            appliedAt: applied.get(version) || null
+        }));
+    });
+}
+
+module.exports = {
+    migrateUp,
+    migrateDown,
+    migrationStatus
+};
+
+// ===================
+// CLI
+// ===================
+if (require.main === module) {
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        console.error(error.message);
+        process.exit(1);
+    }
+    const { host, port, user, password, database } = config.db;
+    const dbConfig = { host, port, user, password, database, lockTimeoutSeconds: config.migrations.lockTimeoutSeconds };
+    const [command, argument] = process.argv.slice(2);
+
+    const commands = {
+        up: () => migrateUp(dbConfig),
+        down: async () => {
+            const steps = argument === undefined ? 1 : parseInt(argument);
+            if (!(steps > 0)) throw new Error('Usage: npm run migrate down [steps], where steps is a positive integer');
+            return migrateDown(dbConfig, consoleLogger, steps);
+        },
+        status: async () => {
+            for (const migration of await migrationStatus(dbConfig)) {
+                const state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+                console.log(`${migration.version}_${migration.name}  ${state}`);
+            }
+        }
+    };
+
+    if (!commands[command]) {
+        console.error('Usage: npm run migrate up | down [steps] | status');
+        process.exit(1);
+    }
+
+    commands[command]().then(
+        () => process.exit(0),
+        (error) => {
+            console.error(`Migration ${command} failed: ${error.message}`);
+            process.exit(1);
+        }
+    );
+}
@@ -0,0 +1,109 @@
+/**
+ * Migration 001: initial schema and sample data
+ * The schema previously shipped as database/init.sql. CREATE TABLE IF NOT EXISTS
+ * and ON DUPLICATE KEY keep it safe to apply to a database created by that
+ * script, whose books table has no version column: it is added here when
+ * missing, since every later write to books increments it.
+ */
+
+async function up(connection, { logger }) {
+    await connection.query(`
+        -- Create books table
+        CREATE TABLE IF NOT EXISTS books (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            title VARCHAR(255) NOT NULL,
+            author VARCHAR(255) NOT NULL,
+            isbn VARCHAR(20) UNIQUE NOT NULL,
+            price DECIMAL(10, 2) DEFAULT 0.00,
+            stock INT DEFAULT 0,
+            version INT NOT NULL DEFAULT 1,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_title (title),
+            INDEX idx_author (author),
+            INDEX idx_isbn (isbn)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+        -- Create users table (passwords are bcrypt hashes; the first admin is created by the backend
+        -- from ADMIN_USERNAME/ADMIN_PASSWORD on startup)
+        CREATE TABLE IF NOT EXISTS users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(50) UNIQUE NOT NULL,
+            password_hash VARCHAR(255) NOT NULL,
+            role ENUM('viewer', 'clerk', 'admin') NOT NULL DEFAULT 'viewer',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+        -- Create orders tables (stock is decremented transactionally by POST /api/orders)
+        CREATE TABLE IF NOT EXISTS orders (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            status ENUM('pending', 'paid', 'shipped', 'cancelled') NOT NULL DEFAULT 'pending',
+            total DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_user (user_id),
+            INDEX idx_status (status),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+        CREATE TABLE IF NOT EXISTS order_items (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            order_id INT NOT NULL,
+            book_id INT NOT NULL,
+            quantity INT NOT NULL,
+            unit_price DECIMAL(10, 2) NOT NULL,
+            INDEX idx_order (order_id),
+            INDEX idx_book (book_id),
+            FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+            FOREIGN KEY (book_id) REFERENCES books(id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+        -- Create book history table (before/after snapshots of every book mutation)
+        CREATE TABLE IF NOT EXISTS book_history (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            book_id INT NOT NULL,
+            action ENUM('create', 'update', 'delete', 'restore', 'stock') NOT NULL,
+            before_data JSON NULL,
+            after_data JSON NULL,
+            user_id INT NULL,
+            correlation_id VARCHAR(64) NULL,
+            created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+            INDEX idx_book_created (book_id, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    const [columns] = await connection.query(
+        "SELECT COUNT(*) AS count FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'books' AND column_name = 'version'"
+    );
+    if (columns[0].count === 0) {
+        await connection.query('ALTER TABLE books ADD COLUMN version INT NOT NULL DEFAULT 1 AFTER stock');
+        logger.info('Added books.version to a books table created by init.sql');
+    }
+
+    await connection.query(`
+        INSERT INTO books (title, author, isbn, price, stock) VALUES
+            ('The Pragmatic Programmer', 'David Thomas, Andrew Hunt', '978-0135957059', 49.99, 25),
+            ('Clean Code', 'Robert C. Martin', '978-0132350884', 39.99, 30),
+            ('Design Patterns', 'Gang of Four', '978-0201633610', 54.99, 15),
+            ('Kubernetes in Action', 'Marko Luksa', '978-1617293726', 59.99, 20),
+            ('Docker Deep Dive', 'Nigel Poulton', '978-1521822807', 29.99, 35),
+            ('OpenShift for Developers', 'Grant Shipley', '978-1491961438', 44.99, 18),
+            ('Site Reliability Engineering', 'Google SRE Team', '978-1491929124', 49.99, 22),
+            ('The DevOps Handbook', 'Gene Kim et al.', '978-1942788003', 34.99, 28)
+        ON DUPLICATE KEY UPDATE stock = stock;
+    `);
+}
+
+async function down(connection) {
+    await connection.query(`
+        DROP TABLE IF EXISTS book_history;
+        DROP TABLE IF EXISTS order_items;
+        DROP TABLE IF EXISTS orders;
+        DROP TABLE IF EXISTS users;
+        DROP TABLE IF EXISTS books;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+/**
+ * Migration 002: store ISBNs canonically as ISBN-13
+ * Adds books.isbn_display and rewrites each row's isbn as its ISBN-13, keeping
+ * the original in isbn_display. Rows with an invalid check digit keep their
+ * ISBN; rows whose ISBN-13 is already taken by another book are skipped with a
+ * warning and have to be merged by hand.
+ */
+
+const { toISBN13 } = require('../isbn');
+
+async function up(connection, { logger }) {
+    const [columns] = await connection.query(
+        "SELECT COUNT(*) AS count FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'books' AND column_name = 'isbn_display'"
+    );
+    if (columns[0].count === 0) {
+        await connection.query('ALTER TABLE books ADD COLUMN isbn_display VARCHAR(20) NULL AFTER isbn');
+    }
+
+    const [rows] = await connection.query('SELECT id, isbn FROM books WHERE isbn_display IS NULL');
+    let normalized = 0;
+    for (const row of rows) {
+        const isbn = toISBN13(row.isbn);
+        if (!isbn) {
+            logger.warn('Stored ISBN has an invalid check digit; left unchanged', { bookId: row.id, isbn: row.isbn });
+            await connection.query('UPDATE books SET isbn_display = isbn WHERE id = ?', [row.id]);
+            continue;
+        }
+
+        try {
+            await connection.query(
+                'UPDATE books SET isbn = ?, isbn_display = ?, version = version + 1 WHERE id = ?',
+                [isbn, row.isbn, row.id]
+            );
+            normalized++;
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
+            logger.warn('Stored ISBN duplicates another book once normalized; resolve manually', {
+                bookId: row.id,
+                isbn: row.isbn,
+                normalizedIsbn: isbn
+            });
+        }
+    }
+
+    logger.info('Normalized stored ISBNs to ISBN-13', { count: normalized });
+}
+
+// Put the entered form back into isbn; every book has a distinct ISBN-13, so
+// their display forms cannot collide on the unique index
+async function down(connection) {
+    await connection.query('UPDATE books SET isbn = isbn_display WHERE isbn_display IS NOT NULL');
+    await connection.query('ALTER TABLE books DROP COLUMN isbn_display');
+}
+
+module.exports = { up, down };
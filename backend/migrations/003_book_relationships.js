@@ -0,0 +1,128 @@
+/**
+ * Migration 003: authors, categories and tags
+ * Creates the entity tables and their many-to-many joins with books, then
+ * links every existing book to authors split out of its free-text author
+ * column ('David Thomas, Andrew Hunt' -> two authors). The author column is
+ * kept as the book's credit line.
+ */
+
+// 'A, B and C' / 'A & B' / 'A et al.' -> ['A', 'B', 'C']
+function splitAuthorNames(author) {
+    return author
+        .replace(/\s+et al\.?$/i, '')
+        .split(/\s*(?:,|&|\band\b)\s*/)
+        .map(name => name.trim())
+        .filter(Boolean);
+}
+
+// Sample classification for the books seeded by migration 001
+const SAMPLE_CATEGORIES = {
+    'Software Engineering': ['9780135957059', '9780132350884', '9780201633610'],
+    'DevOps & SRE': ['9781491929124', '9781942788003'],
+    'Containers & Cloud': ['9781617293726', '9781521822807', '9781491961438']
+};
+const SAMPLE_TAGS = {
+    'best practices': ['9780135957059', '9780132350884'],
+    kubernetes: ['9781617293726', '9781491961438'],
+    docker: ['9781521822807'],
+    openshift: ['9781491961438'],
+    reliability: ['9781491929124']
+};
+
+async function up(connection, { logger }) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS authors (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL UNIQUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+        CREATE TABLE IF NOT EXISTS categories (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL UNIQUE,
+            description VARCHAR(500) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+        CREATE TABLE IF NOT EXISTS tags (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(50) NOT NULL UNIQUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+        -- Authors and categories still linked to a book cannot be deleted (RESTRICT)
+        CREATE TABLE IF NOT EXISTS book_authors (
+            book_id INT NOT NULL,
+            author_id INT NOT NULL,
+            position SMALLINT NOT NULL DEFAULT 0,
+            PRIMARY KEY (book_id, author_id),
+            INDEX idx_author (author_id),
+            FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+            FOREIGN KEY (author_id) REFERENCES authors(id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+        CREATE TABLE IF NOT EXISTS book_categories (
+            book_id INT NOT NULL,
+            category_id INT NOT NULL,
+            PRIMARY KEY (book_id, category_id),
+            INDEX idx_category (category_id),
+            FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+            FOREIGN KEY (category_id) REFERENCES categories(id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+        CREATE TABLE IF NOT EXISTS book_tags (
+            book_id INT NOT NULL,
+            tag_id INT NOT NULL,
+            PRIMARY KEY (book_id, tag_id),
+            INDEX idx_tag (tag_id),
+            FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+            FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    const [books] = await connection.query('SELECT id, author FROM books');
+    for (const book of books) {
+        const names = splitAuthorNames(book.author);
+        for (const [position, name] of names.entries()) {
+            await connection.query('INSERT IGNORE INTO authors (name) VALUES (?)', [name]);
+            await connection.query(
+                `INSERT IGNORE INTO book_authors (book_id, author_id, position)
+                 SELECT ?, id, ? FROM authors WHERE name = ?`,
+                [book.id, position, name]
+            );
+        }
+    }
+    logger.info('Linked existing books to authors', { books: books.length });
+
+    for (const [name, isbns] of Object.entries(SAMPLE_CATEGORIES)) {
+        await connection.query('INSERT IGNORE INTO categories (name) VALUES (?)', [name]);
+        await connection.query(
+            `INSERT IGNORE INTO book_categories (book_id, category_id)
+             SELECT b.id, c.id FROM books b JOIN categories c ON c.name = ? WHERE b.isbn IN (?)`,
+            [name, isbns]
+        );
+    }
+    for (const [name, isbns] of Object.entries(SAMPLE_TAGS)) {
+        await connection.query('INSERT IGNORE INTO tags (name) VALUES (?)', [name]);
+        await connection.query(
+            `INSERT IGNORE INTO book_tags (book_id, tag_id)
+             SELECT b.id, t.id FROM books b JOIN tags t ON t.name = ? WHERE b.isbn IN (?)`,
+            [name, isbns]
+        );
+    }
+}
+
+async function down(connection) {
+    await connection.query(`
+        DROP TABLE IF EXISTS book_tags;
+        DROP TABLE IF EXISTS book_categories;
+        DROP TABLE IF EXISTS book_authors;
+        DROP TABLE IF EXISTS tags;
+        DROP TABLE IF EXISTS categories;
+        DROP TABLE IF EXISTS authors;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,5 @@
+-- Migration 004 (down): drop alert state and the reorder columns
+DROP TABLE IF EXISTS low_stock_alerts;
+ALTER TABLE books
+    DROP COLUMN reorder_quantity,
+    DROP COLUMN reorder_threshold;
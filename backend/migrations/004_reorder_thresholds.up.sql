@@ -0,0 +1,17 @@
+-- Migration 004: per-book reorder thresholds and low-stock alert state
+-- A book is low on stock when stock <= reorder_threshold; reorder_quantity is
+-- the suggested order size sent with its alert.
+
+ALTER TABLE books
+    ADD COLUMN reorder_threshold INT NOT NULL DEFAULT 5 AFTER stock,
+    ADD COLUMN reorder_quantity INT NOT NULL DEFAULT 20 AFTER reorder_threshold;
+
+-- One row per book whose low-stock alert has been sent and not yet cleared by a
+-- restock. Shared by every replica, so each crossing alerts once, across restarts too
+CREATE TABLE IF NOT EXISTS low_stock_alerts (
+    book_id INT PRIMARY KEY,
+    stock INT NOT NULL,
+    reorder_threshold INT NOT NULL,
+    alerted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
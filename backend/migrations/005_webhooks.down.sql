@@ -0,0 +1,3 @@
+-- Migration 005 (down): drop webhook subscriptions and their delivery log
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhooks;
@@ -0,0 +1,39 @@
+-- Migration 005: outbound webhooks
+-- Subscriptions, and a delivery queue that doubles as the delivery log. Rows are
+-- picked up by whichever replica polls first, so queued deliveries survive restarts.
+
+CREATE TABLE IF NOT EXISTS webhooks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    url VARCHAR(2048) NOT NULL,
+    -- HMAC key for the X-Bookstore-Signature header; kept readable because signing needs it
+    secret VARCHAR(255) NOT NULL,
+    -- JSON list of event types, or ["*"] for all of them
+    events JSON NOT NULL,
+    description VARCHAR(500) NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    webhook_id INT NOT NULL,
+    -- Shared by every delivery of the same event, so receivers can drop duplicates
+    event_id CHAR(36) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSON NOT NULL,
+    status ENUM('pending', 'delivering', 'succeeded', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    -- When the next attempt is due; while delivering, when the claim expires
+    next_attempt_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    last_attempt_at DATETIME(3) NULL,
+    response_status SMALLINT NULL,
+    last_error VARCHAR(1000) NULL,
+    redelivery_of BIGINT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_due (status, next_attempt_at),
+    INDEX idx_webhook (webhook_id, id),
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,2 @@
+-- Migration 006 (down): drop the idempotency key fallback store
+DROP TABLE IF EXISTS idempotency_keys;
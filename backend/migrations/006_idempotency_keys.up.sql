@@ -0,0 +1,16 @@
+-- Migration 006: idempotency keys
+-- Fallback store for Idempotency-Key records while Redis is unavailable. A row
+-- is reserved when a request starts (response NULL) and holds the response once
+-- it is known, until expires_at.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id INT NOT NULL,
+    idem_key VARCHAR(255) NOT NULL,
+    -- SHA-256 of method, URL and body: a reused key must come with the same request
+    fingerprint CHAR(64) NOT NULL,
+    response MEDIUMTEXT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, idem_key),
+    INDEX idx_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
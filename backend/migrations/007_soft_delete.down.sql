@@ -0,0 +1,16 @@
+-- Migration 007 (down): drop the trash columns and make every ISBN unique again
+-- Fails while a trashed book shares its ISBN with another book: purge it first.
+DELETE FROM book_history WHERE action = 'purge';
+ALTER TABLE book_history
+    MODIFY action ENUM('create', 'update', 'delete', 'restore', 'stock') NOT NULL;
+
+ALTER TABLE books
+    DROP FOREIGN KEY fk_books_deleted_by,
+    DROP INDEX uq_live_isbn,
+    ADD UNIQUE INDEX isbn (isbn);
+
+ALTER TABLE books
+    DROP INDEX idx_deleted_at,
+    DROP COLUMN live_isbn,
+    DROP COLUMN deleted_by,
+    DROP COLUMN deleted_at;
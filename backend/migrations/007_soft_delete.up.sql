@@ -0,0 +1,20 @@
+-- Migration 007: soft delete
+-- DELETE /api/books/:id now moves a book to the trash by setting deleted_at;
+-- it is hard-deleted by an admin purge or once TRASH_RETENTION_DAYS have passed.
+
+ALTER TABLE books
+    ADD COLUMN deleted_at DATETIME NULL,
+    ADD COLUMN deleted_by INT NULL,
+    -- The ISBN of a book that is not in the trash, so a trashed book's ISBN may be reused.
+    -- INVISIBLE keeps it out of SELECT *
+    ADD COLUMN live_isbn VARCHAR(20) AS (IF(deleted_at IS NULL, isbn, NULL)) STORED INVISIBLE,
+    ADD INDEX idx_deleted_at (deleted_at),
+    ADD CONSTRAINT fk_books_deleted_by FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE books
+    DROP INDEX isbn,
+    ADD UNIQUE INDEX uq_live_isbn (live_isbn);
+
+-- Hard deletes (purges) are recorded in the history too
+ALTER TABLE book_history
+    MODIFY action ENUM('create', 'update', 'delete', 'restore', 'stock', 'purge') NOT NULL;
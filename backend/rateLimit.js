@@ -0,0 +1,179 @@
+/**
+ * Rate limiting
+ * Fixed-window counters per policy and identity, kept in Redis so a limit holds
+ * across replicas. While Redis is unavailable each replica counts in memory, so
+ * the effective limit is multiplied by the number of replicas until it is back.
+ *
+ * Policies (requests per RATE_LIMIT_WINDOW seconds):
+ *   client       every /api request, by client IP
+ *   login        POST /api/auth/login, by client IP (password guessing)
+ *   user         authenticated requests, by user ID
+ *   book_write   POST/PUT/PATCH/DELETE under /api/books and GraphQL book mutations, by user ID
+ */
+
+const { redisAvailable } = require('./clients');
+const { requestPath } = require('./middleware');
+
+// Probes and scrapes come from inside the cluster and must never be throttled
+const RATE_LIMIT_EXEMPT_PATHS = ['/api/health', '/api/ready', '/api/metrics'];
+
+/**
+ * @param {object} deps
+ * @param {object} deps.config   rate limit config (config.rateLimit)
+ * @param {object} deps.redis    node-redis client, or null to count in memory only
+ * @param {object} deps.breaker  circuit breaker Redis commands run through
+ * @param {object} deps.metrics  from createMetrics() (metrics.js)
+ * @param {object} deps.logger   winston logger
+ */
+function createRateLimiter({ config, redis = null, breaker, metrics, logger }) {
+    const windowMs = config.windowSeconds * 1000;
+
+    // Window key -> { count, resetAt }, used while Redis is unavailable
+    const memoryCounts = new Map();
+    let nextSweepAt = Date.now() + windowMs;
+
+    function countInMemory(key, resetAt) {
+        const now = Date.now();
+        if (now >= nextSweepAt) {
+            for (const [windowKey, entry] of memoryCounts) {
+                if (entry.resetAt <= now) memoryCounts.delete(windowKey);
+            }
+            nextSweepAt = now + windowMs;
+        }
+
+        let entry = memoryCounts.get(key);
+        if (!entry) {
+            entry = { count: 0, resetAt };
+            memoryCounts.set(key, entry);
+        }
+        return ++entry.count;
+    }
+
+    // Count one request against policy/id; returns the count so far in the current window
+    async function hit(policy, id) {
+        const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+        const resetAt = windowStart + windowMs;
+        const key = `ratelimit:${policy}:${id}:${windowStart / 1000}`;
+
+        if (redisAvailable(redis, breaker)) {
+            try {
+                const [count] = await breaker.exec(() => redis.multi()
+                    .incr(key)
+                    .expire(key, config.windowSeconds)
+                    .exec());
+                return { count, resetAt, store: 'redis' };
+            } catch (error) {
+                logger.warn('Rate limit counter failed in Redis; counting in memory', { policy, error: error.message });
+            }
+        }
+
+        return { count: countInMemory(key, resetAt), resetAt, store: 'memory' };
+    }
+
+    function logRejection(req, policy) {
+        logger.warn('Rate limit exceeded', {
+            correlationId: req.correlationId,
+            policy,
+            client: req.ip,
+            userId: req.user?.id,
+            path: requestPath(req)
+        });
+    }
+
+    // IETF RateLimit header fields (draft-ietf-httpapi-ratelimit-headers)
+    function setHeaders(res, state) {
+        res.locals.rateLimit = state;
+        res.setHeader('RateLimit-Policy', `${state.limit};w=${config.windowSeconds}`);
+        res.setHeader('RateLimit-Limit', state.limit);
+        res.setHeader('RateLimit-Remaining', state.remaining);
+        res.setHeader('RateLimit-Reset', state.reset);
+    }
+
+    /**
+     * Count the request against each [policy, id] pair. Rejects with 429 on the
+     * first exceeded limit; otherwise sends RateLimit-* headers for the policy
+     * closest to its limit (across every check made for this request).
+     * Fails open: a counting error never blocks a request.
+     */
+    async function enforce(req, res, next, checks) {
+        if (!config.enabled) return next();
+
+        try {
+            for (const [policy, id] of checks) {
+                const limit = config.limits[policy];
+                const { count, resetAt, store } = await hit(policy, id);
+                const state = {
+                    policy,
+                    limit,
+                    remaining: Math.max(0, limit - count),
+                    reset: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+                };
+
+                if (count > limit) {
+                    setHeaders(res, state);
+                    res.setHeader('Retry-After', state.reset);
+                    metrics.rateLimitRejections.labels(policy, store).inc();
+                    logRejection(req, policy);
+                    return res.status(429).json({
+                        error: `Too many requests; try again in ${state.reset} seconds`,
+                        retryAfter: state.reset
+                    });
+                }
+                if (!res.locals.rateLimit || state.remaining < res.locals.rateLimit.remaining) {
+                    setHeaders(res, state);
+                }
+            }
+        } catch (error) {
+            logger.error('Rate limiting failed; allowing request', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+        }
+        next();
+    }
+
+    /**
+     * Count one request against a single policy outside the HTTP middleware
+     * (GraphQL mutations). Resolves to the seconds to wait when the limit is
+     * exceeded, or 0. Fails open like enforce().
+     */
+    async function check(req, policy, id) {
+        if (!config.enabled) return 0;
+
+        let result;
+        try {
+            result = await hit(policy, id);
+        } catch (error) {
+            logger.error('Rate limiting failed; allowing request', { correlationId: req.correlationId, error: error.message });
+            return 0;
+        }
+        if (result.count <= config.limits[policy]) return 0;
+
+        metrics.rateLimitRejections.labels(policy, result.store).inc();
+        logRejection(req, policy);
+        return Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+    }
+
+    return {
+        hit,
+        check,
+        // Per client IP, before authentication and body parsing
+        limitByClient(req, res, next) {
+            if (!req.path.startsWith('/api/') || RATE_LIMIT_EXEMPT_PATHS.includes(req.path)) return next();
+
+            const checks = [['client', req.ip]];
+            if (req.method === 'POST' && req.path === '/api/auth/login') checks.push(['login', req.ip]);
+            enforce(req, res, next, checks);
+        },
+        // Per user, once authenticate() has set req.user
+        limitByUser(req, res, next) {
+            const checks = [['user', req.user.id]];
+            if (req.method !== 'GET' && requestPath(req).startsWith('/api/books')) checks.push(['book_write', req.user.id]);
+            enforce(req, res, next, checks);
+        }
+    };
+}
+
+module.exports = {
+    createRateLimiter
+};
@@ -0,0 +1,506 @@
+/**
+ * BookRepository
+ * Every SQL statement on books, their relations (authors, categories, tags) and
+ * their history. Constructed over the mysql2 pool; transaction(fn) and
+ * forConnection(connection) give a repository bound to one connection, so the
+ * statements of a write commit or roll back together.
+ */
+
+const { cleanISBN, toISBN13 } = require('../isbn');
+const { normalizeTagName } = require('../validation');
+const { withTransaction, escapeLike } = require('../db');
+
+const BOOK_SNAPSHOT_FIELDS = ['title', 'author', 'isbn', 'isbn_display', 'price', 'stock'];
+// Added by migration 004: missing from older snapshots
+const BOOK_REORDER_SNAPSHOT_FIELDS = ['reorder_threshold', 'reorder_quantity'];
+
+// Snapshot field -> how to read it from a book with relations attached (see attachRelations)
+const BOOK_RELATION_SNAPSHOT_FIELDS = {
+    authorIds: book => book.authors.map(author => author.id),
+    categoryIds: book => book.categories.map(category => category.id),
+    tags: book => book.tags.map(tag => tag.name)
+};
+
+// Row locks by which books they may match
+const LOCK_QUERIES = {
+    active: 'SELECT * FROM books WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+    trashed: 'SELECT * FROM books WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE',
+    any: 'SELECT * FROM books WHERE id = ? FOR UPDATE'
+};
+
+function toBookSnapshot(row) {
+    if (!row) return null;
+    const snapshot = { id: row.id };
+    for (const field of BOOK_SNAPSHOT_FIELDS) {
+        snapshot[field] = row[field];
+    }
+    for (const field of BOOK_REORDER_SNAPSHOT_FIELDS) {
+        if (row[field] !== undefined) snapshot[field] = row[field];
+    }
+    // Relations are only recorded when the caller loaded them (not for stock-only changes)
+    if (row.authors) {
+        for (const [field, read] of Object.entries(BOOK_RELATION_SNAPSHOT_FIELDS)) {
+            snapshot[field] = read(row);
+        }
+    }
+    return snapshot;
+}
+
+function toHistoryEntry(row) {
+    const before = row.before_data;
+    const after = row.after_data;
+    // Fields that not every snapshot has are compared only when both sides recorded them
+    const optionalFields = [...BOOK_REORDER_SNAPSHOT_FIELDS, ...Object.keys(BOOK_RELATION_SNAPSHOT_FIELDS)];
+    const fields = before && after
+        ? [...BOOK_SNAPSHOT_FIELDS, ...optionalFields.filter(field => field in before && field in after)]
+        : [];
+    const changes = fields.filter(field => String(before[field]) !== String(after[field]));
+
+    return {
+        id: row.id,
+        bookId: row.book_id,
+        action: row.action,
+        before,
+        after,
+        changes,
+        user: row.user_id ? { id: row.user_id, username: row.username } : null,
+        correlationId: row.correlation_id,
+        createdAt: row.created_at
+    };
+}
+
+function buildListWhere(options) {
+    // Books in the trash are only listed by GET /api/books/trash
+    const clauses = ['deleted_at IS NULL'];
+    const params = [];
+
+    if (options.q) {
+        // A complete ISBN in either form searches by its canonical ISBN-13
+        const pattern = `%${escapeLike(options.q)}%`;
+        const isbnPattern = `%${escapeLike(toISBN13(options.q) || cleanISBN(options.q))}%`;
+        clauses.push('(title LIKE ? OR author LIKE ? OR isbn LIKE ?)');
+        params.push(pattern, pattern, isbnPattern);
+    }
+    if (options.isbn) {
+        clauses.push('isbn = ?');
+        params.push(options.isbn);
+    }
+    if (options.category !== null) {
+        clauses.push('id IN (SELECT book_id FROM book_categories WHERE category_id = ?)');
+        params.push(options.category);
+    }
+    if (options.tag) {
+        clauses.push('id IN (SELECT bt.book_id FROM book_tags bt JOIN tags t ON t.id = bt.tag_id WHERE t.name = ?)');
+        params.push(options.tag);
+    }
+    if (options.minPrice !== null) {
+        clauses.push('price >= ?');
+        params.push(options.minPrice);
+    }
+    if (options.maxPrice !== null) {
+        clauses.push('price <= ?');
+        params.push(options.maxPrice);
+    }
+    if (options.minStock !== null) {
+        clauses.push('stock >= ?');
+        params.push(options.minStock);
+    }
+    if (options.maxStock !== null) {
+        clauses.push('stock <= ?');
+        params.push(options.maxStock);
+    }
+    if (options.lowStock) {
+        clauses.push('stock <= reorder_threshold');
+    }
+
+    return {
+        sql: `WHERE ${clauses.join(' AND ')}`,
+        params
+    };
+}
+
+class BookRepository {
+    /**
+     * @param {object} db mysql2 promise pool, or a connection checked out of it
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Run fn(repository) inside a transaction, every statement on the same connection
+    transaction(fn) {
+        return withTransaction(this.db, connection => fn(new BookRepository(connection)));
+    }
+
+    // A repository for a transaction the caller manages itself (e.g. an order)
+    forConnection(connection) {
+        return new BookRepository(connection);
+    }
+
+    // ---- Reads ----
+
+    // One page of books matching list options (see toBookListOptions) and the total
+    async findPage(options) {
+        const where = buildListWhere(options);
+        const offset = (options.page - 1) * options.limit;
+
+        const [[{ total }]] = await this.db.query(
+            `SELECT COUNT(*) AS total FROM books ${where.sql}`,
+            where.params
+        );
+        const [rows] = await this.db.query(
+            `SELECT * FROM books ${where.sql} ORDER BY ${options.sort} ${options.order}, id ${options.order} LIMIT ? OFFSET ?`,
+            [...where.params, options.limit, offset]
+        );
+        return { rows, total };
+    }
+
+    // Books at or below their reorder_threshold, furthest below it first
+    async findLowStockPage({ page, limit }) {
+        const [[{ total }]] = await this.db.query(
+            'SELECT COUNT(*) AS total FROM books WHERE stock <= reorder_threshold AND deleted_at IS NULL'
+        );
+        const [rows] = await this.db.query(
+            `SELECT *, reorder_threshold - stock AS shortfall FROM books
+             WHERE stock <= reorder_threshold AND deleted_at IS NULL
+             ORDER BY shortfall DESC, stock ASC, id ASC LIMIT ? OFFSET ?`,
+            [limit, (page - 1) * limit]
+        );
+        return { rows, total };
+    }
+
+    // Trashed books, most recently deleted first, with the username of who deleted them
+    async findTrashPage({ q, page, limit }) {
+        const pattern = `%${escapeLike(q)}%`;
+        const where = `WHERE b.deleted_at IS NOT NULL${q ? ' AND (b.title LIKE ? OR b.author LIKE ? OR b.isbn LIKE ?)' : ''}`;
+        const params = q ? [pattern, pattern, pattern] : [];
+
+        const [[{ total }]] = await this.db.query(`SELECT COUNT(*) AS total FROM books b ${where}`, params);
+        const [rows] = await this.db.query(
+            `SELECT b.*, u.username AS deleted_by_username FROM books b
+             LEFT JOIN users u ON u.id = b.deleted_by
+             ${where} ORDER BY b.deleted_at DESC, b.id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+        return { rows, total };
+    }
+
+    /**
+     * Every book matching list options, in list order, as a stream of rows straight
+     * from MySQL so large catalogues are never held in memory. Resolves to
+     * { rows, release }; call release() once the stream has ended or failed.
+     */
+    async stream(options) {
+        const connection = await this.db.getConnection();
+        const where = buildListWhere(options);
+        return {
+            rows: connection.connection
+                .query(`SELECT * FROM books ${where.sql} ORDER BY ${options.sort} ${options.order}, id ${options.order}`, where.params)
+                .stream(),
+            release: () => connection.release()
+        };
+    }
+
+    // A book that is not in the trash, or undefined
+    async findById(id) {
+        const [rows] = await this.db.query('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL', [id]);
+        return rows[0];
+    }
+
+    // A book whether or not it is in the trash, or undefined
+    async findAnyById(id) {
+        const [rows] = await this.db.query('SELECT * FROM books WHERE id = ?', [id]);
+        return rows[0];
+    }
+
+    // Catalogue totals over the books not in the trash: { titles, units, lowStock, value }
+    async inventoryStats() {
+        const [[row]] = await this.db.query(
+            `SELECT COUNT(*) AS titles,
+                    COALESCE(SUM(stock), 0) AS units,
+                    COALESCE(SUM(stock <= reorder_threshold), 0) AS lowStock,
+                    COALESCE(SUM(stock * price), 0) AS value
+             FROM books WHERE deleted_at IS NULL`
+        );
+        return row;
+    }
+
+    // Lock a book row for the rest of the transaction; scope is active, trashed or any
+    async lockById(id, scope = 'active') {
+        const [rows] = await this.db.query(LOCK_QUERIES[scope], [id]);
+        return rows[0];
+    }
+
+    // Lock several books (not in the trash) in ID order, so concurrent orders cannot deadlock
+    async lockByIds(ids) {
+        const [rows] = await this.db.query(
+            'SELECT * FROM books WHERE id IN (?) AND deleted_at IS NULL ORDER BY id FOR UPDATE',
+            [ids]
+        );
+        return rows;
+    }
+
+    // The book (not in the trash) with this canonical ISBN-13, or undefined
+    async findByIsbn(isbn) {
+        const [rows] = await this.db.query('SELECT * FROM books WHERE isbn = ? AND deleted_at IS NULL', [isbn]);
+        return rows[0];
+    }
+
+    // Books in the trash for longer than retentionDays that no order refers to.
+    // SKIP LOCKED lets replicas running at the same time take different batches
+    async lockExpiredTrash(retentionDays, limit) {
+        const [rows] = await this.db.query(
+            `SELECT b.* FROM books b
+             WHERE b.deleted_at < NOW() - INTERVAL ? DAY
+               AND NOT EXISTS (SELECT 1 FROM order_items oi WHERE oi.book_id = b.id)
+             ORDER BY b.id LIMIT ? FOR UPDATE OF b SKIP LOCKED`,
+            [retentionDays, limit]
+        );
+        return rows;
+    }
+
+    // ---- Writes ----
+
+    // Insert validated columns; reorder settings left out take the table defaults. Returns the new ID
+    async insert(columns) {
+        const [inserted] = await this.db.query(
+            `INSERT INTO books (${Object.keys(columns).join(', ')}) VALUES (?)`,
+            [Object.values(columns)]
+        );
+        return inserted.insertId;
+    }
+
+    // Apply column changes and bump the version
+    async update(id, changes) {
+        const fields = Object.keys(changes);
+        await this.db.query(
+            `UPDATE books SET ${fields.map(field => `${field} = ?, `).join('')}version = version + 1, updated_at = NOW() WHERE id = ?`,
+            [...fields.map(field => changes[field]), id]
+        );
+    }
+
+    // Add delta (negative to take stock) and bump the version
+    async adjustStock(id, delta) {
+        await this.db.query(
+            'UPDATE books SET stock = stock + ?, version = version + 1, updated_at = NOW() WHERE id = ?',
+            [delta, id]
+        );
+    }
+
+    async moveToTrash(id, userId) {
+        await this.db.query(
+            'UPDATE books SET deleted_at = NOW(), deleted_by = ?, version = version + 1 WHERE id = ?',
+            [userId, id]
+        );
+    }
+
+    async takeOutOfTrash(id) {
+        await this.db.query(
+            'UPDATE books SET deleted_at = NULL, deleted_by = NULL, version = version + 1 WHERE id = ?',
+            [id]
+        );
+    }
+
+    async delete(id) {
+        await this.db.query('DELETE FROM books WHERE id = ?', [id]);
+    }
+
+    // Write a history snapshot's catalogue fields back to its book, or re-create the book
+    // with its original ID when it no longer exists; either way it ends up out of the trash.
+    // An existing book keeps its stock: orders have moved it since the snapshot, and their
+    // order_items must still add up. A purged book had no orders, so it gets the snapshot's
+    async writeSnapshot(snapshot, exists) {
+        // Snapshots taken before ISBNs were normalized hold the raw, possibly hyphenated form
+        const isbn = toISBN13(snapshot.isbn) || snapshot.isbn;
+        const isbnDisplay = snapshot.isbn_display || snapshot.isbn;
+        // Snapshots from before migration 004 have no reorder settings: keep the current ones (or the defaults)
+        const reorderThreshold = snapshot.reorder_threshold ?? null;
+        const reorderQuantity = snapshot.reorder_quantity ?? null;
+
+        if (exists) {
+            await this.db.query(
+                `UPDATE books SET title = ?, author = ?, isbn = ?, isbn_display = ?, price = ?,
+                    reorder_threshold = COALESCE(?, reorder_threshold), reorder_quantity = COALESCE(?, reorder_quantity),
+                    deleted_at = NULL, deleted_by = NULL, version = version + 1, updated_at = NOW() WHERE id = ?`,
+                [snapshot.title, snapshot.author, isbn, isbnDisplay, snapshot.price, reorderThreshold, reorderQuantity, snapshot.id]
+            );
+        } else {
+            await this.db.query(
+                `INSERT INTO books (id, title, author, isbn, isbn_display, price, stock, reorder_threshold, reorder_quantity)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, DEFAULT(reorder_threshold)), COALESCE(?, DEFAULT(reorder_quantity)))`,
+                [snapshot.id, snapshot.title, snapshot.author, isbn, isbnDisplay, snapshot.price, snapshot.stock, reorderThreshold, reorderQuantity]
+            );
+        }
+    }
+
+    // ---- Relations (authors, categories, tags) ----
+
+    // Embed authors (in credit order), categories and tags as { id, name } lists;
+    // three queries however many books are passed
+    async attachRelations(books) {
+        if (books.length === 0) return books;
+        const ids = books.map(book => book.id);
+
+        const [[authors], [categories], [tags]] = await Promise.all([
+            this.db.query(
+                `SELECT ba.book_id, a.id, a.name FROM book_authors ba JOIN authors a ON a.id = ba.author_id
+                 WHERE ba.book_id IN (?) ORDER BY ba.position`,
+                [ids]
+            ),
+            this.db.query(
+                `SELECT bc.book_id, c.id, c.name FROM book_categories bc JOIN categories c ON c.id = bc.category_id
+                 WHERE bc.book_id IN (?) ORDER BY c.name`,
+                [ids]
+            ),
+            this.db.query(
+                `SELECT bt.book_id, t.id, t.name FROM book_tags bt JOIN tags t ON t.id = bt.tag_id
+                 WHERE bt.book_id IN (?) ORDER BY t.name`,
+                [ids]
+            )
+        ]);
+
+        const byBook = (rows, bookId) => rows
+            .filter(row => row.book_id === bookId)
+            .map(({ id, name }) => ({ id, name }));
+
+        return books.map(book => ({
+            ...book,
+            authors: byBook(authors, book.id),
+            categories: byBook(categories, book.id),
+            tags: byBook(tags, book.id)
+        }));
+    }
+
+    // One book with its relations, whether or not it is in the trash
+    async findWithRelations(id) {
+        const book = await this.findAnyById(id);
+        const [found] = await this.attachRelations(book ? [book] : []);
+        return found;
+    }
+
+    /**
+     * Look up the authors and categories named by ID in a book write, creating
+     * any new tags. Only the relations present in the request are resolved.
+     * Unknown IDs come back as validation error details.
+     */
+    async resolveRelations({ authorIds, categoryIds, tags }) {
+        const resolved = { details: [] };
+
+        const lookup = async (table, field, ids) => {
+            if (ids.length === 0) return [];
+            const [rows] = await this.db.query(`SELECT id, name FROM ${table} WHERE id IN (?)`, [ids]);
+            const found = new Map(rows.map(row => [row.id, row]));
+            const missing = ids.filter(id => !found.has(id));
+            if (missing.length > 0) {
+                resolved.details.push({ location: 'body', field, rule: 'exists', message: `unknown ID(s): ${missing.join(', ')}` });
+            }
+            // Keep the request order: it is the author credit order
+            return ids.filter(id => found.has(id)).map(id => found.get(id));
+        };
+
+        if (authorIds) resolved.authors = await lookup('authors', 'authorIds', authorIds);
+        if (categoryIds) resolved.categories = await lookup('categories', 'categoryIds', categoryIds);
+
+        if (tags) {
+            const names = [...new Set(tags.map(normalizeTagName))];
+            resolved.tags = [];
+            if (names.length > 0) {
+                await this.db.query('INSERT IGNORE INTO tags (name) VALUES ?', [names.map(name => [name])]);
+                [resolved.tags] = await this.db.query('SELECT id, name FROM tags WHERE name IN (?)', [names]);
+            }
+        }
+
+        return resolved;
+    }
+
+    // Replace the join rows for each relation resolved by resolveRelations
+    async writeRelations(bookId, resolved) {
+        const joins = [
+            ['authors', 'book_authors', 'author_id'],
+            ['categories', 'book_categories', 'category_id'],
+            ['tags', 'book_tags', 'tag_id']
+        ];
+
+        for (const [key, table, column] of joins) {
+            if (!resolved[key]) continue;
+            await this.db.query(`DELETE FROM ${table} WHERE book_id = ?`, [bookId]);
+            if (resolved[key].length === 0) continue;
+
+            if (table === 'book_authors') {
+                await this.db.query(
+                    'INSERT INTO book_authors (book_id, author_id, position) VALUES ?',
+                    [resolved.authors.map((author, position) => [bookId, author.id, position])]
+                );
+            } else {
+                await this.db.query(
+                    `INSERT INTO ${table} (book_id, ${column}) VALUES ?`,
+                    [resolved[key].map(entity => [bookId, entity.id])]
+                );
+            }
+        }
+    }
+
+    // ---- History ----
+
+    /**
+     * Append a history entry; on a transaction's repository it commits or rolls
+     * back with the change. actor is the request (or a job standing in for one):
+     * its user and correlation ID are recorded.
+     */
+    async recordHistory(actor, { bookId, action, before, after }) {
+        await this.db.query(
+            `INSERT INTO book_history (book_id, action, before_data, after_data, user_id, correlation_id)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+                bookId,
+                action,
+                before ? JSON.stringify(toBookSnapshot(before)) : null,
+                after ? JSON.stringify(toBookSnapshot(after)) : null,
+                actor.user ? actor.user.id : null,
+                String(actor.correlationId).slice(0, 64)
+            ]
+        );
+    }
+
+    // A book's latest history entries, newest first (also for trashed and purged books)
+    async findHistory(bookId, limit) {
+        const [rows] = await this.db.query(
+            `SELECT h.*, u.username FROM book_history h
+             LEFT JOIN users u ON u.id = h.user_id
+             WHERE h.book_id = ? ORDER BY h.id DESC LIMIT ?`,
+            [bookId, limit]
+        );
+        return rows.map(toHistoryEntry);
+    }
+
+    // The latest history entries of several books in one window query, as a Map of book ID -> entries
+    async findRecentHistory(bookIds, limit) {
+        const [rows] = await this.db.query(
+            `SELECT * FROM (
+                 SELECT h.*, u.username, ROW_NUMBER() OVER (PARTITION BY h.book_id ORDER BY h.id DESC) AS position
+                 FROM book_history h LEFT JOIN users u ON u.id = h.user_id
+                 WHERE h.book_id IN (?)
+             ) ranked WHERE position <= ? ORDER BY id DESC`,
+            [bookIds, limit]
+        );
+        const entries = new Map();
+        for (const row of rows) {
+            if (!entries.has(row.book_id)) entries.set(row.book_id, []);
+            entries.get(row.book_id).push(toHistoryEntry(row));
+        }
+        return entries;
+    }
+
+    // The raw history row (with its snapshots), or undefined
+    async findHistoryEntry(bookId, historyId) {
+        const [entries] = await this.db.query(
+            'SELECT * FROM book_history WHERE id = ? AND book_id = ?',
+            [historyId, bookId]
+        );
+        return entries[0];
+    }
+}
+
+module.exports = {
+    BookRepository
+};
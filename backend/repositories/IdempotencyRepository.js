@@ -0,0 +1,60 @@
+/**
+ * IdempotencyRepository
+ * The idempotency_keys table: where Idempotency-Key records are kept while
+ * Redis is unavailable (see idempotency.js). A record is
+ * { fingerprint, response }, response being null while the first request runs.
+ */
+
+class IdempotencyRepository {
+    /**
+     * @param {object} db mysql2 promise pool
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Reserve the key for lockSeconds unless a live record has it; true when reserved
+    async reserve({ userId, key }, fingerprint, lockSeconds) {
+        await this.db.query(
+            'DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ? AND expires_at < NOW()',
+            [userId, key]
+        );
+        const [result] = await this.db.query(
+            `INSERT IGNORE INTO idempotency_keys (user_id, idem_key, fingerprint, expires_at)
+             VALUES (?, ?, ?, NOW() + INTERVAL ? SECOND)`,
+            [userId, key, fingerprint, lockSeconds]
+        );
+        return result.affectedRows === 1;
+    }
+
+    // The live record, or null
+    async find({ userId, key }) {
+        const [[row]] = await this.db.query(
+            'SELECT fingerprint, response FROM idempotency_keys WHERE user_id = ? AND idem_key = ? AND expires_at >= NOW()',
+            [userId, key]
+        );
+        return row ? { fingerprint: row.fingerprint, response: row.response && JSON.parse(row.response) } : null;
+    }
+
+    // Store the response and keep the record for ttlSeconds
+    async complete({ userId, key }, response, ttlSeconds) {
+        await this.db.query(
+            `UPDATE idempotency_keys SET response = ?, expires_at = NOW() + INTERVAL ? SECOND
+             WHERE user_id = ? AND idem_key = ?`,
+            [JSON.stringify(response), ttlSeconds, userId, key]
+        );
+    }
+
+    async release({ userId, key }) {
+        await this.db.query('DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ?', [userId, key]);
+    }
+
+    // Expired records are skipped on read anyway; this only keeps the table small
+    async purgeExpired(limit) {
+        await this.db.query('DELETE FROM idempotency_keys WHERE expires_at < NOW() LIMIT ?', [limit]);
+    }
+}
+
+module.exports = {
+    IdempotencyRepository
+};
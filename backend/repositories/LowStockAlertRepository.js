@@ -0,0 +1,52 @@
+/**
+ * LowStockAlertRepository
+ * The low_stock_alerts table: one claim per book whose low-stock alert was sent
+ * (see jobs.js). book_id is the primary key, so replicas
+ * checking at the same time never claim the same book twice.
+ */
+
+class LowStockAlertRepository {
+    /**
+     * @param {object} db mysql2 promise pool
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Remove the claims of books restocked above their threshold (or trashed) since their alert
+    async rearm() {
+        await this.db.query(
+            `DELETE a FROM low_stock_alerts a JOIN books b ON b.id = a.book_id
+             WHERE b.stock > b.reorder_threshold OR b.deleted_at IS NOT NULL`
+        );
+    }
+
+    // Books at or below their reorder_threshold that have no claim yet
+    async findUnclaimed() {
+        const [rows] = await this.db.query(
+            `SELECT b.id, b.title, b.isbn, b.stock, b.reorder_threshold, b.reorder_quantity
+             FROM books b LEFT JOIN low_stock_alerts a ON a.book_id = b.id
+             WHERE b.stock <= b.reorder_threshold AND b.deleted_at IS NULL AND a.book_id IS NULL
+             ORDER BY b.id`
+        );
+        return rows;
+    }
+
+    // Claim a book's alert; false when another replica claimed it first
+    async claim(book) {
+        const [result] = await this.db.query(
+            'INSERT IGNORE INTO low_stock_alerts (book_id, stock, reorder_threshold) VALUES (?, ?, ?)',
+            [book.id, book.stock, book.reorder_threshold]
+        );
+        return result.affectedRows === 1;
+    }
+
+    // Give a claim back, e.g. when the alert could not be sent
+    async release(bookId) {
+        await this.db.query('DELETE FROM low_stock_alerts WHERE book_id = ?', [bookId]);
+    }
+}
+
+module.exports = {
+    LowStockAlertRepository
+};
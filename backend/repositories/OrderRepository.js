@@ -0,0 +1,117 @@
+/**
+ * OrderRepository
+ * SQL for orders and their items. Placing or cancelling an order moves stock,
+ * so transaction(fn) hands fn a book repository on the same connection too.
+ */
+
+const { withTransaction } = require('../db');
+
+class OrderRepository {
+    /**
+     * @param {object} db     mysql2 promise pool, or a connection checked out of it
+     * @param {BookRepository} books  repository for the stock and history writes
+     */
+    constructor(db, books) {
+        this.db = db;
+        this.books = books;
+    }
+
+    // Run fn(orders, books) inside a transaction, every statement on the same connection
+    transaction(fn) {
+        return withTransaction(this.db, (connection) => {
+            const books = this.books.forConnection(connection);
+            return fn(new OrderRepository(connection, books), books);
+        });
+    }
+
+    // ---- Reads ----
+
+    // One page of orders, newest first; filters are { userId, status }, each optional
+    async findPage({ userId, status }, { page, limit }) {
+        const clauses = [];
+        const params = [];
+        if (userId !== undefined) {
+            clauses.push('user_id = ?');
+            params.push(userId);
+        }
+        if (status) {
+            clauses.push('status = ?');
+            params.push(status);
+        }
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+        const [[{ total }]] = await this.db.query(`SELECT COUNT(*) AS total FROM orders ${where}`, params);
+        const [rows] = await this.db.query(
+            `SELECT * FROM orders ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+        return { rows, total };
+    }
+
+    // The order or undefined
+    async findById(id) {
+        const [rows] = await this.db.query('SELECT * FROM orders WHERE id = ?', [id]);
+        return rows[0];
+    }
+
+    // Lock an order row for the rest of the transaction
+    async lockById(id) {
+        const [rows] = await this.db.query('SELECT * FROM orders WHERE id = ? FOR UPDATE', [id]);
+        return rows[0];
+    }
+
+    // Items of several orders as a map of order ID -> [{ bookId, title, quantity, unitPrice }]
+    async findItems(orderIds) {
+        if (orderIds.length === 0) return {};
+        const [rows] = await this.db.query(
+            `SELECT oi.order_id, oi.book_id, oi.quantity, oi.unit_price, b.title
+             FROM order_items oi JOIN books b ON b.id = oi.book_id
+             WHERE oi.order_id IN (?) ORDER BY oi.id`,
+            [orderIds]
+        );
+        const byOrder = {};
+        for (const row of rows) {
+            (byOrder[row.order_id] = byOrder[row.order_id] || []).push({
+                bookId: row.book_id,
+                title: row.title,
+                quantity: row.quantity,
+                unitPrice: row.unit_price
+            });
+        }
+        return byOrder;
+    }
+
+    // Lock the books of an order in ID order; each row is the book plus the ordered quantity
+    async lockItemBooks(orderId) {
+        const [rows] = await this.db.query(
+            `SELECT oi.quantity, b.* FROM order_items oi
+             JOIN books b ON b.id = oi.book_id
+             WHERE oi.order_id = ? ORDER BY b.id FOR UPDATE`,
+            [orderId]
+        );
+        return rows;
+    }
+
+    // ---- Writes ----
+
+    // Insert an order with its items ([{ bookId, quantity, unitPrice }]); returns the new ID
+    async insert({ userId, status, total }, items) {
+        const [result] = await this.db.query(
+            'INSERT INTO orders (user_id, status, total) VALUES (?, ?, ?)',
+            [userId, status, total]
+        );
+        await this.db.query(
+            'INSERT INTO order_items (order_id, book_id, quantity, unit_price) VALUES ?',
+            [items.map(item => [result.insertId, item.bookId, item.quantity, item.unitPrice])]
+        );
+        return result.insertId;
+    }
+
+    async updateStatus(id, status) {
+        await this.db.query('UPDATE orders SET status = ? WHERE id = ?', [status, id]);
+    }
+}
+
+module.exports = {
+    OrderRepository
+};
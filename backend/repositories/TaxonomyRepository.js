@@ -0,0 +1,103 @@
+/**
+ * TaxonomyRepository
+ * SQL for one taxonomy: authors, categories or tags. Each is a named entity
+ * table linked to books through a join table, so one repository class serves
+ * all three, constructed with the table names.
+ */
+
+const { escapeLike } = require('../db');
+
+class TaxonomyRepository {
+    /**
+     * @param {object} db mysql2 promise pool
+     * @param {object} taxonomy
+     * @param {string} taxonomy.table   entity table, e.g. authors
+     * @param {string} taxonomy.join    join table to books, e.g. book_authors
+     * @param {string} taxonomy.column  the join table's entity column, e.g. author_id
+     */
+    constructor(db, { table, join, column }) {
+        this.db = db;
+        this.table = table;
+        this.join = join;
+        this.column = column;
+    }
+
+    // ---- Reads ----
+
+    // Every entity ordered by name, with its number of books (not counting the trash)
+    async findAll(search) {
+        const [rows] = await this.db.query(
+            `SELECT e.*, COUNT(b.id) AS bookCount FROM ${this.table} e
+             LEFT JOIN ${this.join} j ON j.${this.column} = e.id
+             LEFT JOIN books b ON b.id = j.book_id AND b.deleted_at IS NULL
+             ${search ? 'WHERE e.name LIKE ?' : ''}
+             GROUP BY e.id ORDER BY e.name`,
+            search ? [`%${escapeLike(search)}%`] : []
+        );
+        return rows;
+    }
+
+    // The entity or undefined
+    async findById(id) {
+        const [rows] = await this.db.query(`SELECT * FROM ${this.table} WHERE id = ?`, [id]);
+        return rows[0];
+    }
+
+    // Several entities in one query (GraphQL loaders), in no particular order
+    async findByIds(ids) {
+        const [rows] = await this.db.query(`SELECT * FROM ${this.table} WHERE id IN (?)`, [ids]);
+        return rows;
+    }
+
+    // IDs and titles of the entity's books (not in the trash) ordered by title
+    async findBookTitles(id) {
+        const [rows] = await this.db.query(
+            `SELECT b.id, b.title FROM ${this.join} j JOIN books b ON b.id = j.book_id
+             WHERE j.${this.column} = ? AND b.deleted_at IS NULL ORDER BY b.title`,
+            [id]
+        );
+        return rows;
+    }
+
+    // Full book rows linked to any of ids, ordered by title; each row also carries
+    // linked_id, so a book linked to several of them appears once per link
+    async findLinkedBooks(ids) {
+        const [rows] = await this.db.query(
+            `SELECT j.${this.column} AS linked_id, b.* FROM ${this.join} j JOIN books b ON b.id = j.book_id
+             WHERE j.${this.column} IN (?) AND b.deleted_at IS NULL ORDER BY b.title, b.id`,
+            [ids]
+        );
+        return rows;
+    }
+
+    // ---- Writes ----
+
+    // Insert column values; returns the new ID (a taken name fails with ER_DUP_ENTRY)
+    async insert(values) {
+        const columns = Object.keys(values);
+        const [result] = await this.db.query(
+            `INSERT INTO ${this.table} (${columns.join(', ')}) VALUES (?)`,
+            [Object.values(values)]
+        );
+        return result.insertId;
+    }
+
+    // True when the entity existed
+    async update(id, values) {
+        const [result] = await this.db.query(
+            `UPDATE ${this.table} SET ${Object.keys(values).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...Object.values(values), id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    // True when the entity existed; one still linked to books fails with ER_ROW_IS_REFERENCED_2
+    async delete(id) {
+        const [result] = await this.db.query(`DELETE FROM ${this.table} WHERE id = ?`, [id]);
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = {
+    TaxonomyRepository
+};
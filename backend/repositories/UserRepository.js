@@ -0,0 +1,53 @@
+/**
+ * UserRepository
+ * SQL for the users table. Password hashing and token signing are UserService's.
+ */
+
+class UserRepository {
+    /**
+     * @param {object} db mysql2 promise pool
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Every user ordered by username
+    async findAll() {
+        const [rows] = await this.db.query('SELECT * FROM users ORDER BY username');
+        return rows;
+    }
+
+    // The user (with its password hash) or undefined
+    async findByUsername(username) {
+        const [rows] = await this.db.query('SELECT * FROM users WHERE username = ?', [username]);
+        return rows[0];
+    }
+
+    // Returns the new ID; a taken username fails with ER_DUP_ENTRY
+    async insert({ username, passwordHash, role }) {
+        const [result] = await this.db.query(
+            'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+            [username, passwordHash, role]
+        );
+        return result.insertId;
+    }
+
+    // Insert unless the username is taken; true when a user was created
+    async insertIfAbsent({ username, passwordHash, role }) {
+        const [result] = await this.db.query(
+            'INSERT IGNORE INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+            [username, passwordHash, role]
+        );
+        return result.affectedRows > 0;
+    }
+
+    // True when the user existed
+    async delete(id) {
+        const [result] = await this.db.query('DELETE FROM users WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = {
+    UserRepository
+};
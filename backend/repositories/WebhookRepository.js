@@ -0,0 +1,168 @@
+/**
+ * WebhookRepository
+ * SQL for webhook subscriptions and the webhook_deliveries table, which is both
+ * the delivery queue and the delivery log (see WebhookService).
+ */
+
+const { withTransaction } = require('../db');
+
+class WebhookRepository {
+    /**
+     * @param {object} db mysql2 promise pool
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    // ---- Subscriptions ----
+
+    async findAll() {
+        const [rows] = await this.db.query('SELECT * FROM webhooks ORDER BY id');
+        return rows;
+    }
+
+    // The webhook (with its secret) or undefined
+    async findById(id) {
+        const [[webhook]] = await this.db.query('SELECT * FROM webhooks WHERE id = ?', [id]);
+        return webhook;
+    }
+
+    // IDs and event lists of the webhooks that receive deliveries
+    async findActive() {
+        const [rows] = await this.db.query('SELECT id, events FROM webhooks WHERE active = TRUE');
+        return rows;
+    }
+
+    // Returns the new ID
+    async insert({ url, secret, events, description, active, createdBy }) {
+        const [result] = await this.db.query(
+            'INSERT INTO webhooks (url, secret, events, description, active, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [url, secret, JSON.stringify(events), description, active, createdBy]
+        );
+        return result.insertId;
+    }
+
+    // Apply column changes (events as a list); true when the webhook existed
+    async update(id, changes) {
+        const columns = { ...changes };
+        if (columns.events !== undefined) columns.events = JSON.stringify(columns.events);
+        const [result] = await this.db.query('UPDATE webhooks SET ? WHERE id = ?', [columns, id]);
+        return result.affectedRows > 0;
+    }
+
+    // Deliveries go with it (ON DELETE CASCADE); true when the webhook existed
+    async delete(id) {
+        const [result] = await this.db.query('DELETE FROM webhooks WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+
+    // ---- Delivery log ----
+
+    // Number of deliveries of a webhook per status (statuses without any are left out)
+    async countDeliveries(webhookId) {
+        const [rows] = await this.db.query(
+            'SELECT status, COUNT(*) AS count FROM webhook_deliveries WHERE webhook_id = ? GROUP BY status',
+            [webhookId]
+        );
+        return rows;
+    }
+
+    // One page of a webhook's deliveries, newest first, optionally with one status
+    async findDeliveryPage(webhookId, { status, page, limit }) {
+        const clauses = ['webhook_id = ?'];
+        const params = [webhookId];
+        if (status) {
+            clauses.push('status = ?');
+            params.push(status);
+        }
+        const where = `WHERE ${clauses.join(' AND ')}`;
+
+        const [[{ total }]] = await this.db.query(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`, params);
+        const [rows] = await this.db.query(
+            `SELECT * FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+        return { rows, total };
+    }
+
+    // ---- Queue ----
+
+    // One pending delivery of event per webhook ID
+    async enqueue(webhookIds, event) {
+        await this.db.query(
+            'INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload) VALUES ?',
+            [webhookIds.map(webhookId => [webhookId, event.id, event.type, JSON.stringify(event)])]
+        );
+    }
+
+    // A pending delivery of event to one webhook, active or not; the delivery ID, or null without the webhook
+    async enqueueFor(webhookId, event) {
+        const [result] = await this.db.query(
+            `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload)
+             SELECT id, ?, ?, ? FROM webhooks WHERE id = ?`,
+            [event.id, event.type, JSON.stringify(event), webhookId]
+        );
+        return result.affectedRows > 0 ? result.insertId : null;
+    }
+
+    // A new pending copy of a delivery of this webhook; the copy's ID, or null when there is no such delivery
+    async enqueueRedelivery(webhookId, deliveryId) {
+        const [result] = await this.db.query(
+            `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, redelivery_of)
+             SELECT webhook_id, event_id, event_type, payload, id FROM webhook_deliveries
+             WHERE id = ? AND webhook_id = ?`,
+            [deliveryId, webhookId]
+        );
+        return result.affectedRows > 0 ? result.insertId : null;
+    }
+
+    /**
+     * Reserve up to limit due deliveries for claimSeconds, counting the attempt.
+     * SKIP LOCKED keeps replicas claiming at the same time from taking the same
+     * rows. Returns them with the webhook's URL and secret.
+     */
+    claimDue(limit, claimSeconds) {
+        return withTransaction(this.db, async (connection) => {
+            const [rows] = await connection.query(
+                `SELECT d.id, d.webhook_id, d.event_type, d.payload, d.attempts, w.url, w.secret
+                 FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+                 WHERE d.status IN ('pending', 'delivering') AND d.next_attempt_at <= NOW(3) AND w.active = TRUE
+                 ORDER BY d.next_attempt_at
+                 LIMIT ?
+                 FOR UPDATE OF d SKIP LOCKED`,
+                [limit]
+            );
+            if (rows.length > 0) {
+                await connection.query(
+                    `UPDATE webhook_deliveries
+                     SET status = 'delivering', attempts = attempts + 1, last_attempt_at = NOW(3),
+                         next_attempt_at = NOW(3) + INTERVAL ? SECOND
+                     WHERE id IN (?)`,
+                    [claimSeconds, rows.map(row => row.id)]
+                );
+            }
+            return rows.map(row => ({ ...row, attempts: row.attempts + 1 }));
+        });
+    }
+
+    async markSucceeded(id, responseStatus) {
+        await this.db.query(
+            `UPDATE webhook_deliveries SET status = 'succeeded', response_status = ?, last_error = NULL WHERE id = ?`,
+            [responseStatus, id]
+        );
+    }
+
+    // Record a failed attempt: status is pending (retry in retryInSeconds) or failed
+    async markFailed(id, { status, responseStatus, error, retryInSeconds }) {
+        await this.db.query(
+            `UPDATE webhook_deliveries
+             SET status = ?, response_status = ?, last_error = ?, next_attempt_at = NOW(3) + INTERVAL ? SECOND
+             WHERE id = ?`,
+            [status, responseStatus, error.slice(0, 1000), retryInSeconds, id]
+        );
+    }
+}
+
+module.exports = {
+    WebhookRepository
+};
@@ -0,0 +1,173 @@
+/**
+ * Dependency resilience
+ * Retries with exponential backoff and a circuit breaker, shared by the MySQL
+ * pool (db.js), the cache (services/CacheService.js) and the other Redis
+ * callers (rate limits, idempotency keys, events). Nothing here knows about
+ * MySQL or Redis: callers say which errors are worth retrying or count as the
+ * dependency failing.
+ */
+
+const { trace } = require('@opentelemetry/api');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay before retry number `attempt` (1-based): doubling from baseDelayMs up to
+// maxDelayMs, with half of it randomised so replicas do not retry in lockstep
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Run fn(attempt) until it succeeds, it throws an error shouldRetry rejects,
+ * or `attempts` tries have failed; the last error is rethrown.
+ * @param {function} fn
+ * @param {object} options
+ * @param {number} options.attempts       tries in total (1 means no retry)
+ * @param {number} options.baseDelayMs    delay before the first retry
+ * @param {number} options.maxDelayMs     cap on any one delay
+ * @param {function} [options.shouldRetry] (error) => boolean
+ * @param {function} [options.onRetry]     (error, attempt, delayMs) before each wait
+ */
+async function retry(fn, { attempts, baseDelayMs, maxDelayMs, shouldRetry = () => true, onRetry = () => {} }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= attempts || !shouldRetry(error)) throw error;
+            const delayMs = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+            onRetry(error, attempt, delayMs);
+            trace.getActiveSpan()?.addEvent('retry', { attempt, delay_ms: delayMs, 'error.message': error.message });
+            await sleep(delayMs);
+        }
+    }
+}
+
+// Thrown instead of calling a dependency whose circuit is open
+class CircuitOpenError extends Error {
+    constructor(name, retryAfterMs) {
+        super(`${name} is unavailable (circuit open)`);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.dependency = name;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+class CallTimeoutError extends Error {
+    constructor(name, timeoutMs) {
+        super(`${name} did not answer within ${timeoutMs}ms`);
+        this.name = 'CallTimeoutError';
+        this.code = 'CALL_TIMEOUT';
+    }
+}
+
+/**
+ * Circuit breaker
+ * closed     calls go through; failureThreshold failures in a row open the circuit
+ * open       calls fail at once with CircuitOpenError for resetTimeoutMs
+ * half_open  one trial call goes through: success closes the circuit, failure reopens it
+ *
+ * Only errors isFailure accepts count (a duplicate key is the caller's problem,
+ * not the database being down); with timeoutMs a slow call fails with
+ * CallTimeoutError, which always counts.
+ */
+class CircuitBreaker {
+    /**
+     * @param {object} options
+     * @param {string} options.name               dependency name for errors and onStateChange
+     * @param {number} options.failureThreshold   consecutive failures that open the circuit
+     * @param {number} options.resetTimeoutMs     how long it stays open before a trial call
+     * @param {number} [options.timeoutMs]        fail calls slower than this (none by default)
+     * @param {function} [options.isFailure]      (error) => boolean, every error by default
+     * @param {function} [options.onStateChange]  (state, previous) after every transition
+     */
+    constructor({ name, failureThreshold, resetTimeoutMs, timeoutMs, isFailure = () => true, onStateChange = () => {} }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.timeoutMs = timeoutMs;
+        this.isFailure = isFailure;
+        this.onStateChange = onStateChange;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+    }
+
+    // Whether a call made now would be rejected without reaching the dependency
+    get rejecting() {
+        if (this.state === 'open') return Date.now() - this.openedAt < this.resetTimeoutMs;
+        return this.state === 'half_open' && this.trialInFlight;
+    }
+
+    // Milliseconds until the next trial call is allowed (0 unless open)
+    get retryAfterMs() {
+        return this.state === 'open' ? Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now()) : 0;
+    }
+
+    async exec(fn) {
+        if (this.state === 'open' && !this.rejecting) this.transition('half_open');
+        if (this.rejecting) throw new CircuitOpenError(this.name, this.retryAfterMs || this.resetTimeoutMs);
+
+        const trial = this.state === 'half_open';
+        if (trial) this.trialInFlight = true;
+        try {
+            const result = await (this.timeoutMs ? this.withTimeout(fn) : fn());
+            this.succeeded();
+            return result;
+        } catch (error) {
+            if (error instanceof CallTimeoutError || this.isFailure(error)) {
+                this.failed();
+            } else {
+                // The dependency answered, so it is up
+                this.succeeded();
+            }
+            throw error;
+        } finally {
+            if (trial) this.trialInFlight = false;
+        }
+    }
+
+    withTimeout(fn) {
+        const call = fn();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new CallTimeoutError(this.name, this.timeoutMs)), this.timeoutMs);
+        });
+        return Promise.race([call, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    succeeded() {
+        this.failures = 0;
+        if (this.state !== 'closed') this.transition('closed');
+    }
+
+    failed() {
+        this.failures++;
+        if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+            this.openedAt = Date.now();
+            this.transition('open');
+        }
+    }
+
+    // Close the circuit from outside, e.g. when a client reports it has reconnected
+    reset() {
+        this.failures = 0;
+        if (this.state !== 'closed') this.transition('closed');
+    }
+
+    transition(state) {
+        const previous = this.state;
+        this.state = state;
+        this.onStateChange(state, previous);
+    }
+}
+
+module.exports = {
+    backoffDelay,
+    retry,
+    CircuitBreaker,
+    CircuitOpenError,
+    CallTimeoutError
+};
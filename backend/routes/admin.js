@@ -0,0 +1,61 @@
+/**
+ * Admin routes (/api/admin)
+ * Operator views of the running process. Everything here requires the admin role.
+ */
+
+const express = require('express');
+
+/**
+ * @param {object} deps see mountResourceRouters in routes/index.js
+ */
+function createRouter({ services, requireRole }) {
+    const { config, logger } = services;
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /api/admin/config:
+     *   get:
+     *     summary: Effective configuration
+     *     description: |
+     *       Every setting from config.js with its value and where it came from: env (the
+     *       variable), file (its _FILE variant) or default. Secrets such as DB_PASSWORD and
+     *       JWT_SECRET show "[redacted]" when set and null otherwise
+     *     tags: [Admin]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Configuration
+     *         content:
+     *           application/json:
+     *             example:
+     *               environment: production
+     *               settings:
+     *                 PORT: { value: 3000, source: default }
+     *                 DB_PASSWORD: { value: '[redacted]', source: file }
+     *                 LOG_LEVEL: { value: info, source: env }
+     *       401:
+     *         description: Authentication required
+     *       403:
+     *         description: Admin role required
+     */
+    router.get('/config', requireRole('admin'), (req, res) => {
+        logger.info('Configuration viewed', {
+            correlationId: req.correlationId,
+            userId: req.user.id
+        });
+        res.json({
+            environment: config.env,
+            settings: config.settings
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    name: 'admin',
+    path: '/api/admin',
+    createRouter
+};
@@ -0,0 +1,79 @@
+/**
+ * Auth routes (/api/auth)
+ * Logging in for a bearer token, and who the token belongs to. Login attempts
+ * are rate limited per client IP by limitByClient in rateLimit.js.
+ */
+
+const express = require('express');
+
+/**
+ * @param {object} deps see mountResourceRouters in routes/index.js
+ */
+function createRouter({ services, authenticate, validateRequest }) {
+    const { userService, logger } = services;
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /api/auth/login:
+     *   post:
+     *     summary: Log in
+     *     description: Exchange a username and password for a signed JWT
+     *     tags: [Auth]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/LoginRequest'
+     *     responses:
+     *       200:
+     *         description: Token issued
+     *       400:
+     *         description: Missing credentials
+     *       401:
+     *         description: Invalid credentials
+     */
+    router.post('/login', validateRequest({ body: 'LoginRequest' }), async (req, res) => {
+        try {
+            const session = await userService.login(req, req.body);
+            if (!session) {
+                return res.status(401).json({ error: 'Invalid username or password' });
+            }
+            res.json(session);
+        } catch (error) {
+            logger.error('Error during login', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to log in' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/auth/me:
+     *   get:
+     *     summary: Current user
+     *     description: Return the user the bearer token was issued to
+     *     tags: [Auth]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Current user
+     *       401:
+     *         description: Missing or invalid token
+     */
+    router.get('/me', authenticate, (req, res) => {
+        res.json(req.user);
+    });
+
+    return router;
+}
+
+module.exports = {
+    name: 'auth',
+    path: '/api/auth',
+    createRouter
+};
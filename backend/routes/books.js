@@ -0,0 +1,969 @@
+/**
+ * Book routes (/api/books)
+ * Listing, lookup, writes with If-Match, catalogue import/export, the trash and
+ * history. Handlers validate requests and translate results into HTTP; the
+ * business rules live in BookService.
+ */
+
+const express = require('express');
+const { pipeline } = require('stream');
+const { pickBookFields, pickBookRelations, validateImportRecord } = require('../validation');
+const { EXPORT_FORMATS, createImportRecordStream } = require('../catalogue');
+const { toBookListOptions, bookETag } = require('../services/BookService');
+
+/**
+ * @param {object} deps see mountResourceRouters in routes/index.js
+ */
+function createRouter({ services, requireRole, validateRequest, sendValidationError }) {
+    const { bookService, logger, config } = services;
+    const router = express.Router();
+
+    // The 412 body carries the current book (with its relations) so the client can show what changed
+    async function sendPreconditionFailed(req, res, book) {
+        await bookService.attachRelations([book]);
+        logger.warn('Stale write rejected', {
+            correlationId: req.correlationId,
+            bookId: book.id,
+            ifMatch: req.headers['if-match'],
+            currentVersion: book.version
+        });
+        res.setHeader('ETag', bookETag(book));
+        res.status(412).json({
+            error: 'Book was modified by someone else. Reload it and try again',
+            current: book
+        });
+    }
+
+    /**
+     * @swagger
+     * /api/books:
+     *   get:
+     *     summary: List books
+     *     description: Search, filter, sort and paginate books (with Redis caching)
+     *     tags: [Books]
+     *     parameters:
+     *       - in: query
+     *         name: q
+     *         schema:
+     *           type: string
+     *         description: Search term matched against title, author and ISBN
+     *       - in: query
+     *         name: isbn
+     *         schema:
+     *           type: string
+     *         description: Exact ISBN lookup; ISBN-10 and ISBN-13, with or without hyphens, find the same book
+     *       - in: query
+     *         name: category
+     *         schema:
+     *           type: integer
+     *         description: Only books in this category ID
+     *       - in: query
+     *         name: tag
+     *         schema:
+     *           type: string
+     *         description: Only books with this tag name
+     *       - in: query
+     *         name: minPrice
+     *         schema:
+     *           type: number
+     *       - in: query
+     *         name: maxPrice
+     *         schema:
+     *           type: number
+     *       - in: query
+     *         name: minStock
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: maxStock
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: lowStock
+     *         schema:
+     *           type: boolean
+     *         description: Only books whose stock is at or below their reorder_threshold
+     *       - in: query
+     *         name: sort
+     *         schema:
+     *           type: string
+     *           enum: [title, author, isbn, price, stock, created_at, updated_at]
+     *           default: created_at
+     *       - in: query
+     *         name: order
+     *         schema:
+     *           type: string
+     *           enum: [asc, desc]
+     *           default: desc
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 20
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Page of books with pagination metadata
+     *       400:
+     *         description: Invalid query parameters
+     *       500:
+     *         description: Server error
+     *       401:
+     *         description: Authentication required
+     */
+    router.get('/', requireRole('viewer'), validateRequest({ query: 'BookListQuery' }), async (req, res) => {
+        try {
+            const { value: body, source, cacheKey } = await bookService.list(req, toBookListOptions(req.query));
+
+            if (source !== 'miss') {
+                logger.info('Cache hit for book list', { correlationId: req.correlationId, cacheKey, stale: source === 'stale' });
+            }
+            res.json(body);
+        } catch (error) {
+            logger.error('Error fetching books', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to fetch books' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/books/low-stock:
+     *   get:
+     *     summary: List books that need reordering
+     *     description: Books whose stock is at or below their reorder_threshold, furthest below it first
+     *     tags: [Books]
+     *     parameters:
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 20
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Page of low-stock books, each with its shortfall (reorder_threshold - stock)
+     *       400:
+     *         description: Invalid query parameters
+     *       401:
+     *         description: Authentication required
+     */
+    router.get('/low-stock', requireRole('viewer'), validateRequest({ query: 'LowStockQuery' }), async (req, res) => {
+        try {
+            res.json(await bookService.lowStock(req.query));
+        } catch (error) {
+            logger.error('Error fetching low-stock books', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to fetch low-stock books' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/books/trash:
+     *   get:
+     *     summary: List deleted books
+     *     description: |
+     *       Books in the trash, most recently deleted first. Each has deleted_at, deleted_by
+     *       and purge_at (when the retention job will hard-delete it; null when retention is off)
+     *     tags: [Books]
+     *     parameters:
+     *       - in: query
+     *         name: q
+     *         schema:
+     *           type: string
+     *         description: Search term matched against title, author and ISBN
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 20
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Page of trashed books with pagination metadata
+     *       400:
+     *         description: Invalid query parameters
+     *       401:
+     *         description: Authentication required
+     *       403:
+     *         description: Insufficient permissions (clerk role required)
+     */
+    router.get('/trash', requireRole('clerk'), validateRequest({ query: 'TrashQuery' }), async (req, res) => {
+        try {
+            res.json(await bookService.listTrash(req.query));
+        } catch (error) {
+            logger.error('Error fetching trash', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to fetch trash' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/books/export:
+     *   get:
+     *     summary: Export the catalogue
+     *     description: Stream every book matching the optional list filters as CSV, JSON or ONIX-lite XML
+     *     tags: [Books]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: format
+     *         schema:
+     *           type: string
+     *           enum: [csv, json, onix]
+     *           default: csv
+     *       - in: query
+     *         name: q
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: sort
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: order
+     *         schema:
+     *           type: string
+     *           enum: [asc, desc]
+     *     responses:
+     *       200:
+     *         description: Catalogue file download
+     *       400:
+     *         description: Invalid format or filters
+     */
+    router.get('/export', requireRole('clerk'), validateRequest({ query: 'BookExportQuery' }), async (req, res) => {
+        const format = EXPORT_FORMATS[req.query.format];
+
+        // Same filters and sorting as GET /api/books, without pagination
+        const options = toBookListOptions(req.query);
+
+        let exported;
+        try {
+            exported = await bookService.openExport(options);
+        } catch (error) {
+            logger.error('Error exporting books', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            return res.status(500).json({ error: 'Failed to export books' });
+        }
+
+        const filename = `books-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        // Rows stream straight from MySQL so large catalogues are never held in memory
+        pipeline(exported.rows, format.createStream(), res, (error) => {
+            exported.release();
+            if (error) {
+                logger.error('Error exporting books', {
+                    correlationId: req.correlationId,
+                    error: error.message
+                });
+                return;
+            }
+            logger.info('Books exported', {
+                correlationId: req.correlationId,
+                format: req.query.format,
+                userId: req.user.id
+            });
+        });
+    });
+
+    /**
+     * @swagger
+     * /api/books/{id}:
+     *   get:
+     *     summary: Get book by ID
+     *     description: Retrieve a single book by its ID. The ETag header carries the book version for If-Match
+     *     tags: [Books]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *         description: Book ID
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Book details
+     *         headers:
+     *           ETag:
+     *             schema:
+     *               type: string
+     *             description: Current book version
+     *       304:
+     *         description: Not modified (If-None-Match matched)
+     *       404:
+     *         description: Book not found
+     *       401:
+     *         description: Authentication required
+     */
+    router.get('/:id', requireRole('viewer'), validateRequest({ params: 'IdParams' }), async (req, res) => {
+        try {
+            const { value: book, source } = await bookService.get(req.params.id);
+
+            if (!book) {
+                logger.warn('Book not found', {
+                    correlationId: req.correlationId,
+                    bookId: req.params.id
+                });
+                return res.status(404).json({ error: 'Book not found' });
+            }
+
+            res.setHeader('ETag', bookETag(book));
+            if (source !== 'miss') {
+                logger.info('Cache hit for book', {
+                    correlationId: req.correlationId,
+                    bookId: req.params.id,
+                    stale: source === 'stale'
+                });
+                return res.json({ ...book, fromCache: true });
+            }
+            res.json(book);
+        } catch (error) {
+            logger.error('Error fetching book', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to fetch book' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/books:
+     *   post:
+     *     summary: Create a new book
+     *     description: Add a new book to the inventory
+     *     tags: [Books]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BookCreate'
+     *     responses:
+     *       201:
+     *         description: Book created successfully
+     *       400:
+     *         description: Invalid input
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       401:
+     *         description: Authentication required
+     *       403:
+     *         description: Insufficient permissions (clerk role required)
+     */
+    router.post('/', requireRole('clerk'), validateRequest({ body: 'BookCreate' }), async (req, res) => {
+        try {
+            // Validated and defaulted by the BookCreate schema
+            const result = await bookService.create(req, pickBookFields(req.body), pickBookRelations(req.body));
+
+            if (result.invalid) {
+                return sendValidationError(req, res, result.invalid);
+            }
+
+            res.status(201).json({ ...result.book, message: 'Book created successfully' });
+        } catch (error) {
+            logger.error('Error creating book', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ error: 'Book with this ISBN already exists' });
+            }
+
+            res.status(500).json({ error: 'Failed to create book' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/books/import:
+     *   post:
+     *     summary: Import books
+     *     description: |
+     *       Stream a CSV file (header row with title, author, isbn, price, stock) or a JSON array of books.
+     *       Rows are matched by ISBN: new ISBNs are created and existing ones updated (or skipped with mode=create).
+     *       Each row is validated with the same rules as POST /api/books and reported individually.
+     *     tags: [Books]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: dryRun
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *         description: Validate and report without writing anything
+     *       - in: query
+     *         name: mode
+     *         schema:
+     *           type: string
+     *           enum: [upsert, create]
+     *           default: upsert
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         text/csv:
+     *           schema:
+     *             type: string
+     *         application/json:
+     *           schema:
+     *             type: array
+     *             items:
+     *               type: object
+     *     responses:
+     *       200:
+     *         description: Per-row import report
+     *       400:
+     *         description: Unreadable file
+     *       413:
+     *         description: Too many rows
+     *       415:
+     *         description: Unsupported content type
+     */
+    router.post('/import', requireRole('clerk'), validateRequest({ query: 'BookImportQuery' }), async (req, res) => {
+        const { dryRun, mode } = req.query;
+
+        const records = createImportRecordStream(req);
+        if (!records) {
+            return res.status(415).json({ error: 'Content-Type must be text/csv or application/json' });
+        }
+
+        const report = {
+            dryRun,
+            mode,
+            summary: { total: 0, created: 0, updated: 0, skipped: 0, errors: 0 },
+            rows: []
+        };
+        const seenIsbns = new Set();
+        let status = 200;
+
+        try {
+            for await (const record of records) {
+                const row = ++report.summary.total;
+                if (row > config.importMaxRows) {
+                    report.summary.total--;
+                    report.error = `Import is limited to ${config.importMaxRows} rows`;
+                    status = 413;
+                    break;
+                }
+
+                const { errors, book } = validateImportRecord(record);
+                let outcome;
+
+                if (errors.length > 0) {
+                    outcome = { status: 'error', errors };
+                } else if (seenIsbns.has(book.isbn)) {
+                    outcome = { status: 'skipped', reason: 'Duplicate ISBN earlier in file' };
+                } else {
+                    seenIsbns.add(book.isbn);
+                    try {
+                        outcome = await bookService.importBook(req, book, { dryRun, mode });
+                    } catch (error) {
+                        const isDuplicate = error.code === 'ER_DUP_ENTRY';
+                        outcome = {
+                            status: 'error',
+                            errors: [{
+                                location: 'row',
+                                field: isDuplicate ? 'isbn' : '',
+                                rule: isDuplicate ? 'unique' : 'database',
+                                message: isDuplicate ? 'Book with this ISBN already exists' : 'Failed to import row'
+                            }]
+                        };
+                        logger.error('Error importing row', {
+                            correlationId: req.correlationId,
+                            row,
+                            error: error.message
+                        });
+                    }
+                }
+
+                report.summary[outcome.status === 'error' ? 'errors' : outcome.status]++;
+                report.rows.push({ row, isbn: book ? book.isbn : undefined, ...outcome });
+            }
+        } catch (error) {
+            // Malformed CSV/JSON: report what was processed before the parse error
+            report.error = `Could not parse file: ${error.message}`;
+            status = 400;
+        }
+
+        if (!dryRun && (report.summary.created > 0 || report.summary.updated > 0)) {
+            await bookService.catalogueChanged('import');
+        }
+
+        logger.info('Books imported', {
+            correlationId: req.correlationId,
+            dryRun,
+            mode,
+            ...report.summary,
+            userId: req.user.id
+        });
+
+        if (status !== 200) {
+            req.unpipe();
+            res.set('Connection', 'close');
+        }
+        res.status(status).json(report);
+    });
+
+    /**
+     * @swagger
+     * /api/books/{id}:
+     *   put:
+     *     summary: Replace a book
+     *     description: Replace all fields of an existing book. Send If-Match with the ETag from GET to reject stale writes
+     *     tags: [Books]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: header
+     *         name: If-Match
+     *         schema:
+     *           type: string
+     *         description: ETag of the version being replaced
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BookReplace'
+     *     responses:
+     *       200:
+     *         description: Book updated successfully
+     *       400:
+     *         description: Invalid input
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       404:
+     *         description: Book not found
+     *       409:
+     *         description: Another book already uses this ISBN
+     *       412:
+     *         description: Book was modified since the given ETag
+     *       401:
+     *         description: Authentication required
+     *       403:
+     *         description: Insufficient permissions (clerk role required)
+     */
+    router.put(
+        '/:id',
+        requireRole('clerk'),
+        validateRequest({ params: 'IdParams', body: 'BookReplace' }),
+        handleBookUpdate
+    );
+
+    /**
+     * @swagger
+     * /api/books/{id}:
+     *   patch:
+     *     summary: Update book fields
+     *     description: Change only the fields present in the body. Send If-Match with the ETag from GET to reject stale writes
+     *     tags: [Books]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: header
+     *         name: If-Match
+     *         schema:
+     *           type: string
+     *         description: ETag of the version being modified
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BookPatch'
+     *     responses:
+     *       200:
+     *         description: Book updated successfully
+     *       400:
+     *         description: Invalid input
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       404:
+     *         description: Book not found
+     *       409:
+     *         description: Another book already uses this ISBN
+     *       412:
+     *         description: Book was modified since the given ETag
+     *       401:
+     *         description: Authentication required
+     *       403:
+     *         description: Insufficient permissions (clerk role required)
+     */
+    router.patch(
+        '/:id',
+        requireRole('clerk'),
+        validateRequest({ params: 'IdParams', body: 'BookPatch' }),
+        handleBookUpdate
+    );
+
+    // Shared by PUT (BookReplace schema: every field) and PATCH (BookPatch schema: any subset)
+    async function handleBookUpdate(req, res) {
+        try {
+            const id = req.params.id;
+            const changes = pickBookFields(req.body);
+            const relations = pickBookRelations(req.body);
+            const result = await bookService.update(req, id, changes, relations, { ifMatch: req.headers['if-match'] });
+
+            if (result.notFound) {
+                logger.warn('Book not found for update', {
+                    correlationId: req.correlationId,
+                    bookId: id
+                });
+                return res.status(404).json({ error: 'Book not found' });
+            }
+
+            if (result.conflict) {
+                return await sendPreconditionFailed(req, res, result.conflict);
+            }
+
+            if (result.invalid) {
+                return sendValidationError(req, res, result.invalid);
+            }
+
+            res.setHeader('ETag', bookETag(result.book));
+            res.json({ ...result.book, message: 'Book updated successfully' });
+        } catch (error) {
+            logger.error('Error updating book', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ error: 'Book with this ISBN already exists' });
+            }
+
+            res.status(500).json({ error: 'Failed to update book' });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/books/{id}:
+     *   delete:
+     *     summary: Delete a book
+     *     description: |
+     *       Move a book to the trash. It disappears from listings and lookups and can be restored
+     *       with POST /api/books/{id}/restore until it is purged. Send If-Match with the ETag from GET
+     *       to reject stale deletes
+     *     tags: [Books]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: header
+     *         name: If-Match
+     *         schema:
+     *           type: string
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Book moved to the trash; the body is the trashed book with its purge_at
+     *       404:
+     *         description: Book not found
+     *       412:
+     *         description: Book was modified since the given ETag
+     *       401:
+     *         description: Authentication required
+     *       403:
+     *         description: Insufficient permissions (admin role required)
+     */
+    router.delete('/:id', requireRole('admin'), validateRequest({ params: 'IdParams' }), async (req, res) => {
+        try {
+            const deleted = await bookService.trash(req, req.params.id, { ifMatch: req.headers['if-match'] });
+
+            if (deleted.notFound) {
+                logger.warn('Book not found for deletion', {
+                    correlationId: req.correlationId,
+                    bookId: req.params.id
+                });
+                return res.status(404).json({ error: 'Book not found' });
+            }
+
+            if (deleted.conflict) {
+                return await sendPreconditionFailed(req, res, deleted.conflict);
+            }
+
+            res.json({ ...deleted.book, message: 'Book moved to the trash' });
+        } catch (error) {
+            logger.error('Error deleting book', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to delete book' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/books/{id}/restore:
+     *   post:
+     *     summary: Restore a deleted book
+     *     description: Take a book out of the trash, with the fields and relations it had when it was deleted
+     *     tags: [Books]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Book restored
+     *       404:
+     *         description: Book not found in the trash
+     *       409:
+     *         description: Another book now uses this ISBN
+     *       401:
+     *         description: Authentication required
+     *       403:
+     *         description: Insufficient permissions (clerk role required)
+     */
+    router.post('/:id/restore', requireRole('clerk'), validateRequest({ params: 'IdParams' }), async (req, res) => {
+        try {
+            const restored = await bookService.restore(req, req.params.id);
+
+            if (!restored) {
+                return res.status(404).json({ error: 'Book not found in the trash' });
+            }
+
+            res.setHeader('ETag', bookETag(restored));
+            res.json({ ...restored, message: 'Book restored successfully' });
+        } catch (error) {
+            logger.error('Error restoring book', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ error: 'Another book now uses this ISBN' });
+            }
+
+            res.status(500).json({ error: 'Failed to restore book' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/books/trash/{id}:
+     *   delete:
+     *     summary: Purge a deleted book
+     *     description: Permanently delete a book that is in the trash. Its history is kept
+     *     tags: [Books]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Book purged
+     *       404:
+     *         description: Book not found in the trash
+     *       409:
+     *         description: Book is referenced by existing orders
+     *       401:
+     *         description: Authentication required
+     *       403:
+     *         description: Insufficient permissions (admin role required)
+     */
+    router.delete('/trash/:id', requireRole('admin'), validateRequest({ params: 'IdParams' }), async (req, res) => {
+        try {
+            if (!await bookService.purge(req, req.params.id)) {
+                return res.status(404).json({ error: 'Book not found in the trash' });
+            }
+
+            res.json({ message: 'Book purged successfully' });
+        } catch (error) {
+            logger.error('Error purging book', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+
+            if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+                return res.status(409).json({ error: 'Book is referenced by existing orders' });
+            }
+
+            res.status(500).json({ error: 'Failed to purge book' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/books/{id}/history:
+     *   get:
+     *     summary: Book change history
+     *     description: Before/after snapshots of every change to a book, newest first (also available for deleted books)
+     *     tags: [Books]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 50
+     *     responses:
+     *       200:
+     *         description: History entries
+     *       400:
+     *         description: Invalid limit
+     *       404:
+     *         description: No history for this book
+     */
+    router.get('/:id/history', requireRole('clerk'), validateRequest({ params: 'IdParams', query: 'HistoryQuery' }), async (req, res) => {
+        try {
+            const entries = await bookService.history(req.params.id, req.query.limit);
+
+            if (entries.length === 0) {
+                return res.status(404).json({ error: 'No history found for this book' });
+            }
+
+            res.json(entries);
+        } catch (error) {
+            logger.error('Error fetching book history', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to fetch book history' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/books/{id}/history/{historyId}/restore:
+     *   post:
+     *     summary: Restore a previous version
+     *     description: |
+     *       Write the snapshot recorded by a history entry back to the book (the state after the change,
+     *       or the state before it for deletions). Takes a trashed book out of the trash, or re-creates
+     *       it with its original ID if it was purged. Title, author, ISBN, price, reorder settings,
+     *       authors, categories and tags are restored. Stock keeps its current value, which orders
+     *       have moved since; only a re-created book takes the snapshot's stock.
+     *     tags: [Books]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: historyId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Book restored
+     *       404:
+     *         description: History entry not found
+     *       409:
+     *         description: Another book now uses this ISBN
+     */
+    router.post('/:id/history/:historyId/restore', requireRole('clerk'), validateRequest({ params: 'HistoryEntryParams' }), async (req, res) => {
+        try {
+            const restored = await bookService.restoreVersion(req, req.params.id, req.params.historyId);
+
+            if (!restored) {
+                return res.status(404).json({ error: 'History entry not found' });
+            }
+
+            res.json({ ...restored.book, message: 'Book restored successfully' });
+        } catch (error) {
+            logger.error('Error restoring book', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ error: 'Book with this ISBN already exists' });
+            }
+
+            res.status(500).json({ error: 'Failed to restore book' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    name: 'books',
+    path: '/api/books',
+    createRouter
+};
@@ -0,0 +1,40 @@
+/**
+ * Resource routers
+ * Each resource is a plugin module exporting { name, path, createRouter(deps) }.
+ * createApp() in app.js mounts every plugin listed here at its path, in
+ * order, passing the same dependencies to each:
+ *
+ *   services              the container from container.js (services, repositories, config, logger)
+ *   authenticate          resolves the bearer token into req.user (no role check, limits or idempotency)
+ *   requireRole(role)     authentication, role check, rate limits and Idempotency-Key handling
+ *   validateRequest(spec) schema validation of params, query and body (see validation.js)
+ *   sendValidationError   400 VALIDATION_FAILED response for errors found after validation
+ *
+ * A new resource adds its module below; app.js does not change.
+ */
+
+const express = require('express');
+const auth = require('./auth');
+const users = require('./users');
+const books = require('./books');
+const { authors, categories, tags } = require('./taxonomies');
+const orders = require('./orders');
+const webhooks = require('./webhooks');
+const admin = require('./admin');
+
+const resourceRouters = [auth, users, books, authors, categories, tags, orders, webhooks, admin];
+
+// A router with every plugin mounted at its path
+function mountResourceRouters(deps, plugins = resourceRouters) {
+    const router = express.Router();
+    for (const plugin of plugins) {
+        router.use(plugin.path, plugin.createRouter(deps));
+        deps.services.logger.debug('Mounted resource router', { correlationId: 'init', name: plugin.name, path: plugin.path });
+    }
+    return router;
+}
+
+module.exports = {
+    resourceRouters,
+    mountResourceRouters
+};
@@ -0,0 +1,210 @@
+/**
+ * Order routes (/api/orders)
+ * Placing orders and changing their status. Handlers validate requests and
+ * translate results into HTTP; stock reservation and the status rules live in
+ * OrderService.
+ */
+
+const express = require('express');
+
+/**
+ * @param {object} deps see mountResourceRouters in routes/index.js
+ */
+function createRouter({ services, requireRole, validateRequest }) {
+    const { orderService, logger } = services;
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /api/orders:
+     *   post:
+     *     summary: Place an order
+     *     description: Reserve stock for every item in a single transaction; rejects the whole order if any item is short
+     *     tags: [Orders]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/OrderCreate'
+     *     responses:
+     *       201:
+     *         description: Order created with status pending
+     *       400:
+     *         description: Invalid items
+     *       404:
+     *         description: A book does not exist
+     *       409:
+     *         description: Insufficient stock
+     */
+    router.post('/', requireRole('viewer'), validateRequest({ body: 'OrderCreate' }), async (req, res) => {
+        try {
+            const placed = await orderService.place(req, req.body.items);
+
+            if (placed.missing) {
+                return res.status(404).json({ error: 'Book not found', bookIds: placed.missing });
+            }
+            if (placed.shortages) {
+                return res.status(409).json({ error: 'Insufficient stock', shortages: placed.shortages });
+            }
+
+            res.status(201).json({ ...placed.order, message: 'Order created successfully' });
+        } catch (error) {
+            logger.error('Error creating order', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to create order' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/orders:
+     *   get:
+     *     summary: List orders
+     *     description: Clerks and admins see every order; viewers see only their own
+     *     tags: [Orders]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [pending, paid, shipped, cancelled]
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 20
+     *     responses:
+     *       200:
+     *         description: Page of orders with their items
+     *       400:
+     *         description: Invalid query parameters
+     */
+    router.get('/', requireRole('viewer'), validateRequest({ query: 'OrderListQuery' }), async (req, res) => {
+        try {
+            res.json(await orderService.list(req, req.query));
+        } catch (error) {
+            logger.error('Error fetching orders', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to fetch orders' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/orders/{id}:
+     *   get:
+     *     summary: Get order by ID
+     *     tags: [Orders]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Order with items
+     *       404:
+     *         description: Order not found
+     */
+    router.get('/:id', requireRole('viewer'), validateRequest({ params: 'IdParams' }), async (req, res) => {
+        try {
+            // Viewers cannot see other users' orders; answer 404 rather than leak their existence
+            const order = await orderService.get(req, req.params.id);
+            if (!order) {
+                return res.status(404).json({ error: 'Order not found' });
+            }
+            res.json(order);
+        } catch (error) {
+            logger.error('Error fetching order', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to fetch order' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/orders/{id}:
+     *   patch:
+     *     summary: Change order status
+     *     description: |
+     *       Allowed transitions are pending → paid | cancelled and paid → shipped | cancelled.
+     *       Cancelling returns the items to stock. Viewers may only cancel their own pending orders.
+     *     tags: [Orders]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/OrderStatusUpdate'
+     *     responses:
+     *       200:
+     *         description: Status updated
+     *       400:
+     *         description: Invalid status
+     *       404:
+     *         description: Order not found
+     *       409:
+     *         description: Transition not allowed from the current status
+     */
+    router.patch('/:id', requireRole('viewer'), validateRequest({ params: 'IdParams', body: 'OrderStatusUpdate' }), async (req, res) => {
+        const { status } = req.body;
+        try {
+            const changed = await orderService.changeStatus(req, req.params.id, status);
+
+            if (changed.notFound) {
+                return res.status(404).json({ error: 'Order not found' });
+            }
+            if (changed.forbidden) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            if (changed.invalidTransition) {
+                return res.status(409).json({
+                    error: `Cannot change order status from ${changed.invalidTransition} to ${status}`
+                });
+            }
+
+            res.json({ ...changed.order, message: 'Order updated successfully' });
+        } catch (error) {
+            logger.error('Error updating order', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to update order' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    name: 'orders',
+    path: '/api/orders',
+    createRouter
+};
@@ -0,0 +1,144 @@
+/**
+ * Service routes
+ * Liveness and readiness probes, Prometheus metrics and the live event stream.
+ * Unlike the resource routers in index.js these talk to the clients, circuit
+ * breakers and event hub directly, so app.js mounts this router at /api ahead
+ * of them with its own dependencies.
+ */
+
+const express = require('express');
+
+/**
+ * @param {object} deps
+ * @param {object} deps.config       loaded config (see config.js)
+ * @param {object} deps.db           mysql2 promise pool
+ * @param {object} deps.redis        node-redis client, or null
+ * @param {object} deps.breakers     { mysql, redis } circuit breakers
+ * @param {object} deps.register     prom-client registry (createMetrics() in metrics.js)
+ * @param {object} deps.events       event hub (see events.js)
+ * @param {function} deps.isDraining whether a shutdown has begun
+ * @param {function} deps.requireRole from createAuth() (auth.js)
+ * @param {object} deps.logger       winston logger
+ */
+function createRouter({ config, db, redis, breakers, register, events, isDraining, requireRole, logger }) {
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /api/health:
+     *   get:
+     *     summary: Liveness probe
+     *     description: Check if the application is running
+     *     tags: [Health]
+     *     responses:
+     *       200:
+     *         description: Application is healthy
+     */
+    router.get('/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime()
+        });
+    });
+
+    /**
+     * @swagger
+     * /api/ready:
+     *   get:
+     *     summary: Readiness probe
+     *     description: |
+     *       Check if the application can serve traffic. Fails as soon as a shutdown begins. circuits
+     *       gives the state of the MySQL and Redis circuit breakers (closed, half_open or open). With
+     *       CACHE_SERVE_STALE_ON_DB_ERROR=true the probe still passes, with status degraded, while
+     *       MySQL is down and Redis is up, since cached reads can still be answered
+     *     tags: [Health]
+     *     responses:
+     *       200:
+     *         description: Application is ready (or degraded)
+     *       503:
+     *         description: Application is not ready, or is shutting down
+     */
+    router.get('/ready', async (req, res) => {
+        if (isDraining()) {
+            return res.status(503).json({ status: 'shutting down', error: 'Server is shutting down' });
+        }
+
+        const cache = redis?.isReady ? 'connected' : 'disconnected';
+        const circuits = Object.fromEntries(Object.entries(breakers).map(([dependency, breaker]) => [dependency, breaker.state]));
+        try {
+            const connection = await db.getConnection();
+            await connection.ping();
+            connection.release();
+
+            res.json({
+                status: 'ready',
+                database: 'connected',
+                cache,
+                circuits,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Readiness check failed', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+
+            const degraded = config.cache.serveStaleOnDbError && cache === 'connected';
+            res.status(degraded ? 200 : 503).json({
+                status: degraded ? 'degraded' : 'not ready',
+                database: 'disconnected',
+                cache,
+                circuits,
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/metrics:
+     *   get:
+     *     summary: Prometheus metrics
+     *     description: Get application metrics in Prometheus format
+     *     tags: [Metrics]
+     *     responses:
+     *       200:
+     *         description: Metrics in Prometheus format
+     */
+    router.get('/metrics', async (req, res) => {
+        res.set('Content-Type', register.contentType);
+        res.end(await register.metrics());
+    });
+
+    /**
+     * @swagger
+     * /api/events:
+     *   get:
+     *     summary: Live inventory events
+     *     description: >
+     *       Server-Sent Events stream of book changes made through any backend
+     *       replica: book.created and book.updated (data { book }), book.deleted
+     *       ({ id }), book.stock ({ books: [{ id, stock, version }] }) and
+     *       catalogue.changed ({ reason }) after imports and author or category edits.
+     *     tags: [Books]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: text/event-stream that stays open
+     *         content:
+     *           text/event-stream:
+     *             schema:
+     *               type: string
+     *       401:
+     *         description: Authentication required
+     */
+    router.get('/events', requireRole('viewer'), (req, res) => events.openStream(req, res));
+
+    return router;
+}
+
+module.exports = {
+    createRouter
+};
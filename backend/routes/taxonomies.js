@@ -0,0 +1,389 @@
+/**
+ * Author, category and tag routes (/api/authors, /api/categories, /api/tags)
+ * The three taxonomies share their handlers; each is its own plugin so it is
+ * mounted at its own path. Tags are only listed here: books create them by name.
+ */
+
+const express = require('express');
+
+// Route handlers for one taxonomy over its TaxonomyService
+function taxonomyHandlers(service, logger) {
+    const { table, label } = service.taxonomy;
+
+    const fail = (req, res, action, error) => {
+        const gerund = { fetch: 'fetching', create: 'creating', update: 'updating', delete: 'deleting' }[action];
+        logger.error(`Error ${gerund} ${table}`, {
+            correlationId: req.correlationId,
+            error: error.message
+        });
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: `${label} with this name already exists` });
+        }
+        if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+            return res.status(409).json({ error: `${label} is linked to books` });
+        }
+        res.status(500).json({ error: `Failed to ${action} ${table}` });
+    };
+
+    return {
+        async list(req, res) {
+            try {
+                res.json(await service.list(req.query.q));
+            } catch (error) {
+                fail(req, res, 'fetch', error);
+            }
+        },
+
+        async get(req, res) {
+            try {
+                const entity = await service.get(req.params.id);
+                if (!entity) {
+                    return res.status(404).json({ error: `${label} not found` });
+                }
+                res.json(entity);
+            } catch (error) {
+                fail(req, res, 'fetch', error);
+            }
+        },
+
+        async create(req, res) {
+            try {
+                const entity = await service.create(req, req.body);
+                res.status(201).json({ ...entity, message: `${label} created successfully` });
+            } catch (error) {
+                fail(req, res, 'create', error);
+            }
+        },
+
+        async update(req, res) {
+            try {
+                const entity = await service.update(req, req.params.id, req.body);
+                if (!entity) {
+                    return res.status(404).json({ error: `${label} not found` });
+                }
+                res.json({ ...entity, message: `${label} updated successfully` });
+            } catch (error) {
+                fail(req, res, 'update', error);
+            }
+        },
+
+        async remove(req, res) {
+            try {
+                if (!await service.remove(req, req.params.id)) {
+                    return res.status(404).json({ error: `${label} not found` });
+                }
+                res.json({ message: `${label} deleted successfully` });
+            } catch (error) {
+                fail(req, res, 'delete', error);
+            }
+        }
+    };
+}
+
+/**
+ * @param {object} deps see mountResourceRouters in routes/index.js
+ */
+function createAuthorsRouter({ services, requireRole, validateRequest }) {
+    const handlers = taxonomyHandlers(services.taxonomyServices.authors, services.logger);
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /api/authors:
+     *   get:
+     *     summary: List authors
+     *     description: Authors ordered by name, each with the number of linked books
+     *     tags: [Catalogue]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: q
+     *         schema:
+     *           type: string
+     *         description: Name search
+     *     responses:
+     *       200:
+     *         description: List of authors
+     */
+    router.get('/', requireRole('viewer'), validateRequest({ query: 'TaxonomyListQuery' }), handlers.list);
+
+    /**
+     * @swagger
+     * /api/authors/{id}:
+     *   get:
+     *     summary: Get an author and their books
+     *     tags: [Catalogue]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Author with linked books
+     *       404:
+     *         description: Author not found
+     */
+    router.get('/:id', requireRole('viewer'), validateRequest({ params: 'IdParams' }), handlers.get);
+
+    /**
+     * @swagger
+     * /api/authors:
+     *   post:
+     *     summary: Create an author
+     *     tags: [Catalogue]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/AuthorCreate'
+     *     responses:
+     *       201:
+     *         description: Author created
+     *       400:
+     *         description: Invalid input
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       409:
+     *         description: An author with this name already exists
+     */
+    router.post('/', requireRole('clerk'), validateRequest({ body: 'AuthorCreate' }), handlers.create);
+
+    /**
+     * @swagger
+     * /api/authors/{id}:
+     *   put:
+     *     summary: Rename an author
+     *     description: Books embedding the author show the new name; their free-text author credit is unchanged
+     *     tags: [Catalogue]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/AuthorCreate'
+     *     responses:
+     *       200:
+     *         description: Author updated
+     *       404:
+     *         description: Author not found
+     *       409:
+     *         description: An author with this name already exists
+     */
+    router.put('/:id', requireRole('clerk'), validateRequest({ params: 'IdParams', body: 'AuthorCreate' }), handlers.update);
+
+    /**
+     * @swagger
+     * /api/authors/{id}:
+     *   delete:
+     *     summary: Delete an author
+     *     tags: [Catalogue]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Author deleted
+     *       404:
+     *         description: Author not found
+     *       409:
+     *         description: Author is still linked to books
+     */
+    router.delete('/:id', requireRole('admin'), validateRequest({ params: 'IdParams' }), handlers.remove);
+
+    return router;
+}
+
+/**
+ * @param {object} deps see mountResourceRouters in routes/index.js
+ */
+function createCategoriesRouter({ services, requireRole, validateRequest }) {
+    const handlers = taxonomyHandlers(services.taxonomyServices.categories, services.logger);
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /api/categories:
+     *   get:
+     *     summary: List categories
+     *     description: Categories ordered by name, each with the number of linked books
+     *     tags: [Catalogue]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: q
+     *         schema:
+     *           type: string
+     *         description: Name search
+     *     responses:
+     *       200:
+     *         description: List of categories
+     */
+    router.get('/', requireRole('viewer'), validateRequest({ query: 'TaxonomyListQuery' }), handlers.list);
+
+    /**
+     * @swagger
+     * /api/categories/{id}:
+     *   get:
+     *     summary: Get a category and its books
+     *     tags: [Catalogue]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Category with linked books
+     *       404:
+     *         description: Category not found
+     */
+    router.get('/:id', requireRole('viewer'), validateRequest({ params: 'IdParams' }), handlers.get);
+
+    /**
+     * @swagger
+     * /api/categories:
+     *   post:
+     *     summary: Create a category
+     *     tags: [Catalogue]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/CategoryCreate'
+     *     responses:
+     *       201:
+     *         description: Category created
+     *       400:
+     *         description: Invalid input
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       409:
+     *         description: A category with this name already exists
+     */
+    router.post('/', requireRole('clerk'), validateRequest({ body: 'CategoryCreate' }), handlers.create);
+
+    /**
+     * @swagger
+     * /api/categories/{id}:
+     *   put:
+     *     summary: Replace a category's name and description
+     *     tags: [Catalogue]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/CategoryCreate'
+     *     responses:
+     *       200:
+     *         description: Category updated
+     *       404:
+     *         description: Category not found
+     *       409:
+     *         description: A category with this name already exists
+     */
+    router.put('/:id', requireRole('clerk'), validateRequest({ params: 'IdParams', body: 'CategoryCreate' }), handlers.update);
+
+    /**
+     * @swagger
+     * /api/categories/{id}:
+     *   delete:
+     *     summary: Delete a category
+     *     tags: [Catalogue]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Category deleted
+     *       404:
+     *         description: Category not found
+     *       409:
+     *         description: Category is still linked to books
+     */
+    router.delete('/:id', requireRole('admin'), validateRequest({ params: 'IdParams' }), handlers.remove);
+
+    return router;
+}
+
+/**
+ * @param {object} deps see mountResourceRouters in routes/index.js
+ */
+function createTagsRouter({ services, requireRole, validateRequest }) {
+    const handlers = taxonomyHandlers(services.taxonomyServices.tags, services.logger);
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /api/tags:
+     *   get:
+     *     summary: List tags
+     *     description: Tags are created by naming them in a book's tags list
+     *     tags: [Catalogue]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: q
+     *         schema:
+     *           type: string
+     *         description: Name search
+     *     responses:
+     *       200:
+     *         description: List of tags with book counts
+     */
+    router.get('/', requireRole('viewer'), validateRequest({ query: 'TaxonomyListQuery' }), handlers.list);
+
+    return router;
+}
+
+module.exports = {
+    authors: { name: 'authors', path: '/api/authors', createRouter: createAuthorsRouter },
+    categories: { name: 'categories', path: '/api/categories', createRouter: createCategoriesRouter },
+    tags: { name: 'tags', path: '/api/tags', createRouter: createTagsRouter }
+};
@@ -0,0 +1,149 @@
+/**
+ * User routes (/api/users)
+ * Account management. Everything here requires the admin role.
+ */
+
+const express = require('express');
+
+/**
+ * @param {object} deps see mountResourceRouters in routes/index.js
+ */
+function createRouter({ services, requireRole, validateRequest }) {
+    const { userService, logger } = services;
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /api/users:
+     *   get:
+     *     summary: List users
+     *     tags: [Users]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: List of users
+     *       403:
+     *         description: Admin role required
+     */
+    router.get('/', requireRole('admin'), async (req, res) => {
+        try {
+            res.json(await userService.list());
+        } catch (error) {
+            logger.error('Error fetching users', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to fetch users' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/users:
+     *   post:
+     *     summary: Create a user
+     *     tags: [Users]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/UserCreate'
+     *     responses:
+     *       201:
+     *         description: User created
+     *       400:
+     *         description: Invalid input
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       409:
+     *         description: Username already taken
+     */
+    router.post('/', requireRole('admin'), validateRequest({ body: 'UserCreate' }), async (req, res) => {
+        try {
+            const { username, role } = req.body;
+            const id = await userService.create(req, req.body);
+
+            res.status(201).json({
+                id,
+                username,
+                role,
+                message: 'User created successfully'
+            });
+        } catch (error) {
+            logger.error('Error creating user', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ error: 'Username already exists' });
+            }
+
+            res.status(500).json({ error: 'Failed to create user' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/users/{id}:
+     *   delete:
+     *     summary: Delete a user
+     *     tags: [Users]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: User deleted
+     *       400:
+     *         description: Cannot delete your own account
+     *       404:
+     *         description: User not found
+     *       409:
+     *         description: The user has placed orders
+     */
+    router.delete('/:id', requireRole('admin'), validateRequest({ params: 'IdParams' }), async (req, res) => {
+        try {
+            if (req.params.id === req.user.id) {
+                return res.status(400).json({ error: 'You cannot delete your own account' });
+            }
+
+            if (!await userService.remove(req, req.params.id)) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            res.json({ message: 'User deleted successfully' });
+        } catch (error) {
+            logger.error('Error deleting user', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+
+            // Orders keep their user_id, so a user who has placed orders cannot be deleted
+            if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+                return res.status(409).json({ error: 'User has placed orders' });
+            }
+
+            res.status(500).json({ error: 'Failed to delete user' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    name: 'users',
+    path: '/api/users',
+    createRouter
+};
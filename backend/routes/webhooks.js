@@ -0,0 +1,350 @@
+/**
+ * Webhook routes (/api/webhooks)
+ * Subscriptions, their delivery log, pings and redeliveries. Everything here
+ * requires the admin role; queueing and delivery live in WebhookService.
+ */
+
+const express = require('express');
+const { schemas } = require('../validation');
+
+// Fields PATCH may change (and must include at least one of)
+const WEBHOOK_PATCH_FIELDS = Object.keys(schemas.WebhookPatch.properties);
+
+/**
+ * @param {object} deps see mountResourceRouters in routes/index.js
+ */
+function createRouter({ services, requireRole, validateRequest }) {
+    const { webhookService, logger } = services;
+    const router = express.Router();
+
+    /**
+     * @swagger
+     * /api/webhooks:
+     *   get:
+     *     summary: List webhooks
+     *     tags: [Webhooks]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Webhook subscriptions (without their secrets)
+     *       403:
+     *         description: Admin role required
+     */
+    router.get('/', requireRole('admin'), async (req, res) => {
+        try {
+            res.json(await webhookService.list());
+        } catch (error) {
+            logger.error('Error fetching webhooks', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to fetch webhooks' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/webhooks:
+     *   post:
+     *     summary: Create a webhook
+     *     description: The signing secret is only returned here; keep it to verify X-Bookstore-Signature
+     *     tags: [Webhooks]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/WebhookCreate'
+     *     responses:
+     *       201:
+     *         description: Webhook created, with its secret
+     *       400:
+     *         description: Invalid input
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    router.post('/', requireRole('admin'), validateRequest({ body: 'WebhookCreate' }), async (req, res) => {
+        try {
+            res.status(201).json(await webhookService.create(req, req.body));
+        } catch (error) {
+            logger.error('Error creating webhook', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to create webhook' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/webhooks/{id}:
+     *   get:
+     *     summary: Get a webhook
+     *     tags: [Webhooks]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Webhook with delivery counts by status
+     *       404:
+     *         description: Webhook not found
+     */
+    router.get('/:id', requireRole('admin'), validateRequest({ params: 'IdParams' }), async (req, res) => {
+        try {
+            const webhook = await webhookService.get(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            res.json(webhook);
+        } catch (error) {
+            logger.error('Error fetching webhook', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to fetch webhook' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/webhooks/{id}:
+     *   patch:
+     *     summary: Update a webhook
+     *     description: Change the URL, events, description or active flag, or rotate the secret
+     *     tags: [Webhooks]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/WebhookPatch'
+     *     responses:
+     *       200:
+     *         description: Updated webhook
+     *       400:
+     *         description: Invalid input
+     *       404:
+     *         description: Webhook not found
+     */
+    router.patch('/:id', requireRole('admin'), validateRequest({ params: 'IdParams', body: 'WebhookPatch' }), async (req, res) => {
+        try {
+            const changes = Object.fromEntries(
+                WEBHOOK_PATCH_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+            );
+
+            const webhook = await webhookService.update(req, req.params.id, changes);
+            if (!webhook) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            res.json(webhook);
+        } catch (error) {
+            logger.error('Error updating webhook', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to update webhook' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/webhooks/{id}:
+     *   delete:
+     *     summary: Delete a webhook
+     *     description: Also deletes its queued deliveries and delivery log
+     *     tags: [Webhooks]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Webhook deleted
+     *       404:
+     *         description: Webhook not found
+     */
+    router.delete('/:id', requireRole('admin'), validateRequest({ params: 'IdParams' }), async (req, res) => {
+        try {
+            if (!await webhookService.remove(req, req.params.id)) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            res.json({ message: 'Webhook deleted successfully' });
+        } catch (error) {
+            logger.error('Error deleting webhook', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to delete webhook' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/webhooks/{id}/ping:
+     *   post:
+     *     summary: Send a test event
+     *     description: Queues a ping event for this webhook only, to check the receiver and its signature verification
+     *     tags: [Webhooks]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       202:
+     *         description: Ping queued; follow it in the delivery log
+     *       404:
+     *         description: Webhook not found
+     */
+    router.post('/:id/ping', requireRole('admin'), validateRequest({ params: 'IdParams' }), async (req, res) => {
+        try {
+            const queued = await webhookService.ping(req.params.id);
+            if (!queued) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            res.status(202).json({ ...queued, status: 'pending' });
+        } catch (error) {
+            logger.error('Error queuing webhook ping', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to queue webhook ping' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/webhooks/{id}/deliveries:
+     *   get:
+     *     summary: Delivery log
+     *     description: Deliveries of this webhook, newest first, with their attempts and last response
+     *     tags: [Webhooks]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [pending, delivering, succeeded, failed]
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 20
+     *     responses:
+     *       200:
+     *         description: Page of deliveries with pagination metadata
+     *       404:
+     *         description: Webhook not found
+     */
+    router.get('/:id/deliveries', requireRole('admin'), validateRequest({ params: 'IdParams', query: 'WebhookDeliveryQuery' }), async (req, res) => {
+        try {
+            const page = await webhookService.deliveries(req.params.id, req.query);
+            if (!page) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            res.json(page);
+        } catch (error) {
+            logger.error('Error fetching webhook deliveries', {
+                correlationId: req.correlationId,
+                error: error.message
+            });
+            res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+        }
+    });
+
+    /**
+     * @swagger
+     * /api/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+     *   post:
+     *     summary: Redeliver an event
+     *     description: Queues a new delivery of the same payload (same event ID); the original stays in the log
+     *     tags: [Webhooks]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: deliveryId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       202:
+     *         description: Redelivery queued
+     *       404:
+     *         description: Delivery not found for this webhook
+     */
+    router.post(
+        '/:id/deliveries/:deliveryId/redeliver',
+        requireRole('admin'),
+        validateRequest({ params: 'WebhookDeliveryParams' }),
+        async (req, res) => {
+            try {
+                const deliveryId = await webhookService.redeliver(req, req.params.id, req.params.deliveryId);
+                if (deliveryId === null) {
+                    return res.status(404).json({ error: 'Delivery not found' });
+                }
+                res.status(202).json({ deliveryId, redeliveryOf: req.params.deliveryId, status: 'pending' });
+            } catch (error) {
+                logger.error('Error queuing webhook redelivery', {
+                    correlationId: req.correlationId,
+                    error: error.message
+                });
+                res.status(500).json({ error: 'Failed to queue webhook redelivery' });
+            }
+        }
+    );
+
+    return router;
+}
+
+module.exports = {
+    name: 'webhooks',
+    path: '/api/webhooks',
+    createRouter
+};
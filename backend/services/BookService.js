@@ -0,0 +1,513 @@
+/**
+ * BookService
+ * Business rules for books, shared by the REST routes (routes/books.js) and
+ * GraphQL: reads through the cache, writes under row locks with If-Match
+ * checks, history on every change, the trash and its retention, and the cache
+ * invalidation and change events that follow a write.
+ *
+ * Methods taking an actor record it in the history and logs: the request, or
+ * a job object ({ correlationId }) standing in for one.
+ *
+ * Cache keys:
+ *   books:{id}                one book with its relations
+ *   books:list:v{N}:{query}   one page of GET /api/books
+ *   books:list:version        N, bumped to invalidate every cached page at once
+ */
+
+const { toISBN13 } = require('../isbn');
+const { normalizeTagName, pickBookRelations } = require('../validation');
+
+const LIST_VERSION_KEY = 'books:list:version';
+
+const bookKey = id => `books:${id}`;
+
+/**
+ * Normalize validated GET /api/books query parameters into list options
+ * whose key order is stable so they can be used to build cache keys.
+ */
+function toBookListOptions(query) {
+    const number = value => (value === undefined || value === '' ? null : value);
+    return {
+        q: query.q ? query.q.trim() : '',
+        isbn: query.isbn ? toISBN13(query.isbn) : null,
+        category: query.category === undefined ? null : query.category,
+        tag: query.tag ? normalizeTagName(query.tag) : '',
+        minPrice: number(query.minPrice),
+        maxPrice: number(query.maxPrice),
+        minStock: number(query.minStock),
+        maxStock: number(query.maxStock),
+        lowStock: query.lowStock || null,
+        sort: query.sort,
+        order: query.order,
+        page: query.page,
+        limit: query.limit
+    };
+}
+
+function buildListCacheKey(options, version) {
+    const parts = Object.entries(options)
+        .filter(([, value]) => value !== null && value !== '')
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+    return `books:list:v${version}:${parts.join('&')}`;
+}
+
+// Every write bumps books.version, so the version is a strong validator for the row
+function bookETag(book) {
+    return `"${book.version}"`;
+}
+
+// True when there is no If-Match value or one of its tags matches the book
+function matchesIfMatch(ifMatch, book) {
+    if (!ifMatch) return true;
+    if (ifMatch.trim() === '*') return true;
+    return ifMatch.split(',').map(tag => tag.trim()).includes(bookETag(book));
+}
+
+function toPage(data, { page, limit }, total) {
+    return {
+        data,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+}
+
+// Hard-delete a trashed book on a transaction's repository, recording its last state in the history
+async function purgeBook(books, actor, book) {
+    const [before] = await books.attachRelations([book]);
+    await books.delete(book.id);
+    await books.recordHistory(actor, {
+        bookId: book.id,
+        action: 'purge',
+        before,
+        after: null
+    });
+}
+
+class BookService {
+    /**
+     * @param {object} deps
+     * @param {BookRepository} deps.repository
+     * @param {CacheService} deps.cache
+     * @param {object} deps.events   { publish(type, data) }
+     * @param {object} deps.logger   winston logger
+     * @param {object} deps.metrics  { booksPurged } prom-client counter
+     * @param {object} deps.config   loaded config (uses its trash section)
+     */
+    constructor({ repository, cache, events, logger, metrics, config }) {
+        this.repository = repository;
+        this.cache = cache;
+        this.events = events;
+        this.logger = logger;
+        this.metrics = metrics;
+        this.trashConfig = config.trash;
+        this.trashPurgeRunning = false;
+    }
+
+    // ---- Reads ----
+
+    // One page of books with their relations, through the cache; resolves to { value, source, cacheKey }
+    async list(actor, options) {
+        const cacheKey = buildListCacheKey(options, await this.cache.getVersion(LIST_VERSION_KEY));
+
+        const result = await this.cache.cached('book_list', cacheKey, async () => {
+            const { rows, total } = await this.repository.findPage(options);
+
+            this.logger.info('Fetched books from database', {
+                correlationId: actor.correlationId,
+                count: rows.length,
+                total
+            });
+
+            return toPage(await this.repository.attachRelations(rows), options, total);
+        });
+        return { ...result, cacheKey };
+    }
+
+    // Books at or below their reorder_threshold, furthest below it first
+    async lowStock(paging) {
+        const { rows, total } = await this.repository.findLowStockPage(paging);
+        return toPage(await this.repository.attachRelations(rows), paging, total);
+    }
+
+    async listTrash({ q, page, limit }) {
+        const search = q ? q.trim() : '';
+        const { rows, total } = await this.repository.findTrashPage({ q: search, page, limit });
+        return toPage((await this.repository.attachRelations(rows)).map(row => this.toTrashedBook(row)), { page, limit }, total);
+    }
+
+    // One book with its relations through the cache (value undefined when it does not exist)
+    get(id) {
+        return this.cache.cached('book', bookKey(id), async () => {
+            const book = await this.repository.findById(id);
+            if (!book) return undefined;
+            const [found] = await this.repository.attachRelations([book]);
+            return found;
+        });
+    }
+
+    // Rows for GET /api/books/export: see BookRepository#stream
+    openExport(options) {
+        return this.repository.stream(options);
+    }
+
+    attachRelations(books) {
+        return this.repository.attachRelations(books);
+    }
+
+    // ---- Writes ----
+
+    // Insert a book from validated columns and relations. Returns { invalid } | { book }
+    async create(actor, book, relations) {
+        const result = await this.repository.transaction(async (books) => {
+            const resolved = await books.resolveRelations(relations);
+            if (resolved.details.length > 0) return { invalid: resolved.details };
+            if (book.author === undefined) {
+                book.author = resolved.authors.map(author => author.name).join(', ');
+            }
+
+            const id = await books.insert(book);
+            await books.writeRelations(id, resolved);
+
+            const created = await books.findWithRelations(id);
+            await books.recordHistory(actor, {
+                bookId: id,
+                action: 'create',
+                before: null,
+                after: created
+            });
+            return { book: created };
+        });
+        if (result.invalid) return result;
+
+        await this.invalidateCache();
+        await this.events.publish('book.created', { book: result.book });
+
+        this.logger.info('Book created', {
+            correlationId: actor.correlationId,
+            bookId: result.book.id,
+            title: result.book.title,
+            userId: actor.user.id
+        });
+        return result;
+    }
+
+    /**
+     * Apply validated column and relation changes under a row lock, honouring
+     * ifMatch (an If-Match header value). Returns
+     * { notFound } | { conflict } (the current row) | { invalid } | { book }
+     */
+    async update(actor, id, changes, relations, { ifMatch } = {}) {
+        const result = await this.repository.transaction(async (books) => {
+            const current = await books.lockById(id);
+            if (!current) return { notFound: true };
+            if (!matchesIfMatch(ifMatch, current)) return { conflict: current };
+
+            const resolved = await books.resolveRelations(relations);
+            if (resolved.details.length > 0) return { invalid: resolved.details };
+            if (resolved.authors && changes.author === undefined && resolved.authors.length > 0) {
+                changes.author = resolved.authors.map(author => author.name).join(', ');
+            }
+
+            const [before] = await books.attachRelations([current]);
+            await books.update(id, changes);
+            await books.writeRelations(id, resolved);
+
+            const after = await books.findWithRelations(id);
+            await books.recordHistory(actor, {
+                bookId: current.id,
+                action: 'update',
+                before,
+                after
+            });
+            return { book: after };
+        });
+        if (!result.book) return result;
+
+        await this.invalidateCache([id]);
+        await this.events.publish('book.updated', { book: result.book });
+
+        this.logger.info('Book updated', {
+            correlationId: actor.correlationId,
+            bookId: id,
+            fields: [...Object.keys(changes), ...Object.keys(relations)],
+            userId: actor.user.id
+        });
+        return result;
+    }
+
+    // Move a book to the trash under a row lock, honouring ifMatch.
+    // Returns { notFound } | { conflict } | { book } (the trashed book)
+    async trash(actor, id, { ifMatch } = {}) {
+        const result = await this.repository.transaction(async (books) => {
+            const current = await books.lockById(id);
+            if (!current) return { notFound: true };
+            if (!matchesIfMatch(ifMatch, current)) return { conflict: current };
+
+            // Record the relations too, so restoring this history entry re-links them
+            const [before] = await books.attachRelations([current]);
+            await books.moveToTrash(id, actor.user.id);
+            await books.recordHistory(actor, {
+                bookId: current.id,
+                action: 'delete',
+                before,
+                after: null
+            });
+            const trashed = await books.findAnyById(id);
+            return { book: this.toTrashedBook({ ...trashed, deleted_by_username: actor.user.username }) };
+        });
+        if (!result.book) return result;
+
+        await this.invalidateCache([id]);
+        await this.events.publish('book.deleted', { id });
+
+        this.logger.info('Book moved to the trash', {
+            correlationId: actor.correlationId,
+            bookId: id,
+            userId: actor.user.id
+        });
+        return result;
+    }
+
+    // ---- Trash ----
+
+    // A trashed book with who deleted it and when the retention job will purge it (null without retention)
+    toTrashedBook(row) {
+        const { deleted_by_username: username, ...book } = row;
+        const { retentionDays } = this.trashConfig;
+        return {
+            ...book,
+            deleted_by: book.deleted_by ? { id: book.deleted_by, username } : null,
+            purge_at: retentionDays > 0
+                ? new Date(new Date(book.deleted_at).getTime() + retentionDays * 24 * 60 * 60 * 1000)
+                : null
+        };
+    }
+
+    // Take a book out of the trash; returns it with its relations, or null when it is not in the trash
+    async restore(actor, id) {
+        const restored = await this.repository.transaction(async (books) => {
+            if (!await books.lockById(id, 'trashed')) return null;
+
+            await books.takeOutOfTrash(id);
+            const after = await books.findWithRelations(id);
+            await books.recordHistory(actor, {
+                bookId: after.id,
+                action: 'restore',
+                before: null,
+                after
+            });
+            return after;
+        });
+        if (!restored) return null;
+
+        await this.invalidateCache([restored.id]);
+        await this.events.publish('book.created', { book: restored });
+
+        this.logger.info('Book restored from the trash', {
+            correlationId: actor.correlationId,
+            bookId: restored.id,
+            userId: actor.user.id
+        });
+        return restored;
+    }
+
+    // Purge one book from the trash (admin); false when it is not in the trash
+    async purge(actor, id) {
+        const purged = await this.repository.transaction(async (books) => {
+            const book = await books.lockById(id, 'trashed');
+            if (!book) return false;
+
+            await purgeBook(books, actor, book);
+            return true;
+        });
+        if (!purged) return false;
+
+        this.metrics.booksPurged.labels('admin').inc();
+        this.logger.info('Book purged', {
+            correlationId: actor.correlationId,
+            bookId: id,
+            userId: actor.user.id
+        });
+        return true;
+    }
+
+    // Purge books that have been in the trash longer than the retention period, in batches
+    async purgeExpiredTrash() {
+        if (this.trashPurgeRunning) return;
+        this.trashPurgeRunning = true;
+        // Stands in for the request in history entries: no user, a fixed correlation ID
+        const job = { correlationId: 'trash-retention' };
+        const { retentionDays, batchSize } = this.trashConfig;
+
+        try {
+            let purged;
+            do {
+                purged = await this.repository.transaction(async (books) => {
+                    const rows = await books.lockExpiredTrash(retentionDays, batchSize);
+                    for (const book of rows) {
+                        await purgeBook(books, job, book);
+                    }
+                    return rows.length;
+                });
+
+                if (purged > 0) {
+                    this.metrics.booksPurged.labels('retention').inc(purged);
+                    this.logger.info('Purged expired books from the trash', {
+                        correlationId: job.correlationId,
+                        count: purged,
+                        retentionDays
+                    });
+                }
+            } while (purged === batchSize);
+        } catch (error) {
+            this.logger.error('Trash purge failed', { correlationId: job.correlationId, error: error.message });
+        } finally {
+            this.trashPurgeRunning = false;
+        }
+    }
+
+    // ---- History ----
+
+    history(id, limit) {
+        return this.repository.findHistory(id, limit);
+    }
+
+    // The latest entries of several books, as a Map of book ID -> entries (GraphQL batches these)
+    recentHistory(bookIds, limit) {
+        return this.repository.findRecentHistory(bookIds, limit);
+    }
+
+    /**
+     * Write the snapshot recorded by a history entry back to the book (the state
+     * after the change, or the state before it for deletions). Takes a trashed
+     * book out of the trash, or re-creates it with its original ID if it was
+     * purged. Title, author, ISBN, price, reorder settings and relations are
+     * restored; stock is not, except on a re-created book (see writeSnapshot).
+     * Returns { book, recreated }, or null when the entry does not exist.
+     */
+    async restoreVersion(actor, id, historyId) {
+        const restored = await this.repository.transaction(async (books) => {
+            const entry = await books.findHistoryEntry(id, historyId);
+            if (!entry) return null;
+
+            const snapshot = entry.after_data || entry.before_data;
+            const current = await books.lockById(snapshot.id, 'any');
+            await books.writeSnapshot(snapshot, Boolean(current));
+
+            // Authors or categories deleted since the snapshot are dropped rather than failing the restore
+            const resolved = await books.resolveRelations(pickBookRelations(snapshot));
+            const [before] = await books.attachRelations(current ? [current] : []);
+            await books.writeRelations(snapshot.id, resolved);
+
+            const after = await books.findWithRelations(snapshot.id);
+            await books.recordHistory(actor, {
+                bookId: snapshot.id,
+                action: 'restore',
+                before: before || null,
+                after
+            });
+            return { book: after, recreated: !before || before.deleted_at !== null };
+        });
+        if (!restored) return null;
+
+        await this.invalidateCache([restored.book.id]);
+        await this.events.publish(restored.recreated ? 'book.created' : 'book.updated', { book: restored.book });
+
+        this.logger.info('Book restored from history', {
+            correlationId: actor.correlationId,
+            bookId: restored.book.id,
+            historyId,
+            userId: actor.user.id
+        });
+        return restored;
+    }
+
+    // ---- Import ----
+
+    // Insert or update a single imported book; returns the report status
+    async importBook(actor, book, { dryRun, mode }) {
+        // A trashed book with the same ISBN stays in the trash; the import creates a new one
+        const current = await this.repository.findByIsbn(book.isbn);
+
+        if (!current) {
+            if (dryRun) return { status: 'created' };
+            const id = await this.repository.transaction(async (books) => {
+                const insertId = await books.insert(book);
+                // Read back, as create() does, so the snapshot has the version and timestamps
+                await books.recordHistory(actor, {
+                    bookId: insertId,
+                    action: 'create',
+                    before: null,
+                    after: await books.findWithRelations(insertId)
+                });
+                return insertId;
+            });
+            return { status: 'created', id };
+        }
+
+        if (mode === 'create') {
+            return { status: 'skipped', id: current.id, reason: 'ISBN already exists' };
+        }
+
+        // The ISBN matched, so only the other columns can change; reorder settings only when the file has them
+        const updates = Object.fromEntries(
+            Object.entries(book).filter(([field]) => field !== 'isbn' && field !== 'isbn_display')
+        );
+        const unchanged = Object.entries(updates).every(([field, value]) => (
+            field === 'price' ? parseFloat(current.price) === value : current[field] === value
+        ));
+        if (unchanged) {
+            return { status: 'skipped', id: current.id, reason: 'No changes' };
+        }
+
+        if (dryRun) return { status: 'updated', id: current.id };
+        await this.repository.transaction(async (books) => {
+            const locked = await books.lockById(current.id, 'any');
+            const [before] = await books.attachRelations([locked]);
+            await books.update(current.id, updates);
+            await books.recordHistory(actor, {
+                bookId: current.id,
+                action: 'update',
+                before,
+                after: await books.findWithRelations(current.id)
+            });
+        });
+        return { status: 'updated', id: current.id };
+    }
+
+    // ---- Cache and events ----
+
+    // Drop the cached entries for specific books and every cached list page
+    invalidateCache(bookIds = []) {
+        return this.cache.invalidate({ versions: [LIST_VERSION_KEY], keys: bookIds.map(bookKey) });
+    }
+
+    // Drop every cached book and list page, e.g. after a rename that every book embeds
+    async invalidateAllCache() {
+        await this.invalidateCache();
+        await this.cache.deleteMatching('books:*', key => /^books:\d+$/.test(key));
+    }
+
+    // Bulk changes (imports, author/category/tag writes): clients reload the list
+    async catalogueChanged(reason) {
+        await this.invalidateAllCache();
+        await this.events.publish('catalogue.changed', { reason });
+    }
+
+    // Stock moved by orders outside this service: books is [{ id, stock, version }]
+    async stockChanged(books) {
+        await this.invalidateCache(books.map(book => book.id));
+        await this.events.publish('book.stock', { books });
+    }
+}
+
+module.exports = {
+    BookService,
+    LIST_VERSION_KEY,
+    toBookListOptions,
+    bookETag
+};
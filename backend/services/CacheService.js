@@ -0,0 +1,215 @@
+/**
+ * CacheService
+ * Read-through JSON cache over a node-redis client. Knows nothing about books:
+ * callers choose the keys and what to invalidate (see BookService).
+ *
+ * Entries are stored as { value, freshUntil } and kept staleTtl seconds past
+ * freshUntil; a stale entry is served while one request refreshes it.
+ * Concurrent misses for the same key in this process share a single load.
+ * While Redis is unavailable (reconnecting, or its circuit breaker is open)
+ * every lookup goes straight to load() and writes are skipped, so the cache
+ * never fails a request; caching resumes by itself once the client is ready.
+ *
+ * With serveStaleIf, entries are kept staleIfErrorTtl seconds past freshUntil
+ * and one is served when load() fails with an error serveStaleIf accepts
+ * (MySQL being down), instead of failing the read.
+ */
+
+const { withSpan } = require('../tracing');
+
+// Cache result -> the source callers see: a bypass is a plain load, and a
+// fallback is served like any other stale entry
+const SOURCES = { bypass: 'miss', fallback: 'stale' };
+
+class CacheService {
+    /**
+     * @param {object} options
+     * @param {object} options.client   node-redis client (may be null or disconnected)
+     * @param {object} options.logger   winston logger
+     * @param {object} options.metrics  { requests, errors, coalesced } prom-client counters
+     * @param {number} options.ttl      seconds an entry stays fresh
+     * @param {number} options.staleTtl seconds an expired entry may still be served
+     * @param {object} [options.breaker]         CircuitBreaker every Redis command runs through
+     * @param {function} [options.serveStaleIf]  (error) => boolean: load errors answered from an old entry
+     * @param {number} [options.staleIfErrorTtl] seconds past freshUntil an entry is kept for serveStaleIf
+     */
+    constructor({ client, logger, metrics, ttl, staleTtl, breaker = null, serveStaleIf = null, staleIfErrorTtl = 0 }) {
+        this.client = client;
+        this.logger = logger;
+        this.metrics = metrics;
+        this.ttl = ttl;
+        this.staleTtl = staleTtl;
+        this.breaker = breaker;
+        this.serveStaleIf = serveStaleIf;
+        // How long past freshUntil Redis keeps an entry
+        this.keepTtl = serveStaleIf ? Math.max(staleTtl, staleIfErrorTtl) : staleTtl;
+        // In-flight loads by cache key (single-flight)
+        this.pendingLoads = new Map();
+        // Bumped on every invalidation; a load that started before one does not write its result
+        this.epoch = 0;
+        // Set when an invalidation could not reach Redis, so entries there may be out of date;
+        // whoever notices Redis is back clears everything and resets it (see createApp() in app.js)
+        this.missedInvalidations = false;
+    }
+
+    // isReady rather than isOpen: while node-redis reconnects it queues commands instead of failing them
+    get available() {
+        return Boolean(this.client?.isReady) && !this.breaker?.rejecting;
+    }
+
+    command(fn) {
+        return this.breaker ? this.breaker.exec(fn) : fn();
+    }
+
+    error(operation, error) {
+        this.metrics.errors.inc({ operation });
+        this.logger.error('Cache error', { operation, error: error.message });
+    }
+
+    async get(key) {
+        if (!this.available) return null;
+        try {
+            const cached = await this.command(() => this.client.get(key));
+            return cached ? JSON.parse(cached) : null;
+        } catch (error) {
+            this.error('get', error);
+            return null;
+        }
+    }
+
+    async set(key, value, ttl = this.ttl) {
+        if (!this.available) return;
+        try {
+            const entry = { value, freshUntil: Date.now() + ttl * 1000 };
+            await this.command(() => this.client.setEx(key, ttl + this.keepTtl, JSON.stringify(entry)));
+        } catch (error) {
+            this.error('set', error);
+        }
+    }
+
+    /**
+     * Read-through lookup. Resolves to { value, source } where source is
+     * 'hit', 'stale' (expired entry served while it refreshes, or served
+     * because load() failed, see serveStaleIf) or 'miss' (value came from
+     * load()). load() may return undefined for "not found", which is not
+     * cached. Redis errors fall back to load().
+     */
+    async cached(name, key, load, { ttl = this.ttl } = {}) {
+        return withSpan(`cache ${name}`, { 'cache.key': key }, async (span) => {
+            const { value, result } = await this.readThrough(name, key, load, ttl);
+            this.metrics.requests.inc({ cache: name, result });
+            span.setAttribute('cache.result', result);
+            return { value, source: SOURCES[result] || result };
+        });
+    }
+
+    async readThrough(name, key, load, ttl) {
+        if (!this.available) {
+            return { value: await load(), result: 'bypass' };
+        }
+
+        const entry = await this.get(key);
+        if (entry && entry.freshUntil > Date.now()) {
+            return { value: entry.value, result: 'hit' };
+        }
+        if (entry && entry.freshUntil + this.staleTtl * 1000 > Date.now()) {
+            this.load(name, key, load, ttl).catch(error => {
+                this.logger.warn('Background cache refresh failed', { cache: name, key, error: error.message });
+            });
+            return { value: entry.value, result: 'stale' };
+        }
+
+        try {
+            return { value: await this.load(name, key, load, ttl), result: 'miss' };
+        } catch (error) {
+            // Only entries kept for serveStaleIf are this old
+            if (entry && this.serveStaleIf?.(error)) {
+                this.logger.warn('Serving an expired cache entry; load failed', { cache: name, key, error: error.message });
+                return { value: entry.value, result: 'fallback' };
+            }
+            throw error;
+        }
+    }
+
+    // Run load() once per key at a time and cache its result (unless it is undefined)
+    load(name, key, load, ttl) {
+        if (this.pendingLoads.has(key)) {
+            this.metrics.coalesced.inc({ cache: name });
+            return this.pendingLoads.get(key);
+        }
+
+        const epoch = this.epoch;
+        const loading = (async () => {
+            try {
+                const value = await load();
+                if (value !== undefined && epoch === this.epoch) {
+                    await this.set(key, value, ttl);
+                }
+                return value;
+            } finally {
+                this.pendingLoads.delete(key);
+            }
+        })();
+        this.pendingLoads.set(key, loading);
+        return loading;
+    }
+
+    // Current value of a version counter (0 when unset or Redis is unavailable)
+    async getVersion(key) {
+        if (!this.available) return 0;
+        try {
+            return parseInt(await this.command(() => this.client.get(key))) || 0;
+        } catch (error) {
+            this.error('get', error);
+            return 0;
+        }
+    }
+
+    // Bump the given version counters and delete the given keys in one MULTI
+    async invalidate({ versions = [], keys = [] } = {}) {
+        this.epoch++;
+        if (!this.available) {
+            this.missedInvalidations = true;
+            return;
+        }
+        try {
+            const multi = this.client.multi();
+            for (const version of versions) {
+                multi.incr(version);
+            }
+            if (keys.length > 0) {
+                multi.del(keys);
+            }
+            await this.command(() => multi.exec());
+        } catch (error) {
+            this.missedInvalidations = true;
+            this.error('invalidate', error);
+        }
+    }
+
+    // Delete every key matching the SCAN pattern that also passes test(key).
+    // SCAN walks the keyspace in small batches instead of blocking Redis like KEYS;
+    // each page is its own command so the breaker's timeout applies to it
+    async deleteMatching(pattern, test = () => true) {
+        if (!this.available) {
+            this.missedInvalidations = true;
+            return;
+        }
+        try {
+            let cursor = 0;
+            do {
+                const page = await this.command(() => this.client.scan(cursor, { MATCH: pattern, COUNT: 100 }));
+                const keys = page.keys.filter(test);
+                if (keys.length > 0) await this.command(() => this.client.del(keys));
+                cursor = page.cursor;
+            } while (cursor !== 0);
+        } catch (error) {
+            this.missedInvalidations = true;
+            this.error('invalidate', error);
+        }
+    }
+}
+
+module.exports = {
+    CacheService
+};
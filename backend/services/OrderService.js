@@ -0,0 +1,185 @@
+/**
+ * OrderService
+ * Placing orders and moving them through their statuses. Stock is reserved
+ * when an order is placed and returned when it is cancelled, under row locks,
+ * with a 'stock' history entry per book; BookService then invalidates the
+ * cache and publishes book.stock.
+ *
+ * Viewers only see and cancel their own orders; clerks and admins manage all.
+ */
+
+const { ROLES } = require('../validation');
+
+// Allowed order status transitions; cancelling returns the items to stock
+const ORDER_TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['shipped', 'cancelled'],
+    shipped: [],
+    cancelled: []
+};
+
+function isStaff(user) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf('clerk');
+}
+
+class OrderService {
+    /**
+     * @param {object} deps
+     * @param {OrderRepository} deps.repository
+     * @param {BookService} deps.bookService  cache invalidation and events after stock moves
+     * @param {object} deps.logger  winston logger
+     */
+    constructor({ repository, bookService, logger }) {
+        this.repository = repository;
+        this.bookService = bookService;
+        this.logger = logger;
+    }
+
+    // ---- Reads ----
+
+    // One page of orders with their items; viewers only get their own
+    async list(actor, { status, page, limit }) {
+        const filters = { status, userId: isStaff(actor.user) ? undefined : actor.user.id };
+        const { rows, total } = await this.repository.findPage(filters, { page, limit });
+        const items = await this.repository.findItems(rows.map(order => order.id));
+
+        return {
+            data: rows.map(order => ({ ...order, items: items[order.id] || [] })),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+        };
+    }
+
+    // The order with its items, or null; another user's order is null to a viewer
+    async get(actor, id) {
+        const order = await this.repository.findById(id);
+        if (!order || (!isStaff(actor.user) && order.user_id !== actor.user.id)) return null;
+
+        const items = await this.repository.findItems([order.id]);
+        return { ...order, items: items[order.id] || [] };
+    }
+
+    // ---- Writes ----
+
+    /**
+     * Reserve stock for every item in one transaction and record a pending order.
+     * items is [{ bookId, quantity }]; lines for the same book are merged.
+     * Returns { missing } (book IDs) | { shortages } | { order }
+     */
+    async place(actor, items) {
+        const quantities = new Map();
+        for (const { bookId, quantity } of items) {
+            quantities.set(bookId, (quantities.get(bookId) || 0) + quantity);
+        }
+        const bookIds = [...quantities.keys()].sort((a, b) => a - b);
+
+        const result = await this.repository.transaction(async (orders, books) => {
+            const locked = await books.lockByIds(bookIds);
+            if (locked.length !== bookIds.length) {
+                const found = new Set(locked.map(book => book.id));
+                return { missing: bookIds.filter(id => !found.has(id)) };
+            }
+
+            const shortages = locked
+                .filter(book => book.stock < quantities.get(book.id))
+                .map(book => ({ bookId: book.id, requested: quantities.get(book.id), available: book.stock }));
+            if (shortages.length > 0) return { shortages };
+
+            let total = 0;
+            for (const book of locked) {
+                const quantity = quantities.get(book.id);
+                total += parseFloat(book.price) * quantity;
+                await books.adjustStock(book.id, -quantity);
+                await books.recordHistory(actor, {
+                    bookId: book.id,
+                    action: 'stock',
+                    before: book,
+                    after: { ...book, stock: book.stock - quantity }
+                });
+            }
+            total = Math.round(total * 100) / 100;
+
+            const lines = locked.map(book => ({
+                bookId: book.id,
+                title: book.title,
+                quantity: quantities.get(book.id),
+                unitPrice: book.price
+            }));
+            const id = await orders.insert({ userId: actor.user.id, status: 'pending', total }, lines);
+            return { order: { id, status: 'pending', total, items: lines }, locked };
+        });
+
+        if (result.shortages) {
+            this.logger.warn('Order rejected for insufficient stock', {
+                correlationId: actor.correlationId,
+                userId: actor.user.id,
+                shortages: result.shortages
+            });
+        }
+        if (!result.order) return result;
+
+        await this.bookService.stockChanged(
+            result.locked.map(book => ({ id: book.id, stock: book.stock - quantities.get(book.id), version: book.version + 1 }))
+        );
+
+        this.logger.info('Order created', {
+            correlationId: actor.correlationId,
+            orderId: result.order.id,
+            userId: actor.user.id,
+            total: result.order.total
+        });
+        return { order: result.order };
+    }
+
+    /**
+     * Move an order to status, returning its items to stock when it is cancelled.
+     * Viewers may only cancel their own pending orders.
+     * Returns { notFound } | { forbidden } | { invalidTransition } (the current status) | { order }
+     */
+    async changeStatus(actor, id, status) {
+        const staff = isStaff(actor.user);
+
+        const result = await this.repository.transaction(async (orders, books) => {
+            const order = await orders.lockById(id);
+            if (!order || (!staff && order.user_id !== actor.user.id)) return { notFound: true };
+            if (!staff && !(order.status === 'pending' && status === 'cancelled')) return { forbidden: true };
+            if (!ORDER_TRANSITIONS[order.status].includes(status)) return { invalidTransition: order.status };
+
+            let restocked = [];
+            if (status === 'cancelled') {
+                const items = await orders.lockItemBooks(order.id);
+                for (const { quantity, ...book } of items) {
+                    await books.adjustStock(book.id, quantity);
+                    await books.recordHistory(actor, {
+                        bookId: book.id,
+                        action: 'stock',
+                        before: book,
+                        after: { ...book, stock: book.stock + quantity }
+                    });
+                }
+                restocked = items.map(({ quantity, ...book }) => ({ id: book.id, stock: book.stock + quantity, version: book.version + 1 }));
+            }
+
+            await orders.updateStatus(order.id, status);
+            return { order: { id: order.id, status }, from: order.status, restocked };
+        });
+        if (!result.order) return result;
+
+        if (result.restocked.length > 0) {
+            await this.bookService.stockChanged(result.restocked);
+        }
+
+        this.logger.info('Order status changed', {
+            correlationId: actor.correlationId,
+            orderId: id,
+            from: result.from,
+            to: status,
+            userId: actor.user.id
+        });
+        return { order: result.order };
+    }
+}
+
+module.exports = {
+    OrderService,
+    ORDER_TRANSITIONS
+};
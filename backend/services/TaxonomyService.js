@@ -0,0 +1,117 @@
+/**
+ * TaxonomyService
+ * Authors, categories and tags: named entities linked to books, shared by the
+ * REST routes (routes/taxonomies.js) and GraphQL. One instance per taxonomy.
+ * Books embed these names, so every rename or delete drops the book cache.
+ */
+
+const { schemas } = require('../validation');
+
+// Authors, categories and tags share a shape: a named entity linked to books through a join table.
+// schema is the request body of create and update; tags have none (books create them by name)
+const TAXONOMIES = {
+    authors: { table: 'authors', join: 'book_authors', column: 'author_id', label: 'Author', schema: 'AuthorCreate' },
+    categories: { table: 'categories', join: 'book_categories', column: 'category_id', label: 'Category', schema: 'CategoryCreate' },
+    tags: { table: 'tags', join: 'book_tags', column: 'tag_id', label: 'Tag' }
+};
+
+class TaxonomyService {
+    /**
+     * @param {object} deps
+     * @param {object} deps.taxonomy     an entry of TAXONOMIES
+     * @param {TaxonomyRepository} deps.repository
+     * @param {BookService} deps.bookService  book relations, cache invalidation and events
+     * @param {object} deps.logger       winston logger
+     */
+    constructor({ taxonomy, repository, bookService, logger }) {
+        this.taxonomy = taxonomy;
+        this.repository = repository;
+        this.bookService = bookService;
+        this.logger = logger;
+        // Columns written by create and update; those a request leaves out are cleared
+        this.fields = taxonomy.schema ? Object.keys(schemas[taxonomy.schema].properties) : [];
+    }
+
+    // ---- Reads ----
+
+    // Every entity ordered by name with its bookCount, optionally matching a name search
+    list(search) {
+        return this.repository.findAll(search ? search.trim() : '');
+    }
+
+    // The entity with the IDs and titles of its books, or null
+    async get(id) {
+        const entity = await this.repository.findById(id);
+        if (!entity) return null;
+        return { ...entity, books: await this.repository.findBookTitles(id) };
+    }
+
+    // Entities by ID in the order asked for, null for missing ones (GraphQL loaders)
+    async getMany(ids) {
+        const byId = new Map((await this.repository.findByIds(ids)).map(row => [row.id, row]));
+        return ids.map(id => byId.get(id) || null);
+    }
+
+    // The books (with relations) linked to each of several entities, ordered by
+    // title; a book linked to more than one of them is loaded once
+    async booksOf(ids) {
+        const rows = await this.repository.findLinkedBooks(ids);
+        const books = new Map();
+        for (const { linked_id: linkedId, ...book } of rows) {
+            if (!books.has(book.id)) books.set(book.id, book);
+        }
+        await this.bookService.attachRelations([...books.values()]);
+        return ids.map(id => rows.filter(row => row.linked_id === id).map(row => books.get(row.id)));
+    }
+
+    // ---- Writes ----
+    // A duplicate name fails with ER_DUP_ENTRY, deleting an entity still linked to books with ER_ROW_IS_REFERENCED_2
+
+    async create(actor, body) {
+        const id = await this.repository.insert(this.toColumns(body));
+
+        this.logger.info(`${this.taxonomy.label} created`, {
+            correlationId: actor.correlationId,
+            id,
+            userId: actor.user.id
+        });
+        return this.repository.findById(id);
+    }
+
+    // The updated entity, or null when it does not exist
+    async update(actor, id, body) {
+        if (!await this.repository.update(id, this.toColumns(body))) return null;
+
+        await this.bookService.catalogueChanged(this.taxonomy.table);
+
+        this.logger.info(`${this.taxonomy.label} updated`, {
+            correlationId: actor.correlationId,
+            id,
+            userId: actor.user.id
+        });
+        return this.repository.findById(id);
+    }
+
+    // False when the entity does not exist
+    async remove(actor, id) {
+        if (!await this.repository.delete(id)) return false;
+
+        await this.bookService.catalogueChanged(this.taxonomy.table);
+
+        this.logger.info(`${this.taxonomy.label} deleted`, {
+            correlationId: actor.correlationId,
+            id,
+            userId: actor.user.id
+        });
+        return true;
+    }
+
+    toColumns(body) {
+        return Object.fromEntries(this.fields.map(field => [field, body[field] ?? null]));
+    }
+}
+
+module.exports = {
+    TaxonomyService,
+    TAXONOMIES
+};
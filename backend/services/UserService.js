@@ -0,0 +1,123 @@
+/**
+ * UserService
+ * Accounts and logins: password hashing, token signing and the bootstrap admin
+ * account. Tokens are verified by the authenticate middleware in auth.js with
+ * the same JWT_SECRET.
+ */
+
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+
+const PASSWORD_HASH_ROUNDS = 10;
+
+// A user without its password hash
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        created_at: user.created_at
+    };
+}
+
+class UserService {
+    /**
+     * @param {object} deps
+     * @param {UserRepository} deps.repository
+     * @param {object} deps.logger  winston logger
+     * @param {object} deps.config  loaded config (uses its auth section)
+     */
+    constructor({ repository, logger, config }) {
+        this.repository = repository;
+        this.logger = logger;
+        // createApp() (app.js) fills in a per-process jwtSecret when none is configured
+        this.authConfig = config.auth;
+    }
+
+    // A token for valid credentials: { token, expiresIn, user }, or null
+    async login(actor, { username, password }) {
+        const user = await this.repository.findByUsername(username);
+        const valid = user ? await bcrypt.compare(password, user.password_hash) : false;
+
+        if (!valid) {
+            this.logger.warn('Failed login attempt', { correlationId: actor.correlationId, username });
+            return null;
+        }
+
+        this.logger.info('User logged in', { correlationId: actor.correlationId, userId: user.id });
+        return {
+            token: this.signToken(user),
+            expiresIn: this.authConfig.jwtExpiresIn,
+            user: toPublicUser(user)
+        };
+    }
+
+    signToken(user) {
+        return jwt.sign(
+            { sub: String(user.id), username: user.username, role: user.role },
+            this.authConfig.jwtSecret,
+            { expiresIn: this.authConfig.jwtExpiresIn }
+        );
+    }
+
+    async list() {
+        return (await this.repository.findAll()).map(toPublicUser);
+    }
+
+    // Returns the new user's ID; a taken username fails with ER_DUP_ENTRY
+    async create(actor, { username, password, role }) {
+        const passwordHash = await bcrypt.hash(password, PASSWORD_HASH_ROUNDS);
+        const id = await this.repository.insert({ username, passwordHash, role });
+
+        this.logger.info('User created', {
+            correlationId: actor.correlationId,
+            userId: id,
+            role,
+            createdBy: actor.user.id
+        });
+        return id;
+    }
+
+    // False when the user does not exist
+    async remove(actor, id) {
+        if (!await this.repository.delete(id)) return false;
+
+        this.logger.info('User deleted', {
+            correlationId: actor.correlationId,
+            userId: id,
+            deletedBy: actor.user.id
+        });
+        return true;
+    }
+
+    // Create the bootstrap admin account from ADMIN_USERNAME/ADMIN_PASSWORD if it does not exist
+    async ensureAdmin() {
+        const { adminUsername, adminPassword } = this.authConfig;
+        if (!adminUsername || !adminPassword) {
+            this.logger.warn('ADMIN_USERNAME/ADMIN_PASSWORD not set; no bootstrap admin account created', {
+                correlationId: 'init'
+            });
+            return;
+        }
+
+        try {
+            const passwordHash = await bcrypt.hash(adminPassword, PASSWORD_HASH_ROUNDS);
+            if (await this.repository.insertIfAbsent({ username: adminUsername, passwordHash, role: 'admin' })) {
+                this.logger.info('Bootstrap admin account created', {
+                    correlationId: 'init',
+                    username: adminUsername
+                });
+            }
+        } catch (error) {
+            this.logger.error('Failed to create bootstrap admin account', {
+                correlationId: 'init',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = {
+    UserService,
+    toPublicUser
+};
@@ -0,0 +1,263 @@
+/**
+ * WebhookService
+ * Webhook subscriptions and their delivery worker.
+ *
+ * Every event published on /api/events is also queued as one webhook_deliveries
+ * row per subscribed webhook. The table is the queue: each replica polls it,
+ * claims due rows with SKIP LOCKED so no two replicas send the same one, and
+ * POSTs them. Failures are retried with exponential backoff up to
+ * WEBHOOK_MAX_ATTEMPTS; a claim left behind by a replica that died mid-delivery
+ * expires and the row is picked up again. The rows stay as the delivery log.
+ *
+ * Each request carries:
+ *   X-Bookstore-Event       event type
+ *   X-Bookstore-Delivery    delivery ID (a redelivery gets a new one)
+ *   X-Bookstore-Timestamp   Unix seconds when the attempt was signed
+ *   X-Bookstore-Signature   sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { WEBHOOK_DELIVERY_STATUSES } = require('../validation');
+
+function signWebhookPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// A webhook without its secret
+function toPublicWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, active: Boolean(webhook.active) };
+}
+
+class WebhookService {
+    /**
+     * @param {object} deps
+     * @param {WebhookRepository} deps.repository
+     * @param {object} deps.logger   winston logger
+     * @param {object} deps.metrics  { deliveries } prom-client counter by outcome
+     * @param {object} deps.config   loaded config (uses its webhooks section)
+     */
+    constructor({ repository, logger, metrics, config }) {
+        this.repository = repository;
+        this.logger = logger;
+        this.metrics = metrics;
+        this.config = config.webhooks;
+        // How long a claimed delivery is reserved before another replica may retry it
+        this.claimSeconds = Math.ceil(this.config.timeoutMs / 1000) + 30;
+        // A call while a run is in progress sets again, so one more run follows
+        this.worker = { running: false, again: false };
+    }
+
+    // ---- Subscriptions ----
+
+    async list() {
+        return (await this.repository.findAll()).map(toPublicWebhook);
+    }
+
+    // The webhook with its number of deliveries per status, or null
+    async get(id) {
+        const webhook = await this.repository.findById(id);
+        if (!webhook) return null;
+
+        const deliveries = Object.fromEntries(WEBHOOK_DELIVERY_STATUSES.map(status => [status, 0]));
+        for (const { status, count } of await this.repository.countDeliveries(id)) deliveries[status] = count;
+        return { ...toPublicWebhook(webhook), deliveries };
+    }
+
+    // The new webhook with its secret (generated unless given); the only time the secret is returned
+    async create(actor, { url, events, description = null, active, secret }) {
+        const signingSecret = secret || crypto.randomBytes(32).toString('hex');
+        const id = await this.repository.insert({ url, secret: signingSecret, events, description, active, createdBy: actor.user.id });
+
+        this.logger.info('Webhook created', {
+            correlationId: actor.correlationId,
+            webhookId: id,
+            events,
+            createdBy: actor.user.id
+        });
+        return { ...toPublicWebhook(await this.repository.findById(id)), secret: signingSecret };
+    }
+
+    // Apply the given fields (see the WebhookPatch schema); the updated webhook, or null
+    async update(actor, id, changes) {
+        if (!await this.repository.update(id, changes)) return null;
+
+        this.logger.info('Webhook updated', {
+            correlationId: actor.correlationId,
+            webhookId: id,
+            fields: Object.keys(changes),
+            updatedBy: actor.user.id
+        });
+        return toPublicWebhook(await this.repository.findById(id));
+    }
+
+    // False when the webhook does not exist
+    async remove(actor, id) {
+        if (!await this.repository.delete(id)) return false;
+
+        this.logger.info('Webhook deleted', {
+            correlationId: actor.correlationId,
+            webhookId: id,
+            deletedBy: actor.user.id
+        });
+        return true;
+    }
+
+    // One page of a webhook's deliveries, or null when the webhook does not exist
+    async deliveries(id, { status, page, limit }) {
+        if (!await this.repository.findById(id)) return null;
+
+        const { rows, total } = await this.repository.findDeliveryPage(id, { status, page, limit });
+        return {
+            data: rows,
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+        };
+    }
+
+    // ---- Queue ----
+
+    // Queue an event for every active webhook subscribed to it; never fails the write that published it
+    async enqueueEvent(type, data) {
+        try {
+            const webhooks = await this.repository.findActive();
+            const targets = webhooks.filter(webhook => webhook.events.includes('*') || webhook.events.includes(type));
+            if (targets.length === 0) return;
+
+            // One event ID for all subscribers (and redeliveries), so receivers can drop duplicates
+            await this.repository.enqueue(targets.map(webhook => webhook.id), this.createEvent(type, data));
+            this.processDeliveries();
+        } catch (error) {
+            this.logger.error('Failed to queue webhook deliveries', { type, error: error.message });
+        }
+    }
+
+    // Queue a ping for one webhook (active or not); { deliveryId, eventId }, or null without the webhook
+    async ping(id) {
+        const event = this.createEvent('ping', { webhookId: id });
+        const deliveryId = await this.repository.enqueueFor(id, event);
+        if (deliveryId === null) return null;
+
+        this.processDeliveries();
+        return { deliveryId, eventId: event.id };
+    }
+
+    // Queue a new delivery of a logged one (same event ID); the new delivery's ID, or null when it is not found
+    async redeliver(actor, webhookId, deliveryId) {
+        const redeliveryId = await this.repository.enqueueRedelivery(webhookId, deliveryId);
+        if (redeliveryId === null) return null;
+
+        this.logger.info('Webhook redelivery queued', {
+            correlationId: actor.correlationId,
+            webhookId,
+            deliveryId: redeliveryId,
+            redeliveryOf: deliveryId,
+            userId: actor.user.id
+        });
+        this.processDeliveries();
+        return redeliveryId;
+    }
+
+    createEvent(type, data) {
+        return { id: uuidv4(), type, createdAt: new Date().toISOString(), data };
+    }
+
+    // ---- Worker ----
+
+    // Send everything that is due; a call while a run is in progress schedules one more run
+    async processDeliveries() {
+        if (this.worker.running) {
+            this.worker.again = true;
+            return;
+        }
+        this.worker.running = true;
+
+        try {
+            do {
+                this.worker.again = false;
+                let deliveries;
+                do {
+                    deliveries = await this.repository.claimDue(this.config.batchSize, this.claimSeconds);
+                    await Promise.all(deliveries.map(delivery => this.deliver(delivery)));
+                } while (deliveries.length === this.config.batchSize);
+            } while (this.worker.again);
+        } catch (error) {
+            this.logger.error('Webhook delivery run failed', { correlationId: 'webhooks', error: error.message });
+        } finally {
+            this.worker.running = false;
+        }
+    }
+
+    async deliver(delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        let responseStatus = null;
+        let failure = null;
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'bookstore-webhooks/1.0',
+                    'X-Bookstore-Event': delivery.event_type,
+                    'X-Bookstore-Delivery': String(delivery.id),
+                    'X-Bookstore-Timestamp': String(timestamp),
+                    'X-Bookstore-Signature': signWebhookPayload(delivery.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.config.timeoutMs)
+            });
+            responseStatus = response.status;
+            await response.body?.cancel();
+            if (!response.ok) failure = `Receiver responded with HTTP ${response.status}`;
+        } catch (error) {
+            failure = error.message;
+        }
+
+        try {
+            if (!failure) {
+                await this.repository.markSucceeded(delivery.id, responseStatus);
+                this.metrics.deliveries.labels('succeeded').inc();
+                return;
+            }
+
+            const exhausted = delivery.attempts >= this.config.maxAttempts;
+            const retryIn = exhausted ? 0 : this.retryDelay(delivery.attempts);
+            await this.repository.markFailed(delivery.id, {
+                status: exhausted ? 'failed' : 'pending',
+                responseStatus,
+                error: failure,
+                retryInSeconds: retryIn
+            });
+            this.metrics.deliveries.labels(exhausted ? 'failed' : 'retrying').inc();
+            this.logger.warn(exhausted ? 'Webhook delivery failed; giving up' : 'Webhook delivery failed; will retry', {
+                correlationId: 'webhooks',
+                deliveryId: delivery.id,
+                webhookId: delivery.webhook_id,
+                attempt: delivery.attempts,
+                retryInSeconds: exhausted ? undefined : retryIn,
+                error: failure
+            });
+        } catch (error) {
+            // The claim expires and the delivery is attempted again
+            this.logger.error('Failed to record webhook delivery result', {
+                correlationId: 'webhooks',
+                deliveryId: delivery.id,
+                error: error.message
+            });
+        }
+    }
+
+    // Backoff before attempt n + 1: base * 2^(n - 1), capped, with +-20% jitter so retries spread out
+    retryDelay(attempt) {
+        const delay = Math.min(this.config.retryMaxSeconds, this.config.retryBaseSeconds * 2 ** (attempt - 1));
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+}
+
+module.exports = {
+    WebhookService,
+    signWebhookPayload
+};
@@ -0,0 +1,41 @@
+/**
+ * HTTP connection draining
+ * Closes a listening server without cutting the requests it is serving. Used by
+ * shutdown() in server.js; the rest of the shutdown order (readiness, jobs,
+ * MySQL, Redis) lives there.
+ */
+
+// How often keep-alive sockets that have gone idle since the last pass are closed
+const IDLE_SWEEP_MS = 250;
+
+/**
+ * Stop accepting connections, let in-flight requests finish, and close each
+ * keep-alive socket as soon as it has no request on it. Sockets still busy
+ * after timeoutMs are destroyed.
+ * @param {import('http').Server} server
+ * @param {object} options
+ * @param {number} options.timeoutMs drain deadline
+ * @returns {Promise<{ drained: boolean }>} drained is false when the deadline cut requests
+ */
+function closeServer(server, { timeoutMs }) {
+    return new Promise((resolve) => {
+        const sweeper = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_MS);
+        const deadline = setTimeout(() => {
+            server.closeAllConnections();
+            finish(false);
+        }, timeoutMs);
+        function finish(drained) {
+            clearInterval(sweeper);
+            clearTimeout(deadline);
+            resolve({ drained });
+        }
+
+        // Calls back once every connection has closed (at once if the server was not listening)
+        server.close(() => finish(true));
+        server.closeIdleConnections();
+    });
+}
+
+module.exports = {
+    closeServer
+};
@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startTestServer } = require('./helpers');
+
+describe('createApp', () => {
+    const first = loadServer();
+    const second = loadServer({ cache: null });
+    let firstClient;
+    let secondClient;
+
+    before(async () => {
+        firstClient = await startTestServer(first.app);
+        secondClient = await startTestServer(second.app);
+    });
+    after(async () => {
+        await firstClient.close();
+        await secondClient.close();
+    });
+
+    it('builds a new app on the clients it is given', async () => {
+        assert.notEqual(first.app, second.app);
+        assert.notEqual(first.app.locals.services, second.app.locals.services);
+
+        await firstClient.request('GET', '/api/books/1', { role: 'viewer' });
+        assert.ok(first.db.statements('SELECT').length > 0);
+        assert.deepEqual(second.db.statements(), []);
+
+        const ready = await secondClient.request('GET', '/api/ready');
+        assert.equal(ready.body.cache, 'disconnected');
+    });
+
+    it('drains one app without affecting another', async () => {
+        first.app.locals.draining = true;
+        try {
+            const draining = await firstClient.request('GET', '/api/ready');
+            assert.equal(draining.status, 503);
+            assert.equal(draining.headers.get('connection'), 'close');
+
+            const serving = await secondClient.request('GET', '/api/ready');
+            assert.equal(serving.status, 200);
+        } finally {
+            first.app.locals.draining = false;
+        }
+    });
+
+    it('keeps a metrics registry per app', async () => {
+        await firstClient.request('GET', '/api/health');
+        const own = await firstClient.request('GET', '/api/metrics');
+        const other = await secondClient.request('GET', '/api/metrics');
+        assert.ok(own.body.includes('route="/api/health"'));
+        assert.ok(!other.body.includes('route="/api/health"'));
+    });
+});
+
+describe('server.js', () => {
+    it('reads no config and starts nothing when required', () => {
+        const port = process.env.PORT;
+        process.env.PORT = 'not a port';
+        try {
+            const server = require('../server');
+            assert.deepEqual(Object.keys(server).sort(), ['shutdown', 'startServer']);
+        } finally {
+            if (port === undefined) delete process.env.PORT;
+            else process.env.PORT = port;
+        }
+    });
+});
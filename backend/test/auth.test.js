@@ -0,0 +1,85 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { loadServer, startTestServer } = require('./helpers');
+
+const { app, db } = loadServer();
+let client;
+
+before(async () => { client = await startTestServer(app); });
+after(() => client.close());
+beforeEach(() => db.reset());
+
+function sqlError(code) {
+    return Object.assign(new Error(code), { code });
+}
+
+describe('POST /api/auth/login', () => {
+    const user = { id: 2, username: 'clerk', role: 'clerk', password_hash: bcrypt.hashSync('correct horse', 4), created_at: null };
+
+    it('issues a token for valid credentials, without the password hash', async () => {
+        db.respond('SELECT * FROM users WHERE username = ?', [user]);
+
+        const response = await client.request('POST', '/api/auth/login', { body: { username: 'clerk', password: 'correct horse' } });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.user, { id: 2, username: 'clerk', role: 'clerk', created_at: null });
+        const payload = jwt.verify(response.body.token, process.env.JWT_SECRET);
+        assert.equal(payload.sub, '2');
+        assert.equal(payload.role, 'clerk');
+
+        const me = await client.request('GET', '/api/auth/me', { headers: { Authorization: `Bearer ${response.body.token}` } });
+        assert.deepEqual(me.body, { id: 2, username: 'clerk', role: 'clerk' });
+    });
+
+    it('answers 401 to a wrong password and to an unknown user alike', async () => {
+        db.respond('SELECT * FROM users WHERE username = ?', [user]);
+        const wrong = await client.request('POST', '/api/auth/login', { body: { username: 'clerk', password: 'battery staple' } });
+        assert.equal(wrong.status, 401);
+
+        db.reset();
+        const unknown = await client.request('POST', '/api/auth/login', { body: { username: 'nobody', password: 'battery staple' } });
+        assert.equal(unknown.status, 401);
+        assert.equal(unknown.body.error, wrong.body.error);
+    });
+});
+
+describe('/api/users', () => {
+    it('stores a password hash, never the password', async () => {
+        db.respond('INSERT INTO users', { insertId: 8 });
+
+        const response = await client.request('POST', '/api/users', {
+            role: 'admin',
+            body: { username: 'reader', password: 'correct horse', role: 'viewer' }
+        });
+        assert.equal(response.status, 201);
+        assert.equal(response.body.id, 8);
+        const [insert] = db.queries.filter(query => query.sql.startsWith('INSERT INTO users'));
+        assert.equal(insert.params[0], 'reader');
+        assert.ok(bcrypt.compareSync('correct horse', insert.params[1]));
+    });
+
+    it('answers 409 to a taken username', async () => {
+        db.respond('INSERT INTO users', () => { throw sqlError('ER_DUP_ENTRY'); });
+
+        const response = await client.request('POST', '/api/users', {
+            role: 'admin',
+            body: { username: 'clerk', password: 'correct horse', role: 'viewer' }
+        });
+        assert.equal(response.status, 409);
+    });
+
+    it('answers 409 when the user has placed orders', async () => {
+        db.respond('DELETE FROM users', () => { throw sqlError('ER_ROW_IS_REFERENCED_2'); });
+
+        const response = await client.request('DELETE', '/api/users/3', { role: 'admin' });
+        assert.equal(response.status, 409);
+        assert.equal(response.body.error, 'User has placed orders');
+    });
+
+    it('does not let an admin delete their own account', async () => {
+        const response = await client.request('DELETE', '/api/users/1', { role: 'admin' });
+        assert.equal(response.status, 400);
+        assert.equal(db.statements('DELETE FROM users').length, 0);
+    });
+});
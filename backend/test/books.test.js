@@ -0,0 +1,472 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startTestServer, bookRow } = require('./helpers');
+
+const { app, db, cache } = loadServer();
+let client;
+
+before(async () => { client = await startTestServer(app); });
+after(() => client.close());
+beforeEach(() => {
+    db.reset();
+    cache.entries.clear();
+});
+
+function sqlError(code) {
+    return Object.assign(new Error(code), { code });
+}
+
+// A book that is locked for a write and read back afterwards
+function scriptBookWrite(row, updated = row) {
+    db.respond('SELECT * FROM books WHERE id = ?', [updated]);
+    db.respond('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [row]);
+}
+
+describe('GET /api/books', () => {
+    it('requires a token', async () => {
+        const response = await client.request('GET', '/api/books');
+        assert.equal(response.status, 401);
+        assert.equal(response.body.code, 'UNAUTHENTICATED');
+    });
+
+    it('returns a page of books with pagination', async () => {
+        db.respond('SELECT COUNT(*) AS total FROM books', [{ total: 21 }]);
+        db.respond('SELECT * FROM books', [bookRow(), bookRow({ id: 2, title: 'Refactoring' })]);
+
+        const response = await client.request('GET', '/api/books?limit=2&page=3', { role: 'viewer' });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.map(book => book.title), ['Clean Code', 'Refactoring']);
+        assert.deepEqual(response.body.data[0].authors, []);
+        assert.deepEqual(response.body.pagination, { page: 3, limit: 2, total: 21, totalPages: 11 });
+
+        const [select] = db.queries.filter(query => query.sql.startsWith('SELECT * FROM books'));
+        assert.match(select.sql, /WHERE deleted_at IS NULL ORDER BY created_at desc, id desc LIMIT \? OFFSET \?$/);
+        assert.deepEqual(select.params, [2, 4]);
+    });
+
+    it('turns filters into parameterized conditions', async () => {
+        db.respond('SELECT COUNT(*) AS total FROM books', [{ total: 0 }]);
+
+        const response = await client.request(
+            'GET',
+            '/api/books?q=50%25_off&isbn=0-13-235088-2&minPrice=10&lowStock=true&sort=price&order=asc',
+            { role: 'viewer' }
+        );
+        assert.equal(response.status, 200);
+
+        const [select] = db.queries.filter(query => query.sql.startsWith('SELECT * FROM books'));
+        assert.match(select.sql, /\(title LIKE \? OR author LIKE \? OR isbn LIKE \?\) AND isbn = \? AND price >= \? AND stock <= reorder_threshold ORDER BY price asc/);
+        // The ISBN column is matched against the cleaned (upper-cased, unhyphenated) search term
+        assert.deepEqual(select.params.slice(0, 5), ['%50\\%\\_off%', '%50\\%\\_off%', '%50\\%\\_OFF%', '9780132350884', 10]);
+    });
+
+    it('rejects invalid query parameters', async () => {
+        const response = await client.request('GET', '/api/books?sort=password', { role: 'viewer' });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.details[0].field, 'sort');
+    });
+});
+
+describe('GET /api/books/low-stock', () => {
+    it('lists books at or below their threshold, furthest below first', async () => {
+        db.respond('SELECT COUNT(*) AS total FROM books', [{ total: 1 }]);
+        db.respond('SELECT *, reorder_threshold - stock AS shortfall', [bookRow({ stock: 1, shortfall: 4 })]);
+
+        const response = await client.request('GET', '/api/books/low-stock', { role: 'viewer' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data[0].shortfall, 4);
+        assert.equal(response.body.pagination.total, 1);
+        assert.match(db.statements('SELECT *, reorder_threshold')[0], /ORDER BY shortfall DESC/);
+    });
+});
+
+describe('GET /api/books/trash', () => {
+    it('is for clerks and admins', async () => {
+        const response = await client.request('GET', '/api/books/trash', { role: 'viewer' });
+        assert.equal(response.status, 403);
+    });
+
+    it('lists trashed books with who deleted them and when they will be purged', async () => {
+        db.respond('SELECT COUNT(*) AS total FROM books b', [{ total: 1 }]);
+        db.respond('SELECT b.*, u.username AS deleted_by_username', [
+            bookRow({ deleted_at: new Date('2026-10-01T00:00:00Z'), deleted_by: 1, deleted_by_username: 'admin' })
+        ]);
+
+        const response = await client.request('GET', '/api/books/trash?q=clean', { role: 'clerk' });
+        assert.equal(response.status, 200);
+        const [trashed] = response.body.data;
+        assert.deepEqual(trashed.deleted_by, { id: 1, username: 'admin' });
+        assert.equal(trashed.purge_at, '2026-10-31T00:00:00.000Z');
+        assert.equal(trashed.deleted_by_username, undefined);
+    });
+});
+
+describe('GET /api/books/export', () => {
+    it('streams the filtered catalogue as CSV', async () => {
+        db.exportRows = [bookRow(), bookRow({ id: 2, title: 'Code, Complete', isbn: '9780735619678' })];
+
+        const response = await client.request('GET', '/api/books/export?format=csv&q=code', { role: 'clerk' });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/csv/);
+        assert.match(response.headers.get('content-disposition'), /attachment; filename="books-\d{4}-\d{2}-\d{2}\.csv"/);
+
+        const lines = response.body.trim().split('\n');
+        assert.equal(lines.length, 3);
+        assert.match(lines[0], /^id,title,author,isbn/);
+        assert.match(lines[2], /^2,"Code, Complete"/);
+        assert.match(db.statements('SELECT * FROM books')[0], /title LIKE \?/);
+    });
+});
+
+describe('GET /api/books/:id', () => {
+    it('returns the book with its version as ETag', async () => {
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow({ version: 4 })]);
+
+        const response = await client.request('GET', '/api/books/1', { role: 'viewer' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.title, 'Clean Code');
+        assert.equal(response.headers.get('etag'), '"4"');
+        assert.match(db.statements('SELECT * FROM books')[0], /deleted_at IS NULL/);
+    });
+
+    it('answers 404 for unknown or trashed books', async () => {
+        const response = await client.request('GET', '/api/books/99', { role: 'viewer' });
+        assert.equal(response.status, 404);
+        assert.equal(response.body.code, 'NOT_FOUND');
+    });
+
+    it('rejects non-numeric IDs', async () => {
+        const response = await client.request('GET', '/api/books/abc', { role: 'viewer' });
+        assert.equal(response.status, 400);
+    });
+});
+
+describe('POST /api/books', () => {
+    const newBook = { title: 'Refactoring', author: 'Martin Fowler', isbn: '0-13-475759-9', price: 44.99 };
+
+    it('is for clerks and admins', async () => {
+        const response = await client.request('POST', '/api/books', { role: 'viewer', body: newBook });
+        assert.equal(response.status, 403);
+        assert.equal(response.body.code, 'FORBIDDEN');
+    });
+
+    it('creates the book with its canonical ISBN and records its history', async () => {
+        db.respond('INSERT INTO books', { insertId: 7 });
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow({ id: 7, title: 'Refactoring', isbn: '9780134757599' })]);
+
+        const response = await client.request('POST', '/api/books', { role: 'clerk', body: newBook });
+        assert.equal(response.status, 201);
+        assert.equal(response.body.id, 7);
+        assert.equal(response.body.message, 'Book created successfully');
+
+        const insert = db.queries.find(query => query.sql.startsWith('INSERT INTO books'));
+        assert.equal(insert.sql, 'INSERT INTO books (title, author, isbn, price, stock, isbn_display) VALUES (?)');
+        assert.deepEqual(insert.params, [['Refactoring', 'Martin Fowler', '9780134757599', 44.99, 0, '0-13-475759-9']]);
+
+        const history = db.queries.find(query => query.sql.startsWith('INSERT INTO book_history'));
+        assert.deepEqual(history.params.slice(0, 2), [7, 'create']);
+        assert.deepEqual(db.statements(/^(BEGIN|COMMIT|ROLLBACK)$/), ['BEGIN', 'COMMIT']);
+    });
+
+    it('answers 409 for a duplicate ISBN and rolls back', async () => {
+        db.respond('INSERT INTO books', () => { throw sqlError('ER_DUP_ENTRY'); });
+
+        const response = await client.request('POST', '/api/books', { role: 'clerk', body: newBook });
+        assert.equal(response.status, 409);
+        assert.equal(response.body.error, 'Book with this ISBN already exists');
+        assert.deepEqual(db.statements(/^(BEGIN|COMMIT|ROLLBACK)$/), ['BEGIN', 'ROLLBACK']);
+    });
+
+    it('rejects unknown author IDs', async () => {
+        const response = await client.request('POST', '/api/books', {
+            role: 'clerk',
+            body: { title: 'T', isbn: '9780134757599', authorIds: [42] }
+        });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.details[0].field, 'authorIds');
+    });
+});
+
+describe('POST /api/books/import', () => {
+    it('reports each CSV row and writes only valid new ones', async () => {
+        db.respond('INSERT INTO books', { insertId: 12 });
+        const csv = [
+            'title,author,isbn,price,stock',
+            'Refactoring,Martin Fowler,9780134757599,44.99,3',
+            'Broken,Nobody,123,1,1',
+            'Refactoring again,Martin Fowler,9780134757599,44.99,3'
+        ].join('\n');
+
+        const response = await client.request('POST', '/api/books/import', {
+            role: 'clerk',
+            headers: { 'Content-Type': 'text/csv' },
+            body: csv
+        });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.summary, { total: 3, created: 1, updated: 0, skipped: 1, errors: 1 });
+        assert.deepEqual(response.body.rows.map(row => row.status), ['created', 'error', 'skipped']);
+        assert.equal(db.statements('INSERT INTO books').length, 1);
+    });
+
+    it('records the stored row in the history, not the imported fields', async () => {
+        db.respond('INSERT INTO books', { insertId: 12 });
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow({ id: 12, title: 'Refactoring', isbn: '9780134757599', isbn_display: '978-0134757599' })]);
+
+        const response = await client.request('POST', '/api/books/import', {
+            role: 'clerk',
+            body: [{ title: 'Refactoring', author: 'Martin Fowler', isbn: '9780134757599', price: 44.99, stock: 3 }]
+        });
+        assert.equal(response.status, 200);
+        const [history] = db.queries.filter(query => query.sql.startsWith('INSERT INTO book_history'));
+        const after = JSON.parse(history.params[3]);
+        // Column defaults and (empty) relations too, so restoring the entry resets them
+        assert.equal(after.id, 12);
+        assert.equal(after.isbn_display, '978-0134757599');
+        assert.equal(after.reorder_threshold, 5);
+        assert.deepEqual(after.authorIds, []);
+        assert.deepEqual(after.tags, []);
+    });
+
+    it('updates only the columns present when a row matches a book, leaving blank cells alone', async () => {
+        db.respond('SELECT * FROM books WHERE isbn = ?', [bookRow()]);
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow({ price: '35.00', version: 2 })]);
+        const csv = [
+            'title,author,isbn,price,stock',
+            'Clean Code,Robert C. Martin,9780132350884,35,'
+        ].join('\n');
+
+        const response = await client.request('POST', '/api/books/import', {
+            role: 'clerk',
+            headers: { 'Content-Type': 'text/csv' },
+            body: csv
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.rows[0].status, 'updated');
+        const [update] = db.queries.filter(query => query.sql.startsWith('UPDATE books'));
+        assert.match(update.sql, /^UPDATE books SET title = \?, author = \?, price = \?, version/);
+        assert.deepEqual(update.params, ['Clean Code', 'Robert C. Martin', 35, 1]);
+    });
+
+    it('skips a re-imported row whose only difference is an empty stock cell', async () => {
+        db.respond('SELECT * FROM books WHERE isbn = ?', [bookRow()]);
+
+        const response = await client.request('POST', '/api/books/import', {
+            role: 'clerk',
+            headers: { 'Content-Type': 'text/csv' },
+            body: 'title,author,isbn,price,stock\nClean Code,Robert C. Martin,9780132350884,37.99,\n'
+        });
+        assert.deepEqual(response.body.rows[0], { row: 1, isbn: '9780132350884', status: 'skipped', id: 1, reason: 'No changes' });
+        assert.equal(db.statements('UPDATE books').length, 0);
+    });
+
+    it('writes nothing on a dry run', async () => {
+        const response = await client.request('POST', '/api/books/import?dryRun=true', {
+            role: 'clerk',
+            body: [{ title: 'Refactoring', author: 'Martin Fowler', isbn: '9780134757599' }]
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.summary.created, 1);
+        assert.equal(db.statements('INSERT INTO books').length, 0);
+    });
+
+    it('rejects unsupported content types', async () => {
+        const response = await client.request('POST', '/api/books/import', {
+            role: 'clerk',
+            headers: { 'Content-Type': 'text/plain' },
+            body: 'hello'
+        });
+        assert.equal(response.status, 415);
+    });
+});
+
+describe('PUT and PATCH /api/books/:id', () => {
+    it('PATCH rejects a boolean stock and a string price instead of coercing them', async () => {
+        const response = await client.request('PATCH', '/api/books/1', { role: 'clerk', body: { stock: true, price: '12' } });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.details.map(detail => detail.field).sort(), ['price', 'stock']);
+        assert.equal(db.statements('UPDATE books').length, 0);
+    });
+
+    it('PUT needs every field', async () => {
+        const response = await client.request('PUT', '/api/books/1', { role: 'clerk', body: { title: 'Only a title' } });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.details.map(detail => detail.field).sort(), ['author', 'isbn', 'price', 'stock']);
+    });
+
+    it('PUT replaces the book', async () => {
+        scriptBookWrite(bookRow(), bookRow({ title: 'Clean Code 2', version: 2 }));
+
+        const response = await client.request('PUT', '/api/books/1', {
+            role: 'clerk',
+            body: { title: 'Clean Code 2', author: 'Robert C. Martin', isbn: '9780132350884', price: 40, stock: 3 }
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.title, 'Clean Code 2');
+        assert.match(db.statements('UPDATE books')[0], /^UPDATE books SET title = \?, author = \?, isbn = \?, price = \?, stock = \?, isbn_display = \?, version = version \+ 1/);
+    });
+
+    it('PATCH changes only the fields sent and returns the new ETag', async () => {
+        scriptBookWrite(bookRow(), bookRow({ stock: 3, version: 2 }));
+
+        const response = await client.request('PATCH', '/api/books/1', { role: 'clerk', body: { stock: 3 } });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('etag'), '"2"');
+        const update = db.queries.find(query => query.sql.startsWith('UPDATE books'));
+        assert.deepEqual(update.params, [3, 1]);
+    });
+
+    it('PATCH with a stale If-Match answers 412 with the current book', async () => {
+        scriptBookWrite(bookRow({ version: 5 }));
+
+        const response = await client.request('PATCH', '/api/books/1', {
+            role: 'clerk',
+            headers: { 'If-Match': '"4"' },
+            body: { stock: 3 }
+        });
+        assert.equal(response.status, 412);
+        assert.equal(response.body.code, 'PRECONDITION_FAILED');
+        assert.equal(response.body.current.version, 5);
+        assert.equal(db.statements('UPDATE books').length, 0);
+    });
+
+    it('PATCH answers 404 for unknown books', async () => {
+        const response = await client.request('PATCH', '/api/books/99', { role: 'clerk', body: { stock: 3 } });
+        assert.equal(response.status, 404);
+    });
+});
+
+describe('DELETE /api/books/:id', () => {
+    it('is for admins', async () => {
+        const response = await client.request('DELETE', '/api/books/1', { role: 'clerk' });
+        assert.equal(response.status, 403);
+    });
+
+    it('moves the book to the trash', async () => {
+        scriptBookWrite(bookRow(), bookRow({ deleted_at: new Date('2026-10-01T00:00:00Z'), deleted_by: 1, version: 2 }));
+
+        const response = await client.request('DELETE', '/api/books/1', { role: 'admin' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.message, 'Book moved to the trash');
+        assert.deepEqual(response.body.deleted_by, { id: 1, username: 'admin' });
+        assert.match(db.statements('UPDATE books')[0], /^UPDATE books SET deleted_at = NOW\(\), deleted_by = \?/);
+        assert.equal(db.statements('DELETE FROM books').length, 0);
+    });
+
+    it('answers 404 for unknown books', async () => {
+        const response = await client.request('DELETE', '/api/books/99', { role: 'admin' });
+        assert.equal(response.status, 404);
+    });
+});
+
+describe('POST /api/books/:id/restore', () => {
+    const trashed = bookRow({ deleted_at: new Date('2026-10-01T00:00:00Z'), deleted_by: 1 });
+
+    it('takes the book out of the trash', async () => {
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow({ version: 3 })]);
+        db.respond('SELECT * FROM books WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE', [trashed]);
+
+        const response = await client.request('POST', '/api/books/1/restore', { role: 'clerk' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.message, 'Book restored successfully');
+        assert.equal(response.headers.get('etag'), '"3"');
+    });
+
+    it('answers 409 when another book now uses the ISBN', async () => {
+        db.respond('SELECT * FROM books WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE', [trashed]);
+        db.respond('UPDATE books SET deleted_at = NULL', () => { throw sqlError('ER_DUP_ENTRY'); });
+
+        const response = await client.request('POST', '/api/books/1/restore', { role: 'clerk' });
+        assert.equal(response.status, 409);
+        assert.equal(response.body.error, 'Another book now uses this ISBN');
+    });
+
+    it('answers 404 for books not in the trash', async () => {
+        const response = await client.request('POST', '/api/books/1/restore', { role: 'clerk' });
+        assert.equal(response.status, 404);
+    });
+});
+
+describe('DELETE /api/books/trash/:id', () => {
+    const trashed = bookRow({ deleted_at: new Date('2026-10-01T00:00:00Z'), deleted_by: 1 });
+
+    it('purges the book and records it in the history', async () => {
+        db.respond('SELECT * FROM books WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE', [trashed]);
+
+        const response = await client.request('DELETE', '/api/books/trash/1', { role: 'admin' });
+        assert.equal(response.status, 200);
+        assert.deepEqual(db.statements('DELETE FROM books'), ['DELETE FROM books WHERE id = ?']);
+        const history = db.queries.find(query => query.sql.startsWith('INSERT INTO book_history'));
+        assert.deepEqual(history.params.slice(0, 2), [1, 'purge']);
+    });
+
+    it('answers 409 when orders refer to the book', async () => {
+        db.respond('SELECT * FROM books WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE', [trashed]);
+        db.respond('DELETE FROM books', () => { throw sqlError('ER_ROW_IS_REFERENCED_2'); });
+
+        const response = await client.request('DELETE', '/api/books/trash/1', { role: 'admin' });
+        assert.equal(response.status, 409);
+    });
+
+    it('answers 404 for books not in the trash', async () => {
+        const response = await client.request('DELETE', '/api/books/trash/1', { role: 'admin' });
+        assert.equal(response.status, 404);
+    });
+});
+
+describe('book history', () => {
+    const entry = {
+        id: 30,
+        book_id: 1,
+        action: 'update',
+        before_data: { id: 1, title: 'Clean Code', author: 'R', isbn: '9780132350884', isbn_display: '9780132350884', price: '37.99', stock: 12 },
+        after_data: { id: 1, title: 'Clean Code', author: 'R', isbn: '9780132350884', isbn_display: '9780132350884', price: '37.99', stock: 3 },
+        user_id: 2,
+        username: 'clerk',
+        correlation_id: 'abc',
+        created_at: new Date('2026-10-02T00:00:00Z')
+    };
+
+    it('GET /api/books/:id/history lists the changed fields, newest first', async () => {
+        db.respond('SELECT h.*, u.username FROM book_history h', [entry]);
+
+        const response = await client.request('GET', '/api/books/1/history?limit=5', { role: 'clerk' });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body[0].changes, ['stock']);
+        assert.deepEqual(response.body[0].user, { id: 2, username: 'clerk' });
+        assert.deepEqual(db.queries.find(query => query.sql.includes('FROM book_history')).params, [1, 5]);
+    });
+
+    it('GET /api/books/:id/history answers 404 without entries', async () => {
+        const response = await client.request('GET', '/api/books/1/history', { role: 'clerk' });
+        assert.equal(response.status, 404);
+    });
+
+    it('POST /api/books/:id/history/:historyId/restore writes the snapshot back, except stock', async () => {
+        db.respond('SELECT * FROM book_history WHERE id = ? AND book_id = ?', [entry]);
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow({ stock: 9, version: 6 })]);
+        db.respond('SELECT * FROM books WHERE id = ? FOR UPDATE', [bookRow({ stock: 9, version: 5 })]);
+
+        const response = await client.request('POST', '/api/books/1/history/30/restore', { role: 'clerk' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.stock, 9);
+        const update = db.queries.find(query => query.sql.startsWith('UPDATE books SET title'));
+        assert.doesNotMatch(update.sql, /stock/);
+        assert.deepEqual(update.params.slice(0, 5), ['Clean Code', 'R', '9780132350884', '9780132350884', '37.99']);
+    });
+
+    it('POST /api/books/:id/history/:historyId/restore re-creates a purged book with the snapshot\'s stock', async () => {
+        db.respond('SELECT * FROM book_history WHERE id = ? AND book_id = ?', [entry]);
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow({ stock: 3 })]);
+        db.respond('SELECT * FROM books WHERE id = ? FOR UPDATE', []);
+
+        const response = await client.request('POST', '/api/books/1/history/30/restore', { role: 'clerk' });
+        assert.equal(response.status, 200);
+        const insert = db.queries.find(query => query.sql.startsWith('INSERT INTO books'));
+        assert.equal(insert.params[6], 3);
+    });
+
+    it('POST /api/books/:id/history/:historyId/restore answers 404 for unknown entries', async () => {
+        const response = await client.request('POST', '/api/books/1/history/31/restore', { role: 'clerk' });
+        assert.equal(response.status, 404);
+    });
+});
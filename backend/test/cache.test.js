@@ -0,0 +1,203 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startTestServer, bookRow } = require('./helpers');
+
+const { app, db, cache } = loadServer();
+let client;
+
+before(async () => { client = await startTestServer(app); });
+after(() => client.close());
+beforeEach(() => {
+    db.reset();
+    cache.reconnect();
+    cache.entries.clear();
+});
+
+const bookReads = () => db.statements('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL');
+
+// Value of a Prometheus counter sample, 0 when it has not been incremented yet
+async function metric(name, labels) {
+    const { body } = await client.request('GET', '/api/metrics');
+    const sample = body.split('\n').find(line => line.startsWith(`${name}{${labels}}`));
+    return sample ? Number(sample.split(' ').pop()) : 0;
+}
+
+describe('book cache', () => {
+    it('serves the second read from Redis', async () => {
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow()]);
+
+        const miss = await client.request('GET', '/api/books/1', { role: 'viewer' });
+        assert.equal(miss.status, 200);
+        assert.equal(miss.body.fromCache, undefined);
+        assert.ok(cache.keys().includes('books:1'));
+
+        const hit = await client.request('GET', '/api/books/1', { role: 'viewer' });
+        assert.equal(hit.status, 200);
+        assert.equal(hit.body.fromCache, true);
+        assert.equal(hit.body.title, 'Clean Code');
+        assert.equal(hit.headers.get('etag'), miss.headers.get('etag'));
+        assert.equal(bookReads().length, 1);
+    });
+
+    it('does not cache books that were not found', async () => {
+        const response = await client.request('GET', '/api/books/99', { role: 'viewer' });
+        assert.equal(response.status, 404);
+        assert.equal(await cache.get('books:99'), null);
+    });
+
+    it('serves an expired entry and refreshes it in the background', async () => {
+        const entry = { value: { ...bookRow({ title: 'Old title' }), authors: [] }, freshUntil: Date.now() - 1000 };
+        await cache.setEx('books:1', 60, JSON.stringify(entry));
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow({ title: 'New title' })]);
+
+        const stale = await client.request('GET', '/api/books/1', { role: 'viewer' });
+        assert.equal(stale.body.title, 'Old title');
+        assert.equal(stale.body.fromCache, true);
+
+        await new Promise(resolve => setImmediate(resolve));
+        const refreshed = JSON.parse(await cache.get('books:1'));
+        assert.equal(refreshed.value.title, 'New title');
+        assert.ok(refreshed.freshUntil > Date.now());
+    });
+
+    it('coalesces concurrent misses into one query', async () => {
+        db.respond('SELECT * FROM books WHERE id = ?', async () => {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            return [bookRow()];
+        });
+
+        const responses = await Promise.all(
+            [1, 2, 3].map(() => client.request('GET', '/api/books/1', { role: 'viewer' }))
+        );
+        assert.deepEqual(responses.map(response => response.status), [200, 200, 200]);
+        assert.equal(bookReads().length, 1);
+    });
+
+    it('caches list pages under the current list version', async () => {
+        db.respond('SELECT COUNT(*) AS total FROM books', [{ total: 1 }]);
+        db.respond('SELECT * FROM books', [bookRow()]);
+
+        await client.request('GET', '/api/books', { role: 'viewer' });
+        const second = await client.request('GET', '/api/books', { role: 'viewer' });
+        assert.equal(second.status, 200);
+        assert.equal(db.statements('SELECT COUNT(*) AS total FROM books').length, 1);
+
+        await cache.multi().incr('books:list:version').exec();
+        await client.request('GET', '/api/books', { role: 'viewer' });
+        assert.equal(db.statements('SELECT COUNT(*) AS total FROM books').length, 2);
+    });
+});
+
+describe('cache invalidation', () => {
+    it('drops the book and every list page when a book changes', async () => {
+        await cache.setEx('books:1', 60, JSON.stringify({ value: bookRow(), freshUntil: Date.now() + 60000 }));
+        await cache.setEx('books:2', 60, JSON.stringify({ value: bookRow({ id: 2 }), freshUntil: Date.now() + 60000 }));
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow({ stock: 3, version: 2 })]);
+        db.respond('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [bookRow()]);
+
+        const response = await client.request('PATCH', '/api/books/1', { role: 'clerk', body: { stock: 3 } });
+        assert.equal(response.status, 200);
+        assert.equal(await cache.get('books:1'), null);
+        assert.ok(await cache.get('books:2'));
+        assert.equal(await cache.get('books:list:version'), '1');
+    });
+
+    it('drops every cached book when a category they embed is renamed', async () => {
+        for (const id of [1, 2, 3]) {
+            await cache.setEx(`books:${id}`, 60, JSON.stringify({ value: bookRow({ id }), freshUntil: Date.now() + 60000 }));
+        }
+        db.respond('UPDATE categories', { affectedRows: 1 });
+        db.respond('SELECT * FROM categories WHERE id = ?', [{ id: 4, name: 'Software' }]);
+
+        const response = await client.request('PUT', '/api/categories/4', { role: 'clerk', body: { name: 'Software' } });
+        assert.equal(response.status, 200);
+        assert.deepEqual(cache.keys().filter(key => /^books:\d+$/.test(key)), []);
+    });
+
+    it('does not store a load that finished after an invalidation', async () => {
+        let release;
+        db.respond('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL', () => new Promise((resolve) => {
+            release = () => resolve([bookRow()]);
+        }));
+        const reading = client.request('GET', '/api/books/1', { role: 'viewer' });
+        while (!release) await new Promise(resolve => setTimeout(resolve, 5));
+
+        scriptDelete();
+        const deleted = await client.request('DELETE', '/api/books/2', { role: 'admin' });
+        release();
+        assert.equal(deleted.status, 200);
+
+        assert.equal((await reading).status, 200);
+        assert.equal(await cache.get('books:1'), null);
+    });
+});
+
+// A soft delete of book 2
+function scriptDelete() {
+    db.respond('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [bookRow({ id: 2 })]);
+    db.respond('UPDATE books SET deleted_at', { affectedRows: 1 });
+}
+
+describe('without Redis', () => {
+    beforeEach(() => cache.disconnect());
+    afterEach(() => cache.reconnect());
+
+    it('reads every book from MySQL', async () => {
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow()]);
+
+        for (let i = 0; i < 2; i++) {
+            const response = await client.request('GET', '/api/books/1', { role: 'viewer' });
+            assert.equal(response.status, 200);
+            assert.equal(response.body.fromCache, undefined);
+        }
+        assert.equal(bookReads().length, 2);
+        assert.equal(await cache.get('books:1'), null);
+    });
+
+    it('reports the cache as disconnected but stays ready', async () => {
+        const response = await client.request('GET', '/api/ready');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.cache, 'disconnected');
+    });
+
+    it('still accepts writes, rate limiting them in memory', async () => {
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow({ stock: 3, version: 2 })]);
+        db.respond('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [bookRow()]);
+
+        const response = await client.request('PATCH', '/api/books/1', { role: 'clerk', body: { stock: 3 } });
+        assert.equal(response.status, 200);
+        assert.ok(response.headers.get('ratelimit-remaining'));
+    });
+
+    it('keeps idempotency records in MySQL', async () => {
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow({ stock: 3, version: 2 })]);
+        db.respond('SELECT * FROM books WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [bookRow()]);
+        db.respond('INSERT IGNORE INTO idempotency_keys', { affectedRows: 1 });
+
+        const response = await client.request('PATCH', '/api/books/1', {
+            role: 'clerk',
+            headers: { 'Idempotency-Key': 'restock-1' },
+            body: { stock: 3 }
+        });
+        assert.equal(response.status, 200);
+        const [insert] = db.queries.filter(query => query.sql.startsWith('INSERT IGNORE INTO idempotency_keys'));
+        assert.deepEqual(insert.params.slice(0, 2), [2, 'restock-1']);
+        assert.equal(db.statements('UPDATE idempotency_keys SET response').length, 1);
+    });
+});
+
+describe('when Redis commands fail', () => {
+    beforeEach(() => cache.failCommands());
+    afterEach(() => cache.failCommands(false));
+
+    it('falls back to MySQL and counts the errors', async () => {
+        db.respond('SELECT * FROM books WHERE id = ?', [bookRow()]);
+        const before = await metric('cache_errors_total', 'operation="get"');
+
+        const response = await client.request('GET', '/api/books/1', { role: 'viewer' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.title, 'Clean Code');
+        assert.equal(bookReads().length, 1);
+        assert.ok(await metric('cache_errors_total', 'operation="get"') > before);
+    });
+});
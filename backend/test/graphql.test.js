@@ -0,0 +1,129 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startTestServer, bookRow } = require('./helpers');
+const { loadConfig } = require('../config');
+
+const { app, db, cache } = loadServer();
+let client;
+
+before(async () => { client = await startTestServer(app); });
+after(() => client.close());
+beforeEach(() => {
+    db.reset();
+    cache.entries.clear();
+});
+
+// POST a GraphQL document as role
+function graphql(query, { role = 'viewer', variables } = {}) {
+    return client.request('POST', '/api/graphql', { role, body: { query, variables } });
+}
+
+describe('GraphQL variables', () => {
+    const query = 'query Book($id: Int!) { book(id: $id) { id title } }';
+
+    it('rejects a mistyped variable with 400 BAD_USER_INPUT instead of running the operation', async () => {
+        const response = await graphql(query, { variables: { id: 'abc' } });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.errors[0].extensions.code, 'BAD_USER_INPUT');
+        assert.match(response.body.errors[0].message, /"\$id" got invalid value "abc"/);
+        assert.equal(db.queries.length, 0);
+    });
+
+    it('rejects a missing required variable', async () => {
+        const response = await graphql(query);
+        assert.equal(response.status, 400);
+        assert.equal(response.body.errors[0].extensions.code, 'BAD_USER_INPUT');
+        assert.match(response.body.errors[0].message, /"\$id" of required type "Int!" was not provided/);
+    });
+});
+
+describe('GraphQL limits', () => {
+    it('rejects a document nested deeper than GRAPHQL_MAX_DEPTH before running it', async () => {
+        const response = await graphql('{ authors { books { authors { books { authors { books { authors { books { id } } } } } } } } }');
+        assert.equal(response.status, 400);
+        assert.equal(response.body.errors[0].extensions.code, 'QUERY_TOO_DEEP');
+        assert.equal(response.body.errors[0].extensions.depth, 9);
+        assert.equal(db.queries.length, 0);
+    });
+
+    it('rejects a document whose estimated cost exceeds GRAPHQL_MAX_COMPLEXITY', async () => {
+        // 100 books × 10 authors × 10 books each
+        const response = await graphql('{ books(limit: 100) { data { authors { books { id } } } } }');
+        assert.equal(response.status, 400);
+        assert.equal(response.body.errors[0].extensions.code, 'QUERY_TOO_COMPLEX');
+        assert.equal(response.body.errors[0].extensions.cost, 11101);
+        assert.equal(db.queries.length, 0);
+    });
+
+    it('runs a document within both limits', async () => {
+        db.respond('SELECT COUNT(*) AS total FROM books', [{ total: 1 }]);
+        db.respond('SELECT * FROM books', [bookRow()]);
+
+        const response = await graphql('{ books(limit: 100) { data { authors { name } } } }');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.errors, undefined);
+        assert.equal(response.body.data.books.data.length, 1);
+    });
+});
+
+describe('GraphQL batching', () => {
+    it('loads the books of every listed author in one query', async () => {
+        db.respond('SELECT e.*, COUNT(b.id) AS bookCount FROM authors', [
+            { id: 1, name: 'Kent Beck', bookCount: 1 },
+            { id: 2, name: 'Martin Fowler', bookCount: 2 },
+            { id: 3, name: 'Robert C. Martin', bookCount: 1 }
+        ]);
+        db.respond('SELECT j.author_id AS linked_id', [
+            { linked_id: 2, ...bookRow({ id: 7, title: 'Refactoring' }) },
+            { linked_id: 1, ...bookRow({ id: 8, title: 'Refactoring' }) },
+            { linked_id: 2, ...bookRow({ id: 8, title: 'Refactoring' }) },
+            { linked_id: 3, ...bookRow() }
+        ]);
+
+        const response = await graphql('{ authors { name books { id } } }');
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.authors.map(author => author.books.map(book => book.id)), [[8], [7, 8], [1]]);
+        assert.equal(db.statements('SELECT j.author_id AS linked_id').length, 1);
+        assert.equal(db.statements('SELECT ba.book_id').length, 1);
+    });
+});
+
+describe('GraphQL mutations', () => {
+    it('refuses createBook to a viewer without writing anything', async () => {
+        const response = await graphql(
+            'mutation { createBook(input: { title: "Refactoring", author: "Martin Fowler", isbn: "9780134757599", price: 44.99, stock: 3 }) { id } }'
+        );
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data, null);
+        assert.equal(response.body.errors[0].extensions.code, 'FORBIDDEN');
+        assert.deepEqual(response.body.errors[0].path, ['createBook']);
+        assert.equal(db.statements('INSERT INTO books').length, 0);
+    });
+
+    it('refuses deleteBook to a clerk', async () => {
+        const response = await graphql('mutation { deleteBook(id: 1) { id } }', { role: 'clerk' });
+        assert.equal(response.body.errors[0].extensions.code, 'FORBIDDEN');
+        assert.equal(db.statements('UPDATE books SET deleted_at').length, 0);
+    });
+});
+
+describe('GraphiQL', () => {
+    it('is served to a browser without a token outside production', async () => {
+        const response = await client.request('GET', '/api/graphql', { headers: { Accept: 'text/html' } });
+        assert.equal(response.status, 200);
+        assert.match(response.body, /GraphiQL/);
+        assert.match(response.headers.get('content-security-policy'), /script-src 'nonce-/);
+    });
+
+    it('is not served to API clients or requests carrying a query', async () => {
+        const json = await client.request('GET', '/api/graphql', { headers: { Accept: 'application/json' } });
+        assert.equal(json.status, 401);
+        const query = await client.request('GET', '/api/graphql?query=%7B%20tags%20%7B%20name%20%7D%20%7D', { headers: { Accept: 'text/html' } });
+        assert.equal(query.status, 401);
+    });
+
+    it('is turned off in production', () => {
+        const config = loadConfig({ NODE_ENV: 'production', DB_PASSWORD: 'secret', JWT_SECRET: 'secret' });
+        assert.equal(config.graphql.graphiql, false);
+    });
+});
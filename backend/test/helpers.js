@@ -0,0 +1,319 @@
+/**
+ * Test helpers
+ * In-process stand-ins for MySQL and Redis, and a way to run the app against
+ * them on a loopback port. Require this before loading the config: it sets
+ * the environment loadServer() reads it from.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.OTEL_SDK_DISABLED = 'true';
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+
+function matches(pattern, sql) {
+    return pattern instanceof RegExp ? pattern.test(sql) : sql.startsWith(pattern);
+}
+
+/**
+ * Stand-in for the mysql2 promise pool. Tests script the result of each
+ * statement with respond(pattern, result), where pattern is a SQL prefix or a
+ * RegExp and result is the rows (or result header), or a function
+ * (params, sql) returning them or throwing. The most recently added matching
+ * responder wins; unscripted statements return no rows. Statements are
+ * recorded with whitespace collapsed, including the transaction boundaries of
+ * connections handed out by getConnection().
+ */
+class FakeDatabase {
+    constructor() {
+        this.queries = [];
+        this.responders = [];
+        this.exportRows = [];
+    }
+
+    respond(pattern, result) {
+        this.responders.unshift({ pattern, result });
+        return this;
+    }
+
+    // SQL of the recorded statements, optionally only those matching pattern
+    statements(pattern) {
+        return this.queries
+            .filter(query => !pattern || matches(pattern, query.sql))
+            .map(query => query.sql);
+    }
+
+    reset() {
+        this.queries = [];
+        this.responders = [];
+    }
+
+    async query(sql, params = []) {
+        const statement = (typeof sql === 'string' ? sql : sql.sql).replace(/\s+/g, ' ').trim();
+        this.queries.push({ sql: statement, params });
+
+        const responder = this.responders.find(({ pattern }) => matches(pattern, statement));
+        if (!responder) return [[], []];
+        const result = typeof responder.result === 'function'
+            ? await responder.result(params, statement)
+            : responder.result;
+        return [result, []];
+    }
+
+    async execute(sql, params) {
+        return this.query(sql, params);
+    }
+
+    async getConnection() {
+        const record = sql => this.queries.push({ sql, params: [] });
+        return {
+            query: (sql, params) => this.query(sql, params),
+            execute: (sql, params) => this.query(sql, params),
+            beginTransaction: async () => record('BEGIN'),
+            commit: async () => record('COMMIT'),
+            rollback: async () => record('ROLLBACK'),
+            ping: async () => {},
+            release: () => {},
+            // The export route streams from the underlying callback connection
+            connection: {
+                query: (sql, params) => {
+                    record(sql.replace(/\s+/g, ' ').trim());
+                    return { stream: () => require('stream').Readable.from(this.exportRows) };
+                }
+            }
+        };
+    }
+
+    async end() {}
+}
+
+/**
+ * Stand-in for a connected node-redis v4 client, covering the commands the
+ * server uses. Keys expire like in Redis. disconnect() makes it report itself
+ * closed (Redis down at startup or connection lost); failCommands() keeps it
+ * open but makes every command reject (Redis misbehaving mid-request);
+ * reconnect() undoes both.
+ */
+class FakeRedis {
+    constructor() {
+        this.entries = new Map();
+        this.published = [];
+        this.isOpen = true;
+        this.isReady = true;
+        this.failing = false;
+    }
+
+    disconnect() {
+        this.isOpen = false;
+        this.isReady = false;
+    }
+
+    reconnect() {
+        this.isOpen = true;
+        this.isReady = true;
+        this.failing = false;
+    }
+
+    failCommands(failing = true) {
+        this.failing = failing;
+    }
+
+    check() {
+        if (this.failing) throw new Error('Redis command failed');
+    }
+
+    read(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    write(key, value, seconds = null) {
+        this.entries.set(key, { value: String(value), expiresAt: seconds === null ? null : Date.now() + seconds * 1000 });
+    }
+
+    keys() {
+        return [...this.entries.keys()].filter(key => this.read(key));
+    }
+
+    on() {
+        return this;
+    }
+
+    async connect() {}
+
+    async quit() {
+        this.disconnect();
+    }
+
+    async ping() {
+        this.check();
+        return 'PONG';
+    }
+
+    async get(key) {
+        this.check();
+        return this.read(key)?.value ?? null;
+    }
+
+    async set(key, value, { NX, EX } = {}) {
+        this.check();
+        if (NX && this.read(key)) return null;
+        this.write(key, value, EX ?? null);
+        return 'OK';
+    }
+
+    async setEx(key, seconds, value) {
+        this.check();
+        this.write(key, value, seconds);
+        return 'OK';
+    }
+
+    async del(keys) {
+        this.check();
+        return [].concat(keys).filter(key => this.entries.delete(key)).length;
+    }
+
+    incrSync(key) {
+        const entry = this.read(key);
+        const value = (parseInt(entry?.value) || 0) + 1;
+        this.entries.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+        return value;
+    }
+
+    expireSync(key, seconds) {
+        const entry = this.read(key);
+        if (!entry) return 0;
+        entry.expiresAt = Date.now() + seconds * 1000;
+        return 1;
+    }
+
+    multi() {
+        const commands = [];
+        const chain = {
+            incr: (key) => { commands.push(() => this.incrSync(key)); return chain; },
+            expire: (key, seconds) => { commands.push(() => this.expireSync(key, seconds)); return chain; },
+            del: (keys) => { commands.push(() => [].concat(keys).filter(key => this.entries.delete(key)).length); return chain; },
+            exec: async () => {
+                this.check();
+                return commands.map(command => command());
+            }
+        };
+        return chain;
+    }
+
+    // Pages through the keys there were when the scan started, COUNT at a time, like
+    // SCAN (keys deleted meanwhile do not make it skip others); 0 once done
+    async scan(cursor, { MATCH, COUNT = 10 }) {
+        this.check();
+        const pattern = new RegExp(`^${MATCH.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+        if (cursor === 0) this.scanned = this.keys();
+        const next = cursor + COUNT;
+        return {
+            cursor: next < this.scanned.length ? next : 0,
+            keys: this.scanned.slice(cursor, next).filter(key => pattern.test(key) && this.read(key))
+        };
+    }
+
+    async publish(channel, message) {
+        this.check();
+        this.published.push({ channel, message: JSON.parse(message) });
+        return 0;
+    }
+
+    async xAdd(stream, id, fields) {
+        this.check();
+        this.published.push({ channel: stream, message: fields });
+        return '0-1';
+    }
+}
+
+// A bearer token for a user with the given role
+function tokenFor(role, { id = { viewer: 3, clerk: 2, admin: 1 }[role], username = role } = {}) {
+    return jwt.sign({ sub: String(id), username, role }, process.env.JWT_SECRET);
+}
+
+/**
+ * Listen on a free loopback port and return request(method, path, options),
+ * resolving to { status, headers, body } (body parsed when it is JSON).
+ * options: role (sends a token for it), headers, body (sent as JSON unless a string).
+ */
+async function startTestServer(app) {
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    async function request(method, path, { role, headers = {}, body } = {}) {
+        const requestHeaders = { ...headers };
+        if (role) requestHeaders.Authorization = `Bearer ${tokenFor(role)}`;
+        if (body !== undefined && typeof body !== 'string') {
+            requestHeaders['Content-Type'] = 'application/json';
+            body = JSON.stringify(body);
+        }
+
+        const response = await fetch(baseUrl + path, { method, headers: requestHeaders, body });
+        const text = await response.text();
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: isJson && text ? JSON.parse(text) : text
+        };
+    }
+
+    return {
+        request,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// A books row as mysql2 returns it (DECIMAL price as a string)
+function bookRow(overrides = {}) {
+    return {
+        id: 1,
+        title: 'Clean Code',
+        author: 'Robert C. Martin',
+        isbn: '9780132350884',
+        isbn_display: '978-0132350884',
+        price: '37.99',
+        stock: 12,
+        reorder_threshold: 5,
+        reorder_quantity: 20,
+        version: 1,
+        deleted_at: null,
+        deleted_by: null,
+        created_at: new Date('2026-01-05T10:00:00Z'),
+        updated_at: new Date('2026-01-05T10:00:00Z'),
+        ...overrides
+    };
+}
+
+/**
+ * Build an app against fresh stand-ins, with the config read from the
+ * environment. Pass { cache: null } to start without Redis. Logging is
+ * silenced unless TEST_LOGS=true.
+ */
+function loadServer({ cache = new FakeRedis() } = {}) {
+    const { loadConfig } = require('../config');
+    const { createLogger } = require('../logger');
+    const { createApp } = require('../app');
+    const config = loadConfig();
+    const logger = createLogger(config);
+    logger.silent = process.env.TEST_LOGS !== 'true';
+    const db = new FakeDatabase();
+    const app = createApp({ config, logger, db, redis: cache });
+    return { app, db, cache, config, logger };
+}
+
+module.exports = {
+    FakeDatabase,
+    FakeRedis,
+    tokenFor,
+    startTestServer,
+    bookRow,
+    loadServer
+};
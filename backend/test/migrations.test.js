@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const initialSchema = require('../migrations/001_initial_schema');
+const normalizeIsbns = require('../migrations/002_normalize_isbns');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// The books columns created by the old database/init.sql, which had no version column
+const INIT_SQL_BOOK_COLUMNS = ['id', 'title', 'author', 'isbn', 'price', 'stock', 'created_at', 'updated_at'];
+
+// A connection to a database holding one books table: answers the information_schema
+// column checks from its columns, applies ALTER TABLE books ADD COLUMN, and fails a
+// statement naming a column it lacks the way MySQL does
+class FakeSchemaConnection {
+    constructor(bookColumns) {
+        this.bookColumns = bookColumns && new Set(bookColumns);
+        this.statements = [];
+    }
+
+    async query(sql) {
+        this.statements.push(sql);
+
+        const check = sql.match(/information_schema\.columns .* column_name = '(\w+)'/);
+        if (check) return [[{ count: this.bookColumns.has(check[1]) ? 1 : 0 }]];
+
+        const added = sql.match(/^ALTER TABLE books ADD COLUMN (\w+)/);
+        if (added) {
+            this.bookColumns.add(added[1]);
+            return [{}];
+        }
+
+        if (/CREATE TABLE IF NOT EXISTS books \(/.test(sql) && !this.bookColumns) {
+            this.bookColumns = new Set([...INIT_SQL_BOOK_COLUMNS, 'version']);
+        }
+        if (/version = version \+ 1/.test(sql) && !this.bookColumns.has('version')) {
+            throw Object.assign(new Error("Unknown column 'version' in 'field list'"), { code: 'ER_BAD_FIELD_ERROR' });
+        }
+        if (sql.startsWith('SELECT id, isbn FROM books')) return [[{ id: 1, isbn: '978-0132350884' }]];
+        return [{}];
+    }
+}
+
+describe('migrations on a database created by init.sql', () => {
+    it('adds books.version, so migration 002 can bump it', async () => {
+        const connection = new FakeSchemaConnection(INIT_SQL_BOOK_COLUMNS);
+
+        await initialSchema.up(connection, { logger });
+        assert.ok(connection.bookColumns.has('version'));
+        assert.equal(connection.statements.filter(sql => sql.startsWith('ALTER TABLE books ADD COLUMN version')).length, 1);
+
+        await normalizeIsbns.up(connection, { logger });
+        assert.ok(connection.statements.some(sql => sql.startsWith('UPDATE books SET isbn = ?')));
+    });
+
+    it('leaves the version column of a books table it created alone', async () => {
+        const connection = new FakeSchemaConnection(null);
+
+        await initialSchema.up(connection, { logger });
+        assert.ok(connection.bookColumns.has('version'));
+        assert.equal(connection.statements.filter(sql => sql.startsWith('ALTER TABLE books')).length, 0);
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startTestServer, bookRow } = require('./helpers');
+
+const { app, db, cache } = loadServer();
+let client;
+
+before(async () => { client = await startTestServer(app); });
+after(() => client.close());
+beforeEach(() => {
+    db.reset();
+    cache.entries.clear();
+});
+
+// An orders row: a pending order placed by the viewer (user 3)
+function orderRow(overrides = {}) {
+    return { id: 9, user_id: 3, status: 'pending', total: '75.98', ...overrides };
+}
+
+describe('POST /api/orders', () => {
+    it('reserves stock for merged lines in one transaction and records a stock history entry', async () => {
+        await cache.setEx('books:1', 60, JSON.stringify({ value: bookRow(), freshUntil: Date.now() + 60000 }));
+        db.respond('SELECT * FROM books WHERE id IN (?)', [bookRow()]);
+        db.respond('INSERT INTO orders', { insertId: 9 });
+
+        const response = await client.request('POST', '/api/orders', {
+            role: 'viewer',
+            body: { items: [{ bookId: 1, quantity: 1 }, { bookId: 1, quantity: 1 }] }
+        });
+        assert.equal(response.status, 201);
+        assert.equal(response.body.id, 9);
+        assert.equal(response.body.total, 75.98);
+        assert.deepEqual(response.body.items, [{ bookId: 1, title: 'Clean Code', quantity: 2, unitPrice: '37.99' }]);
+
+        const [stock] = db.queries.filter(query => query.sql.startsWith('UPDATE books SET stock = stock + ?'));
+        assert.deepEqual(stock.params, [-2, 1]);
+        const [history] = db.queries.filter(query => query.sql.startsWith('INSERT INTO book_history'));
+        assert.equal(history.params[1], 'stock');
+        assert.equal(JSON.parse(history.params[3]).stock, 10);
+        assert.deepEqual(db.statements(/^(BEGIN|COMMIT|ROLLBACK)$/), ['BEGIN', 'COMMIT']);
+        assert.equal(await cache.get('books:1'), null);
+    });
+
+    it('rejects the whole order when a book is short, without writing', async () => {
+        db.respond('SELECT * FROM books WHERE id IN (?)', [bookRow({ stock: 1 })]);
+
+        const response = await client.request('POST', '/api/orders', { role: 'viewer', body: { items: [{ bookId: 1, quantity: 2 }] } });
+        assert.equal(response.status, 409);
+        assert.deepEqual(response.body.shortages, [{ bookId: 1, requested: 2, available: 1 }]);
+        assert.equal(db.statements('UPDATE books').length, 0);
+        assert.equal(db.statements('INSERT INTO orders').length, 0);
+    });
+
+    it('answers 404 with the IDs of books that do not exist', async () => {
+        db.respond('SELECT * FROM books WHERE id IN (?)', [bookRow()]);
+
+        const response = await client.request('POST', '/api/orders', {
+            role: 'viewer',
+            body: { items: [{ bookId: 1, quantity: 1 }, { bookId: 4, quantity: 1 }] }
+        });
+        assert.equal(response.status, 404);
+        assert.deepEqual(response.body.bookIds, [4]);
+    });
+});
+
+describe('GET /api/orders', () => {
+    it('limits viewers to their own orders', async () => {
+        db.respond('SELECT COUNT(*) AS total FROM orders', [{ total: 0 }]);
+
+        const response = await client.request('GET', '/api/orders?status=paid', { role: 'viewer' });
+        assert.equal(response.status, 200);
+        const [count] = db.queries.filter(query => query.sql.startsWith('SELECT COUNT(*) AS total FROM orders'));
+        assert.match(count.sql, /WHERE user_id = \? AND status = \?$/);
+        assert.deepEqual(count.params, [3, 'paid']);
+    });
+
+    it('hides another user\'s order from a viewer as 404', async () => {
+        db.respond('SELECT * FROM orders WHERE id = ?', [orderRow({ user_id: 7 })]);
+
+        const response = await client.request('GET', '/api/orders/9', { role: 'viewer' });
+        assert.equal(response.status, 404);
+    });
+});
+
+describe('PATCH /api/orders/:id', () => {
+    it('returns the items to stock when an order is cancelled', async () => {
+        db.respond('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderRow()]);
+        db.respond('SELECT oi.quantity, b.* FROM order_items oi', [{ quantity: 2, ...bookRow({ stock: 10, version: 2 }) }]);
+
+        const response = await client.request('PATCH', '/api/orders/9', { role: 'viewer', body: { status: 'cancelled' } });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.status, 'cancelled');
+
+        const [stock] = db.queries.filter(query => query.sql.startsWith('UPDATE books SET stock = stock + ?'));
+        assert.deepEqual(stock.params, [2, 1]);
+        assert.deepEqual(db.queries.find(query => query.sql.startsWith('UPDATE orders')).params, ['cancelled', 9]);
+    });
+
+    it('refuses a transition the order status does not allow', async () => {
+        db.respond('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderRow({ status: 'shipped' })]);
+
+        const response = await client.request('PATCH', '/api/orders/9', { role: 'clerk', body: { status: 'paid' } });
+        assert.equal(response.status, 409);
+        assert.equal(response.body.error, 'Cannot change order status from shipped to paid');
+        assert.equal(db.statements('UPDATE orders').length, 0);
+    });
+
+    it('lets viewers do nothing but cancel their pending orders', async () => {
+        db.respond('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderRow()]);
+
+        const response = await client.request('PATCH', '/api/orders/9', { role: 'viewer', body: { status: 'paid' } });
+        assert.equal(response.status, 403);
+    });
+});
@@ -0,0 +1,253 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Short delays so retries and an open circuit do not slow the suite down
+process.env.DB_RETRY_BASE_MS = '1';
+process.env.DB_RETRY_MAX_MS = '5';
+process.env.CIRCUIT_FAILURE_THRESHOLD = '4';
+process.env.CACHE_SERVE_STALE_ON_DB_ERROR = 'true';
+
+const { FakeDatabase, FakeRedis, loadServer, startTestServer, bookRow } = require('./helpers');
+const { backoffDelay, retry, CircuitBreaker, CircuitOpenError, CallTimeoutError } = require('../resilience');
+const { guardPool } = require('../db');
+const { CacheService } = require('../services/CacheService');
+
+function sqlError(code) {
+    return Object.assign(new Error(code), { code });
+}
+
+// A function that throws each of errors in turn, then returns 'ok'
+function flaky(...errors) {
+    const calls = [];
+    const fn = async (attempt) => {
+        calls.push(attempt);
+        if (errors.length) throw errors.shift();
+        return 'ok';
+    };
+    return Object.assign(fn, { calls });
+}
+
+describe('retry', () => {
+    const options = { attempts: 3, baseDelayMs: 1, maxDelayMs: 5 };
+
+    it('keeps backoff delays between half and all of the capped exponential delay', () => {
+        for (let attempt = 1; attempt <= 6; attempt++) {
+            const cap = Math.min(1000, 100 * 2 ** (attempt - 1));
+            const delay = backoffDelay(attempt, { baseDelayMs: 100, maxDelayMs: 1000 });
+            assert.ok(delay >= cap / 2 && delay <= cap, `attempt ${attempt}: ${delay}ms`);
+        }
+    });
+
+    it('retries until a call succeeds', async () => {
+        const fn = flaky(sqlError('ECONNREFUSED'), sqlError('ECONNREFUSED'));
+        const retries = [];
+        assert.equal(await retry(fn, { ...options, onRetry: (error, attempt) => retries.push(attempt) }), 'ok');
+        assert.deepEqual(fn.calls, [1, 2, 3]);
+        assert.deepEqual(retries, [1, 2]);
+    });
+
+    it('rethrows errors it should not retry, and the last error once attempts run out', async () => {
+        const duplicate = flaky(sqlError('ER_DUP_ENTRY'));
+        await assert.rejects(retry(duplicate, { ...options, shouldRetry: error => error.code !== 'ER_DUP_ENTRY' }), { code: 'ER_DUP_ENTRY' });
+        assert.deepEqual(duplicate.calls, [1]);
+
+        const down = flaky(sqlError('ECONNREFUSED'), sqlError('ECONNREFUSED'), sqlError('ETIMEDOUT'));
+        await assert.rejects(retry(down, options), { code: 'ETIMEDOUT' });
+        assert.deepEqual(down.calls, [1, 2, 3]);
+    });
+});
+
+describe('CircuitBreaker', () => {
+    const transitions = [];
+    const breaker = options => new CircuitBreaker({
+        name: 'mysql',
+        failureThreshold: 2,
+        resetTimeoutMs: 50,
+        onStateChange: state => transitions.push(state),
+        ...options
+    });
+
+    beforeEach(() => { transitions.length = 0; });
+
+    it('opens after failureThreshold failures in a row and then fails fast', async () => {
+        const circuit = breaker();
+        const fn = flaky(sqlError('ECONNREFUSED'), sqlError('ECONNREFUSED'));
+        await assert.rejects(circuit.exec(fn), { code: 'ECONNREFUSED' });
+        await assert.rejects(circuit.exec(fn), { code: 'ECONNREFUSED' });
+
+        await assert.rejects(circuit.exec(fn), (error) => {
+            assert.ok(error instanceof CircuitOpenError);
+            assert.equal(error.dependency, 'mysql');
+            assert.ok(error.retryAfterMs > 0 && error.retryAfterMs <= 50);
+            return true;
+        });
+        assert.equal(fn.calls.length, 2);
+        assert.equal(circuit.state, 'open');
+        assert.ok(circuit.rejecting);
+    });
+
+    it('lets one trial call through after resetTimeoutMs and closes when it succeeds', async () => {
+        const circuit = breaker();
+        const fn = flaky(sqlError('ECONNREFUSED'), sqlError('ECONNREFUSED'), sqlError('ECONNREFUSED'));
+        await assert.rejects(circuit.exec(fn));
+        await assert.rejects(circuit.exec(fn));
+        await new Promise(resolve => setTimeout(resolve, 60));
+
+        // The trial fails, so the circuit reopens for another resetTimeoutMs
+        await assert.rejects(circuit.exec(fn), { code: 'ECONNREFUSED' });
+        assert.equal(circuit.state, 'open');
+        await new Promise(resolve => setTimeout(resolve, 60));
+
+        assert.equal(await circuit.exec(fn), 'ok');
+        assert.equal(circuit.state, 'closed');
+        assert.deepEqual(transitions, ['open', 'half_open', 'open', 'half_open', 'closed']);
+    });
+
+    it('does not count errors isFailure rejects', async () => {
+        const circuit = breaker({ isFailure: error => error.code !== 'ER_DUP_ENTRY' });
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(circuit.exec(flaky(sqlError('ER_DUP_ENTRY'))), { code: 'ER_DUP_ENTRY' });
+        }
+        assert.equal(circuit.state, 'closed');
+    });
+
+    it('fails calls slower than timeoutMs and counts them', async () => {
+        const circuit = breaker({ timeoutMs: 20, failureThreshold: 1 });
+        await assert.rejects(circuit.exec(() => new Promise(resolve => setTimeout(resolve, 200))), CallTimeoutError);
+        assert.equal(circuit.state, 'open');
+    });
+});
+
+describe('guardPool', () => {
+    let db;
+    let pool;
+    let retries;
+
+    beforeEach(() => {
+        db = new FakeDatabase();
+        retries = [];
+        pool = guardPool(db, {
+            breaker: new CircuitBreaker({ name: 'mysql', failureThreshold: 10, resetTimeoutMs: 1000 }),
+            retry: { attempts: 3, baseDelayMs: 1, maxDelayMs: 5 },
+            onRetry: (error, operation) => retries.push(`${operation} ${error.code}`)
+        });
+    });
+
+    it('retries a read whose connection was lost', async () => {
+        const lost = [sqlError('PROTOCOL_CONNECTION_LOST')];
+        db.respond('SELECT * FROM books WHERE id = ?', () => {
+            if (lost.length) throw lost.shift();
+            return [bookRow()];
+        });
+
+        const [rows] = await pool.query('SELECT * FROM books WHERE id = ?', [1]);
+        assert.equal(rows[0].title, 'Clean Code');
+        assert.deepEqual(retries, ['query PROTOCOL_CONNECTION_LOST']);
+    });
+
+    it('does not retry a write whose connection was lost, since it may have been applied', async () => {
+        db.respond('UPDATE books', () => { throw sqlError('PROTOCOL_CONNECTION_LOST'); });
+        await assert.rejects(pool.query('UPDATE books SET stock = 0 WHERE id = ?', [1]), { code: 'PROTOCOL_CONNECTION_LOST' });
+        assert.equal(db.statements('UPDATE books').length, 1);
+    });
+
+    it('retries statements MySQL rolled back and connections it refused', async () => {
+        const errors = [sqlError('ER_LOCK_DEADLOCK'), sqlError('ECONNREFUSED')];
+        db.respond('UPDATE books', () => {
+            if (errors.length) throw errors.shift();
+            return { affectedRows: 1 };
+        });
+
+        const [result] = await pool.query('UPDATE books SET stock = 0 WHERE id = ?', [1]);
+        assert.equal(result.affectedRows, 1);
+        assert.deepEqual(retries, ['query ER_LOCK_DEADLOCK', 'query ECONNREFUSED']);
+    });
+});
+
+describe('CacheService behind a breaker', () => {
+    const metrics = { requests: { inc() {} }, errors: { inc() {} }, coalesced: { inc() {} } };
+    const logger = { error() {}, warn() {} };
+    const cacheOver = (client, breakerOptions = {}) => new CacheService({
+        client,
+        logger,
+        metrics,
+        ttl: 60,
+        staleTtl: 0,
+        breaker: new CircuitBreaker({ name: 'redis', failureThreshold: 5, resetTimeoutMs: 1000, timeoutMs: 50, ...breakerOptions })
+    });
+
+    it('deletes matching keys across several SCAN pages', async () => {
+        const client = new FakeRedis();
+        for (let id = 1; id <= 250; id++) client.write(`books:${id}`, '{}');
+        client.write('books:list:version', '3');
+
+        await cacheOver(client).deleteMatching('books:*', key => /^books:\d+$/.test(key));
+        assert.deepEqual(client.keys(), ['books:list:version']);
+    });
+
+    it('gives up on a SCAN Redis does not answer and remembers the missed invalidation', async () => {
+        const client = new FakeRedis();
+        client.scan = () => new Promise(() => {});
+        const cache = cacheOver(client);
+
+        const started = Date.now();
+        await cache.deleteMatching('books:*');
+        assert.ok(Date.now() - started < 1000);
+        assert.equal(cache.missedInvalidations, true);
+    });
+});
+
+describe('MySQL outage', () => {
+    const { app, db, cache } = loadServer();
+    let client;
+
+    before(async () => { client = await startTestServer(app); });
+    after(() => client.close());
+    beforeEach(async () => {
+        db.reset();
+        cache.reconnect();
+        cache.entries.clear();
+        // A successful readiness ping resets the MySQL breaker's failure count
+        await client.request('GET', '/api/ready');
+    });
+
+    const refuse = () => { throw sqlError('ECONNREFUSED'); };
+
+    it('serves an expired cache entry while MySQL is unreachable', async () => {
+        const entry = { value: { ...bookRow({ title: 'Old title' }), authors: [] }, freshUntil: Date.now() - 3600 * 1000 };
+        await cache.setEx('books:1', 3600, JSON.stringify(entry));
+        db.respond('SELECT * FROM books WHERE id = ?', refuse);
+
+        const response = await client.request('GET', '/api/books/1', { role: 'viewer' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.title, 'Old title');
+        assert.equal(response.body.fromCache, true);
+    });
+
+    // Last: the circuit stays open for CIRCUIT_RESET_SECONDS afterwards
+    it('answers 503 with Retry-After once the MySQL circuit opens and reports readiness as degraded', async () => {
+        db.respond(/^SELECT/, refuse);
+        const bookReads = () => db.statements('SELECT * FROM books WHERE id = ?').length;
+
+        // Three attempts, all failed: one short of CIRCUIT_FAILURE_THRESHOLD
+        const failed = await client.request('GET', '/api/books/1', { role: 'viewer' });
+        assert.equal(failed.status, 500);
+        assert.equal(bookReads(), 3);
+
+        // The next failure opens the circuit, which also ends the retries
+        const opened = await client.request('GET', '/api/books/1', { role: 'viewer' });
+        assert.equal(opened.status, 503);
+        assert.ok(Number(opened.headers.get('retry-after')) > 0);
+        assert.equal(bookReads(), 4);
+
+        // Rejected by the open circuit without reaching MySQL
+        const rejected = await client.request('GET', '/api/books/1', { role: 'viewer' });
+        assert.equal(rejected.status, 503);
+        assert.equal(bookReads(), 4);
+
+        const ready = await client.request('GET', '/api/ready');
+        assert.equal(ready.status, 200);
+        assert.equal(ready.body.status, 'degraded');
+        assert.equal(ready.body.circuits.mysql, 'open');
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { closeServer } = require('../shutdown');
+
+let agent;
+afterEach(() => {
+    agent?.destroy();
+    agent = null;
+});
+
+// A server on a loopback port whose handler is handle(req, res); port is kept for after it closes
+async function listen(handle) {
+    const server = http.createServer(handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    server.port = server.address().port;
+    return server;
+}
+
+// GET path on server through a keep-alive agent; resolves to { status, body }
+function get(server, path = '/') {
+    agent = agent || new http.Agent({ keepAlive: true });
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.port, path, agent }, (res) => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+describe('closeServer', () => {
+    it('lets in-flight requests finish and refuses new connections', async () => {
+        let release;
+        const server = await listen((req, res) => {
+            if (req.url === '/slow') {
+                release = () => res.end('done');
+            } else {
+                res.end('ok');
+            }
+        });
+        const slow = get(server, '/slow');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const closing = closeServer(server, { timeoutMs: 5000 });
+        await assert.rejects(get(server), { code: 'ECONNREFUSED' });
+        release();
+
+        assert.deepEqual(await slow, { status: 200, body: 'done' });
+        assert.deepEqual(await closing, { drained: true });
+    });
+
+    it('closes idle keep-alive connections without waiting for them to time out', async () => {
+        const server = await listen((req, res) => res.end('ok'));
+        await get(server);
+
+        const started = Date.now();
+        assert.deepEqual(await closeServer(server, { timeoutMs: 5000 }), { drained: true });
+        assert.ok(Date.now() - started < 1000);
+    });
+
+    it('destroys connections still busy at the deadline', async () => {
+        const server = await listen(() => {});
+        const hanging = get(server, '/hang');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.deepEqual(await closeServer(server, { timeoutMs: 100 }), { drained: false });
+        await assert.rejects(hanging, { code: 'ECONNRESET' });
+    });
+});
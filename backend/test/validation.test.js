@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startTestServer } = require('./helpers');
+const { validateISBN, toISBN13, toISBN10 } = require('../isbn');
+const { validators, bodyValidators, formatSchemaErrors } = require('../validation');
+
+const { app } = loadServer();
+
+// Validate a copy of value against a schema as a request body, or with location 'query'
+// as a query string; returns { valid, value, details }
+function check(schema, value, location = 'body') {
+    const copy = structuredClone(value);
+    const validate = (location === 'body' ? bodyValidators : validators)[schema];
+    const valid = validate(copy);
+    return { valid, value: copy, details: valid ? [] : formatSchemaErrors(validate.errors, location) };
+}
+
+describe('ISBN helpers', () => {
+    it('accepts ISBN-10 and ISBN-13 with correct check digits, hyphens optional', () => {
+        assert.equal(validateISBN('0132350882'), true);
+        assert.equal(validateISBN('978-0-13-235088-4'), true);
+        assert.equal(validateISBN('080442957X'), true);
+        assert.equal(validateISBN('9780132350885'), false);
+        assert.equal(validateISBN('12345'), false);
+        assert.equal(validateISBN(9780132350884), false);
+    });
+
+    it('converts between ISBN-10 and ISBN-13', () => {
+        assert.equal(toISBN13('0-13-235088-2'), '9780132350884');
+        assert.equal(toISBN10('9780132350884'), '0132350882');
+        assert.equal(toISBN10('9791032305690'), null);
+        assert.equal(toISBN13('not an isbn'), null);
+    });
+});
+
+describe('request schemas', () => {
+    it('fills BookCreate defaults', () => {
+        const result = check('BookCreate', { title: 'Refactoring', author: 'Martin Fowler', isbn: '9780134757599' });
+        assert.equal(result.valid, true);
+        assert.equal(result.value.price, 0);
+        assert.equal(result.value.stock, 0);
+    });
+
+    it('reports every failing field with its x-message', () => {
+        const result = check('BookCreate', { title: '   ', author: 'A', isbn: '9780132350885', price: -1, stock: 1.5 });
+        assert.equal(result.valid, false);
+        assert.deepEqual(
+            result.details.map(detail => [detail.field, detail.rule, detail.message]),
+            [
+                ['title', 'pattern', 'must be a non-empty string of at most 255 characters'],
+                ['isbn', 'format', 'must be a valid ISBN-10 or ISBN-13 with a correct check digit'],
+                ['price', 'minimum', 'must be a number between 0 and 10000'],
+                ['stock', 'type', 'must be an integer between 0 and 100000']
+            ]
+        );
+        assert.ok(result.details.every(detail => detail.location === 'body'));
+    });
+
+    it('requires author or a non-empty authorIds, reported once', () => {
+        const missing = check('BookCreate', { title: 'T', isbn: '9780132350884' });
+        assert.deepEqual(missing.details, [
+            { location: 'body', field: '', rule: 'anyOf', message: 'must include author or a non-empty authorIds' }
+        ]);
+        assert.equal(check('BookCreate', { title: 'T', isbn: '9780132350884', authorIds: [1, 2] }).valid, true);
+        assert.equal(check('BookCreate', { title: 'T', isbn: '9780132350884', authorIds: [] }).valid, false);
+    });
+
+    it('needs at least one field in a BookPatch', () => {
+        const result = check('BookPatch', {});
+        assert.equal(result.valid, false);
+        assert.equal(result.details[0].rule, 'anyOf');
+        assert.equal(check('BookPatch', { stock: 3 }).valid, true);
+    });
+
+    it('coerces query strings and applies list defaults', () => {
+        const result = check('BookListQuery', { page: '2', minPrice: '9.5', lowStock: 'true' }, 'query');
+        assert.equal(result.valid, true);
+        assert.deepEqual(
+            { page: result.value.page, limit: result.value.limit, minPrice: result.value.minPrice, lowStock: result.value.lowStock },
+            { page: 2, limit: 20, minPrice: 9.5, lowStock: true }
+        );
+        assert.equal(result.value.sort, 'created_at');
+        assert.equal(result.value.order, 'desc');
+    });
+
+    it('does not coerce the types of a JSON body', () => {
+        const result = check('BookPatch', { stock: true, price: '12' });
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.details.map(detail => [detail.field, detail.rule]), [['price', 'type'], ['stock', 'type']]);
+    });
+
+    it('rejects unknown sort fields and oversized pages', () => {
+        const result = check('BookListQuery', { sort: 'password', limit: '500' }, 'query');
+        assert.deepEqual(result.details.map(detail => detail.field), ['sort', 'limit']);
+    });
+
+    it('validates relation lists item by item', () => {
+        const result = check('BookPatch', { authorIds: [1, 1], tags: ['ok', ''] });
+        assert.deepEqual(result.details.map(detail => detail.field).sort(), ['authorIds', 'tags.1']);
+    });
+
+    it('limits tag names to letters, digits and a little punctuation', () => {
+        assert.ok(check('BookPatch', { tags: ['c++', 'C#', ' sci-fi ', 'été', 'node.js'] }).valid);
+        const result = check('BookPatch', { tags: ['x" autofocus onfocus="alert(1)', '<b>', '-dash'] });
+        assert.deepEqual(result.details.map(detail => detail.field), ['tags.0', 'tags.1', 'tags.2']);
+    });
+});
+
+describe('validation middleware', () => {
+    let client;
+    before(async () => { client = await startTestServer(app); });
+    after(() => client.close());
+
+    it('answers 400 VALIDATION_FAILED with details per location', async () => {
+        const response = await client.request('PATCH', '/api/books/abc', { role: 'clerk', body: { price: 'free' } });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'VALIDATION_FAILED');
+        assert.deepEqual(
+            response.body.details.map(detail => [detail.location, detail.field]),
+            [['params', 'id'], ['body', 'price']]
+        );
+        assert.ok(response.body.correlationId);
+    });
+
+    it('rejects malformed JSON bodies', async () => {
+        const response = await client.request('POST', '/api/books', {
+            role: 'clerk',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"title":'
+        });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'INVALID_JSON');
+    });
+});
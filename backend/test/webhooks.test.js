@@ -0,0 +1,93 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startTestServer } = require('./helpers');
+
+const { app, db, cache } = loadServer();
+let client;
+
+before(async () => { client = await startTestServer(app); });
+after(() => client.close());
+beforeEach(() => {
+    db.reset();
+    cache.entries.clear();
+});
+
+function webhookRow(overrides = {}) {
+    return {
+        id: 5,
+        url: 'https://example.com/hooks',
+        secret: 's3cret',
+        events: ['book.created'],
+        description: null,
+        active: 1,
+        created_by: 1,
+        ...overrides
+    };
+}
+
+describe('webhook subscriptions', () => {
+    it('returns a generated secret on creation only', async () => {
+        db.respond('INSERT INTO webhooks', { insertId: 5 });
+        db.respond('SELECT * FROM webhooks WHERE id = ?', [webhookRow()]);
+
+        const created = await client.request('POST', '/api/webhooks', {
+            role: 'admin',
+            body: { url: 'https://example.com/hooks', events: ['book.created'] }
+        });
+        assert.equal(created.status, 201);
+        assert.match(created.body.secret, /^[0-9a-f]{64}$/);
+        assert.equal(created.body.active, true);
+        const [insert] = db.queries.filter(query => query.sql.startsWith('INSERT INTO webhooks'));
+        assert.equal(insert.params[1], created.body.secret);
+
+        db.respond('SELECT * FROM webhooks ORDER BY id', [webhookRow()]);
+        const listed = await client.request('GET', '/api/webhooks', { role: 'admin' });
+        assert.equal(listed.body[0].secret, undefined);
+    });
+
+    it('updates only the fields sent, storing events as JSON', async () => {
+        db.respond('UPDATE webhooks', { affectedRows: 1 });
+        db.respond('SELECT * FROM webhooks WHERE id = ?', [webhookRow({ active: 0, events: ['*'] })]);
+
+        const response = await client.request('PATCH', '/api/webhooks/5', { role: 'admin', body: { active: false, events: ['*'] } });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.active, false);
+        assert.equal(response.body.secret, undefined);
+        const [update] = db.queries.filter(query => query.sql.startsWith('UPDATE webhooks'));
+        assert.deepEqual(update.params, [{ events: '["*"]', active: false }, 5]);
+    });
+
+    it('is admin only', async () => {
+        const response = await client.request('GET', '/api/webhooks', { role: 'clerk' });
+        assert.equal(response.status, 403);
+    });
+});
+
+describe('webhook queue', () => {
+    it('queues each change event for the active webhooks subscribed to it', async () => {
+        db.respond('UPDATE categories', { affectedRows: 1 });
+        db.respond('SELECT * FROM categories WHERE id = ?', [{ id: 4, name: 'Software' }]);
+        db.respond('SELECT id, events FROM webhooks WHERE active = TRUE', [
+            { id: 1, events: ['catalogue.changed'] },
+            { id: 2, events: ['book.created'] },
+            { id: 3, events: ['*'] }
+        ]);
+
+        const response = await client.request('PUT', '/api/categories/4', { role: 'clerk', body: { name: 'Software' } });
+        assert.equal(response.status, 200);
+
+        const [queued] = db.queries.filter(query => query.sql.startsWith('INSERT INTO webhook_deliveries'));
+        const rows = queued.params[0];
+        assert.deepEqual(rows.map(row => row[0]), [1, 3]);
+        // One event ID for every subscriber, so receivers can drop duplicates
+        assert.equal(rows[0][1], rows[1][1]);
+        assert.deepEqual(JSON.parse(rows[0][3]).data, { reason: 'categories' });
+    });
+
+    it('answers 404 to a ping for a webhook that does not exist', async () => {
+        db.respond('INSERT INTO webhook_deliveries', { affectedRows: 0 });
+
+        const response = await client.request('POST', '/api/webhooks/7/ping', { role: 'admin' });
+        assert.equal(response.status, 404);
+    });
+});
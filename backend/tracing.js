@@ -0,0 +1,101 @@
+/**
+ * OpenTelemetry tracing
+ * Required first by server.js so the instrumentations can patch http/express,
+ * mysql2, redis and winston before those modules are loaded. Incoming W3C
+ * traceparent headers (sent by the frontend and passed on by nginx) continue
+ * the browser's trace; winston log lines get trace_id and span_id fields.
+ *
+ * Spans are exported over OTLP/HTTP when OTEL_EXPORTER_OTLP_ENDPOINT (or
+ * OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) is set, e.g. http://otel-collector:4318.
+ * Without one they are printed to the console for local runs; in production
+ * they are dropped, but log lines still carry the trace IDs.
+ * OTEL_SDK_DISABLED=true turns tracing off entirely.
+ */
+
+const { trace, SpanStatusCode } = require('@opentelemetry/api');
+const { NodeSDK } = require('@opentelemetry/sdk-node');
+const { BatchSpanProcessor, SimpleSpanProcessor, ConsoleSpanExporter } = require('@opentelemetry/sdk-trace-base');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } = require('@opentelemetry/semantic-conventions');
+const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+const { MySQL2Instrumentation } = require('@opentelemetry/instrumentation-mysql2');
+const { RedisInstrumentation } = require('@opentelemetry/instrumentation-redis');
+const { WinstonInstrumentation } = require('@opentelemetry/instrumentation-winston');
+const { version } = require('./package.json');
+
+// Probes, scrapes and the long-lived event stream would only add noise
+const UNTRACED_PATHS = ['/api/health', '/api/ready', '/api/metrics', '/api/events'];
+
+const tracingConfig = {
+    enabled: process.env.OTEL_SDK_DISABLED !== 'true',
+    serviceName: process.env.OTEL_SERVICE_NAME || 'bookstore-api',
+    otlpEndpoint: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_ENDPOINT
+};
+
+function createSpanProcessors() {
+    if (tracingConfig.otlpEndpoint) {
+        // The exporter reads the endpoint, headers and timeout from the standard OTEL_EXPORTER_OTLP_* variables
+        return [new BatchSpanProcessor(new OTLPTraceExporter())];
+    }
+    if (process.env.NODE_ENV !== 'production') {
+        return [new SimpleSpanProcessor(new ConsoleSpanExporter())];
+    }
+    return [];
+}
+
+let sdk = null;
+
+if (tracingConfig.enabled) {
+    sdk = new NodeSDK({
+        resource: resourceFromAttributes({
+            [ATTR_SERVICE_NAME]: tracingConfig.serviceName,
+            [ATTR_SERVICE_VERSION]: version
+        }),
+        spanProcessors: createSpanProcessors(),
+        instrumentations: [
+            new HttpInstrumentation({
+                ignoreIncomingRequestHook: (req) => UNTRACED_PATHS.includes((req.url || '').split('?')[0])
+            }),
+            new ExpressInstrumentation(),
+            new MySQL2Instrumentation(),
+            // Skip commands outside a request, e.g. the event subscriber and startup checks
+            new RedisInstrumentation({ requireParentSpan: true }),
+            // Only add trace_id/span_id to log lines; logs still go to stdout, not OTLP
+            new WinstonInstrumentation({ disableLogSending: true })
+        ]
+    });
+    sdk.start();
+}
+
+// Flush buffered spans before the process exits
+async function shutdownTracing() {
+    if (sdk) {
+        await sdk.shutdown();
+    }
+}
+
+const tracer = trace.getTracer('bookstore-api');
+
+// Run fn(span) inside a new child span, recording a thrown error on it
+async function withSpan(name, attributes, fn) {
+    return tracer.startActiveSpan(name, { attributes }, async (span) => {
+        try {
+            return await fn(span);
+        } catch (error) {
+            span.recordException(error);
+            span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
+}
+
+module.exports = {
+    tracingConfig,
+    tracer,
+    withSpan,
+    shutdownTracing
+};
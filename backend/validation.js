@@ -0,0 +1,447 @@
+/**
+ * Request schemas and validation
+ * JSON schemas for every request body, query string and path, compiled with
+ * Ajv, plus the helpers that turn a validated book body into columns and
+ * relations. Used by the routes, GraphQL and the catalogue import alike.
+ */
+
+const Ajv = require('ajv');
+const { validateISBN, toISBN13 } = require('./isbn');
+
+// Roles in ascending order of privilege
+const ROLES = ['viewer', 'clerk', 'admin'];
+
+const BOOK_SORT_FIELDS = ['title', 'author', 'isbn', 'price', 'stock', 'created_at', 'updated_at'];
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'cancelled'];
+// Events a webhook can subscribe to: the ones sent on /api/events
+const WEBHOOK_EVENTS = ['book.created', 'book.updated', 'book.deleted', 'book.stock', 'catalogue.changed'];
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'failed'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const bookProperties = {
+    title: {
+        type: 'string', minLength: 1, maxLength: 255, pattern: '\\S',
+        'x-message': 'must be a non-empty string of at most 255 characters'
+    },
+    author: {
+        type: 'string', minLength: 1, maxLength: 255, pattern: '\\S',
+        'x-message': 'must be a non-empty string of at most 255 characters'
+    },
+    isbn: {
+        type: 'string', format: 'isbn', example: '978-0132350884',
+        description: 'ISBN-10 or ISBN-13, hyphens optional. Stored as ISBN-13; the form sent is kept in isbn_display',
+        'x-message': 'must be a valid ISBN-10 or ISBN-13 with a correct check digit'
+    },
+    price: {
+        type: 'number', minimum: 0, maximum: 10000,
+        'x-message': 'must be a number between 0 and 10000'
+    },
+    stock: {
+        type: 'integer', minimum: 0, maximum: 100000,
+        'x-message': 'must be an integer between 0 and 100000'
+    }
+};
+
+// Low-stock settings: a book is low on stock when stock <= reorder_threshold
+const bookReorderProperties = {
+    reorder_threshold: {
+        type: 'integer', minimum: 0, maximum: 100000,
+        description: 'Stock level at or below which the book is low on stock (default 5)',
+        'x-message': 'must be an integer between 0 and 100000'
+    },
+    reorder_quantity: {
+        type: 'integer', minimum: 1, maximum: 100000,
+        description: 'Suggested quantity to reorder, sent with low-stock alerts (default 20)',
+        'x-message': 'must be an integer between 1 and 100000'
+    }
+};
+
+const idProperty = { type: 'integer', minimum: 1, 'x-message': 'must be a positive integer' };
+
+// Letters, digits, spaces and . _ + # - (c++, c#, sci-fi), starting with a letter or digit
+const tagNameProperty = {
+    type: 'string', minLength: 1, maxLength: 50, pattern: '^\\s*[\\p{L}\\p{N}][\\p{L}\\p{N}\\s._+#-]*$',
+    'x-message': 'must be at most 50 letters, digits, spaces or . _ + # - characters, starting with a letter or digit'
+};
+
+// Linked entities, replaced as a whole when present in a book write
+const bookRelationProperties = {
+    authorIds: {
+        type: 'array', items: idProperty, uniqueItems: true, maxItems: 20,
+        description: 'Author IDs in credit order; when author is omitted it is derived from their names',
+        'x-message': 'must be a list of at most 20 distinct author IDs'
+    },
+    categoryIds: {
+        type: 'array', items: idProperty, uniqueItems: true, maxItems: 20,
+        'x-message': 'must be a list of at most 20 distinct category IDs'
+    },
+    tags: {
+        type: 'array', items: tagNameProperty, maxItems: 30,
+        description: 'Tag names; unknown tags are created',
+        'x-message': 'must be a list of at most 30 tag names'
+    }
+};
+
+const bookFilterProperties = {
+    q: { type: 'string', maxLength: 100, description: 'Search term matched against title, author and ISBN' },
+    isbn: { ...bookProperties.isbn, description: 'Exact ISBN match; ISBN-10 and ISBN-13 forms find the same book' },
+    category: { ...idProperty, description: 'Only books in this category ID' },
+    tag: { ...tagNameProperty, description: 'Only books with this tag name' },
+    minPrice: bookProperties.price,
+    maxPrice: bookProperties.price,
+    minStock: bookProperties.stock,
+    maxStock: bookProperties.stock,
+    lowStock: { type: 'boolean', description: 'Only books at or below their reorder threshold' },
+    sort: { type: 'string', enum: BOOK_SORT_FIELDS, default: 'created_at' },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' }
+};
+
+// Every field a book write may send
+const BOOK_WRITE_FIELDS = [
+    ...Object.keys(bookProperties),
+    ...Object.keys(bookReorderProperties),
+    ...Object.keys(bookRelationProperties)
+];
+
+const webhookProperties = {
+    url: {
+        type: 'string', maxLength: 2048, pattern: '^https?://\\S+$',
+        'x-message': 'must be an http or https URL of at most 2048 characters'
+    },
+    events: {
+        type: 'array', minItems: 1, uniqueItems: true,
+        items: { type: 'string', enum: ['*', ...WEBHOOK_EVENTS] },
+        description: 'Event types to receive, or ["*"] for all',
+        'x-message': `must be a non-empty list of distinct event types: *, ${WEBHOOK_EVENTS.join(', ')}`
+    },
+    description: {
+        type: 'string', maxLength: 500,
+        'x-message': 'must be a string of at most 500 characters'
+    },
+    active: { type: 'boolean', description: 'Inactive webhooks keep their queued deliveries until reactivated' },
+    secret: {
+        type: 'string', minLength: 16, maxLength: 255,
+        description: 'HMAC-SHA256 signing secret; generated when omitted on create',
+        'x-message': 'must be 16-255 characters'
+    }
+};
+
+const pageProperties = {
+    page: { type: 'integer', minimum: 1, default: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }
+};
+
+/**
+ * Request schemas, keyed by name. They are registered as OpenAPI components
+ * (referenced from the @swagger route docs) and compiled into the validators
+ * used by the validateRequest() middleware, so docs and checks cannot drift.
+ * The 'x-message' extension holds the human-readable error for a property.
+ */
+const schemas = {
+    BookCreate: {
+        type: 'object',
+        required: ['title', 'isbn'],
+        properties: {
+            ...bookProperties,
+            price: { ...bookProperties.price, default: 0 },
+            stock: { ...bookProperties.stock, default: 0 },
+            ...bookReorderProperties,
+            ...bookRelationProperties
+        },
+        anyOf: [
+            { required: ['author'] },
+            { required: ['authorIds'], properties: { authorIds: { type: 'array', minItems: 1 } } }
+        ],
+        'x-message': 'must include author or a non-empty authorIds'
+    },
+    BookReplace: {
+        type: 'object',
+        required: Object.keys(bookProperties),
+        properties: { ...bookProperties, ...bookReorderProperties, ...bookRelationProperties }
+    },
+    BookPatch: {
+        type: 'object',
+        properties: { ...bookProperties, ...bookReorderProperties, ...bookRelationProperties },
+        anyOf: BOOK_WRITE_FIELDS.map(field => ({ required: [field] })),
+        'x-message': `must include at least one of: ${BOOK_WRITE_FIELDS.join(', ')}`
+    },
+    BookListQuery: {
+        type: 'object',
+        properties: { ...bookFilterProperties, ...pageProperties }
+    },
+    LowStockQuery: {
+        type: 'object',
+        properties: pageProperties
+    },
+    TrashQuery: {
+        type: 'object',
+        properties: { q: bookFilterProperties.q, ...pageProperties }
+    },
+    BookExportQuery: {
+        type: 'object',
+        properties: {
+            ...bookFilterProperties,
+            format: { type: 'string', enum: ['csv', 'json', 'onix'], default: 'csv' }
+        }
+    },
+    BookImportQuery: {
+        type: 'object',
+        properties: {
+            dryRun: { type: 'boolean', default: false },
+            mode: { type: 'string', enum: ['upsert', 'create'], default: 'upsert' }
+        }
+    },
+    HistoryQuery: {
+        type: 'object',
+        properties: {
+            limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 50 }
+        }
+    },
+    IdParams: {
+        type: 'object',
+        required: ['id'],
+        properties: { id: idProperty }
+    },
+    HistoryEntryParams: {
+        type: 'object',
+        required: ['id', 'historyId'],
+        properties: { id: idProperty, historyId: idProperty }
+    },
+    AuthorCreate: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: {
+                type: 'string', minLength: 1, maxLength: 255, pattern: '\\S',
+                'x-message': 'must be a non-empty string of at most 255 characters'
+            }
+        }
+    },
+    CategoryCreate: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: {
+                type: 'string', minLength: 1, maxLength: 100, pattern: '\\S',
+                'x-message': 'must be a non-empty string of at most 100 characters'
+            },
+            description: {
+                type: 'string', maxLength: 500,
+                'x-message': 'must be a string of at most 500 characters'
+            }
+        }
+    },
+    TaxonomyListQuery: {
+        type: 'object',
+        properties: {
+            q: { type: 'string', maxLength: 100, description: 'Name search' }
+        }
+    },
+    LoginRequest: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+            username: { type: 'string', minLength: 1, maxLength: 50 },
+            password: { type: 'string', minLength: 1, maxLength: 128 }
+        }
+    },
+    UserCreate: {
+        type: 'object',
+        required: ['username', 'password', 'role'],
+        properties: {
+            username: {
+                type: 'string', pattern: '^[a-zA-Z0-9._-]{3,50}$',
+                'x-message': 'must be 3-50 letters, digits, dots, dashes or underscores'
+            },
+            password: {
+                type: 'string', minLength: 8, maxLength: 128,
+                'x-message': 'must be 8-128 characters'
+            },
+            role: { type: 'string', enum: ROLES }
+        }
+    },
+    OrderCreate: {
+        type: 'object',
+        required: ['items'],
+        properties: {
+            items: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 50,
+                'x-message': 'must be a non-empty array of at most 50 entries',
+                items: {
+                    type: 'object',
+                    required: ['bookId', 'quantity'],
+                    properties: {
+                        bookId: idProperty,
+                        quantity: {
+                            type: 'integer', minimum: 1, maximum: 1000,
+                            'x-message': 'must be an integer between 1 and 1000'
+                        }
+                    }
+                }
+            }
+        }
+    },
+    WebhookCreate: {
+        type: 'object',
+        required: ['url', 'events'],
+        properties: { ...webhookProperties, active: { ...webhookProperties.active, default: true } }
+    },
+    WebhookPatch: {
+        type: 'object',
+        properties: webhookProperties,
+        anyOf: Object.keys(webhookProperties).map(field => ({ required: [field] })),
+        'x-message': `must include at least one of: ${Object.keys(webhookProperties).join(', ')}`
+    },
+    WebhookDeliveryQuery: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES },
+            ...pageProperties
+        }
+    },
+    WebhookDeliveryParams: {
+        type: 'object',
+        required: ['id', 'deliveryId'],
+        properties: { id: idProperty, deliveryId: idProperty }
+    },
+    OrderListQuery: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ORDER_STATUSES },
+            ...pageProperties
+        }
+    },
+    OrderStatusUpdate: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+            status: { type: 'string', enum: ORDER_STATUSES }
+        }
+    }
+};
+
+// Defaults fill omitted fields. Query strings and path params arrive as strings, so their
+// types are coerced; JSON bodies carry their own, so { "stock": true } is rejected, not stored as 1
+function createAjv(options) {
+    const ajv = new Ajv({ allErrors: true, useDefaults: true, verbose: true, ...options });
+    ajv.addKeyword('example');
+    ajv.addKeyword('x-message');
+    ajv.addFormat('isbn', validateISBN);
+    return ajv;
+}
+
+const ajv = createAjv({ coerceTypes: true });
+const strictAjv = createAjv({ coerceTypes: false });
+
+// Validators for query strings and path params
+const validators = Object.fromEntries(
+    Object.entries(schemas).map(([name, schema]) => [name, ajv.compile(schema)])
+);
+// Validators for JSON request bodies
+const bodyValidators = Object.fromEntries(
+    Object.entries(schemas).map(([name, schema]) => [name, strictAjv.compile(schema)])
+);
+
+// BookCreate without its price and stock defaults: a blank cell in an imported row that
+// matches an existing book must leave that column alone, not set it to 0. Coerced, since
+// every CSV cell is a string
+const validateImportBook = ajv.compile({
+    ...schemas.BookCreate,
+    properties: { ...schemas.BookCreate.properties, price: bookProperties.price, stock: bookProperties.stock }
+});
+
+// Turn Ajv errors into [{ location, field, rule, message }] for the error envelope
+function formatSchemaErrors(errors, location) {
+    // anyOf reports every failing branch too; keep only its own summary message
+    const anyOfPaths = errors.filter(error => error.keyword === 'anyOf').map(error => error.schemaPath);
+    const seen = new Set();
+
+    return errors
+        .filter(error => !anyOfPaths.some(path => error.schemaPath !== path && error.schemaPath.startsWith(path)))
+        .map(error => {
+            const path = error.instancePath.slice(1).replace(/\//g, '.');
+            const isRequired = error.keyword === 'required';
+
+            return {
+                location,
+                field: isRequired ? [path, error.params.missingProperty].filter(Boolean).join('.') : path,
+                rule: error.keyword,
+                message: isRequired ? 'is required' : (error.parentSchema['x-message'] || error.message)
+            };
+        })
+        .filter(detail => {
+            // Several keywords sharing one x-message (e.g. minLength + pattern) collapse into one entry
+            const key = `${detail.field}\0${detail.message}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// Copy the book columns present in a validated body, converting the ISBN to
+// its canonical ISBN-13 and keeping the submitted form for display
+function pickBookFields(body) {
+    const changes = {};
+    for (const field of [...Object.keys(bookProperties), ...Object.keys(bookReorderProperties)]) {
+        if (body[field] !== undefined) changes[field] = body[field];
+    }
+    if (changes.isbn !== undefined) {
+        changes.isbn_display = changes.isbn.trim();
+        changes.isbn = toISBN13(changes.isbn);
+    }
+    return changes;
+}
+
+// The authorIds/categoryIds/tags present in a validated body
+function pickBookRelations(body) {
+    const relations = {};
+    for (const field of Object.keys(bookRelationProperties)) {
+        if (body[field] !== undefined) relations[field] = body[field];
+    }
+    return relations;
+}
+
+function normalizeTagName(name) {
+    return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Validate one imported record against the BookCreate schema used by POST /api/books.
+// Missing price and stock are not defaulted: new books get the column defaults on insert
+function validateImportRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { errors: [{ location: 'row', field: '', rule: 'type', message: 'must be an object with title, author, isbn, price and stock' }] };
+    }
+
+    // Only the book columns are imported, so exported files (with id, timestamps) can be re-imported
+    const book = {};
+    for (const field of [...Object.keys(bookProperties), ...Object.keys(bookReorderProperties)]) {
+        const value = typeof record[field] === 'string' ? record[field].trim() : record[field];
+        if (value !== undefined && value !== null && value !== '') book[field] = value;
+    }
+
+    if (!validateImportBook(book)) {
+        return { errors: formatSchemaErrors(validateImportBook.errors, 'row'), book };
+    }
+    return { errors: [], book: pickBookFields(book) };
+}
+
+module.exports = {
+    ROLES,
+    BOOK_SORT_FIELDS,
+    ORDER_STATUSES,
+    WEBHOOK_EVENTS,
+    WEBHOOK_DELIVERY_STATUSES,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    schemas,
+    validators,
+    bodyValidators,
+    formatSchemaErrors,
+    pickBookFields,
+    pickBookRelations,
+    normalizeTagName,
+    validateImportRecord
+};
@@ -9,25 +9,267 @@ const editModal = document.getElementById('editModal');
 const searchInput = document.getElementById('searchInput');
 const connectionStatus = document.getElementById('connectionStatus');
 const bookCount = document.getElementById('bookCount');
+const sortSelect = document.getElementById('sortSelect');
+const prevPageButton = document.getElementById('prevPage');
+const nextPageButton = document.getElementById('nextPage');
+const pageInfo = document.getElementById('pageInfo');
+const loginModal = document.getElementById('loginModal');
+const loginForm = document.getElementById('loginForm');
+const loginError = document.getElementById('loginError');
+const userInfo = document.getElementById('userInfo');
+const userName = document.getElementById('userName');
+const addBookSection = document.getElementById('addBookSection');
+const historyList = document.getElementById('historyList');
+const conflictDialog = document.getElementById('conflictDialog');
+const conflictDetails = document.getElementById('conflictDetails');
+const catalogueTools = document.getElementById('catalogueTools');
+const importFile = document.getElementById('importFile');
+const categoryFilter = document.getElementById('categoryFilter');
+const tagFilter = document.getElementById('tagFilter');
+const lowStockFilter = document.getElementById('lowStockFilter');
+const trashSection = document.getElementById('trashSection');
+const trashList = document.getElementById('trashList');
+const trashInfo = document.getElementById('trashInfo');
+
+// Authentication state (token kept for the browser session only)
+const ROLES = ['viewer', 'clerk', 'admin'];
+const auth = {
+    token: sessionStorage.getItem('authToken'),
+    user: JSON.parse(sessionStorage.getItem('authUser') || 'null')
+};
+
+// List state (sent to the server as query parameters)
+const PAGE_SIZE = 12;
+const listState = {
+    q: '',
+    category: '',
+    tag: '',
+    lowStock: false,
+    sort: 'created_at',
+    order: 'desc',
+    page: 1,
+    totalPages: 0,
+    total: 0
+};
+let searchTimer;
+
+// Authors, categories and tags offered by the pickers and filters
+const catalogue = {
+    authors: [],
+    categories: [],
+    tags: []
+};
+
+// Live updates stream (see connectLiveUpdates)
+const liveUpdates = {
+    controller: null,
+    retryTimer: null,
+    connected: false
+};
+
+// Book loaded into the edit modal: sent fields are diffed against it, its ETag goes in If-Match
+const editState = {
+    original: null,
+    etag: null,
+    pendingChanges: null
+};
+
+// Deleted books go to the trash: the toast offers an undo, the trash view lists the most recent ones
+const UNDO_TIMEOUT_MS = 8000;
+const TRASH_PAGE_SIZE = 50;
+
+// Idempotency keys of the mutations in flight, by request (see sendMutation)
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const MUTATION_ATTEMPTS = 3;
+const inFlightMutations = new Map();
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
-    loadBooks();
     setupEventListeners();
     checkConnection();
+
+    if (auth.token) {
+        showApp();
+    } else {
+        showLogin();
+    }
 });
 
 // Event Listeners
 function setupEventListeners() {
+    loginForm.addEventListener('submit', handleLogin);
+    document.getElementById('logoutButton').addEventListener('click', logout);
     addBookForm.addEventListener('submit', handleAddBook);
     editBookForm.addEventListener('submit', handleEditBook);
+    document.getElementById('conflictOverwrite').addEventListener('click', overwriteConflict);
+    document.getElementById('conflictReload').addEventListener('click', () => openEditModal(editState.original.id));
     searchInput.addEventListener('input', handleSearch);
+    sortSelect.addEventListener('change', handleSortChange);
+    categoryFilter.addEventListener('change', () => setFilter('category', categoryFilter.value));
+    tagFilter.addEventListener('change', () => setFilter('tag', tagFilter.value));
+    lowStockFilter.addEventListener('change', () => {
+        listState.lowStock = lowStockFilter.checked;
+        listState.page = 1;
+        loadBooks();
+    });
+    document.querySelectorAll('[data-create]').forEach(button => {
+        button.addEventListener('click', () => createCatalogueEntry(button.dataset.create, button.previousElementSibling));
+    });
+    document.getElementById('exportCsvButton').addEventListener('click', () => exportBooks('csv'));
+    document.getElementById('exportJsonButton').addEventListener('click', () => exportBooks('json'));
+    document.getElementById('importButton').addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', handleImport);
+    document.getElementById('trashButton').addEventListener('click', toggleTrash);
+    prevPageButton.addEventListener('click', () => goToPage(listState.page - 1));
+    nextPageButton.addEventListener('click', () => goToPage(listState.page + 1));
+    booksContainer.addEventListener('click', (e) => {
+        const chip = e.target.closest('.tag-chip');
+        if (chip) setFilter('tag', chip.dataset.tag);
+    });
     document.querySelector('.close').addEventListener('click', closeModal);
     window.addEventListener('click', (e) => {
         if (e.target === editModal) closeModal();
     });
 }
 
+// Role helper (roles are hierarchical: viewer < clerk < admin)
+function hasRole(role) {
+    return auth.user !== null && ROLES.indexOf(auth.user.role) >= ROLES.indexOf(role);
+}
+
+// Fetch wrapper that sends the bearer token and returns to the login screen on 401
+async function apiFetch(path, options = {}) {
+    const headers = { traceparent: createTraceparent(), ...(options.headers || {}) };
+    if (auth.token) headers.Authorization = `Bearer ${auth.token}`;
+
+    const method = (options.method || 'GET').toUpperCase();
+    const response = MUTATING_METHODS.includes(method)
+        ? await sendMutation(path, { ...options, method, headers })
+        : await fetch(`${API_URL}${path}`, { ...options, headers });
+    if (response.status === 401) {
+        logout();
+        throw new Error('Session expired');
+    }
+    return response;
+}
+
+// Mutations carry an Idempotency-Key. While one is in flight, an identical request
+// (a double submit) reuses its key, and so does resending after a network error:
+// the server then answers with the first request's response instead of repeating it
+async function sendMutation(path, options) {
+    const body = options.body instanceof Blob
+        ? `${options.body.name}:${options.body.size}:${options.body.lastModified}`
+        : options.body || '';
+    const request = [options.method, path, options.headers['If-Match'] || '', body].join('\n');
+    const mutation = inFlightMutations.get(request) || { key: randomHex(16), pending: 0 };
+    mutation.pending++;
+    inFlightMutations.set(request, mutation);
+
+    const send = () => fetch(`${API_URL}${path}`, {
+        ...options,
+        headers: { ...options.headers, 'Idempotency-Key': mutation.key }
+    });
+
+    try {
+        for (let attempt = 1; ; attempt++) {
+            let response;
+            try {
+                response = await send();
+            } catch (error) {
+                if (attempt >= MUTATION_ATTEMPTS) throw error;
+                await delay(attempt * 1000);
+                continue;
+            }
+
+            // The first request with this key has not finished yet: wait for its response
+            if (response.status === 409 && attempt < MUTATION_ATTEMPTS
+                && (await response.clone().json()).code === 'IDEMPOTENCY_KEY_IN_PROGRESS') {
+                await delay((parseInt(response.headers.get('Retry-After')) || 1) * 1000);
+                continue;
+            }
+            return response;
+        }
+    } finally {
+        if (--mutation.pending === 0) inFlightMutations.delete(request);
+    }
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function randomHex(bytes) {
+    return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// W3C trace context for one request: the backend's spans join this new, sampled trace,
+// so a slow action in the browser can be looked up by the trace ID in the request headers
+function createTraceparent() {
+    return `00-${randomHex(16)}-${randomHex(8)}-01`;
+}
+
+// Login
+async function handleLogin(e) {
+    e.preventDefault();
+    loginError.hidden = true;
+
+    try {
+        const response = await fetch(`${API_URL}/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('loginUsername').value,
+                password: document.getElementById('loginPassword').value
+            })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Login failed');
+        }
+
+        auth.token = result.token;
+        auth.user = result.user;
+        sessionStorage.setItem('authToken', auth.token);
+        sessionStorage.setItem('authUser', JSON.stringify(auth.user));
+
+        loginForm.reset();
+        showApp();
+    } catch (error) {
+        loginError.textContent = error.message;
+        loginError.hidden = false;
+    }
+}
+
+// Logout
+function logout() {
+    auth.token = null;
+    auth.user = null;
+    sessionStorage.removeItem('authToken');
+    sessionStorage.removeItem('authUser');
+    disconnectLiveUpdates();
+    showLogin();
+}
+
+function showLogin() {
+    userInfo.hidden = true;
+    booksContainer.innerHTML = '';
+    closeModal();
+    loginModal.classList.add('show');
+}
+
+function showApp() {
+    loginModal.classList.remove('show');
+    userName.textContent = `👤 ${auth.user.username} (${auth.user.role})`;
+    userInfo.hidden = false;
+    addBookSection.hidden = !hasRole('clerk');
+    catalogueTools.hidden = !hasRole('clerk');
+    trashSection.hidden = true;
+    loadCatalogue();
+    loadBooks();
+    connectLiveUpdates();
+}
+
 // Check API Connection
 async function checkConnection() {
     try {
@@ -44,44 +286,323 @@ async function checkConnection() {
     }
 }
 
+// Build the query string for the current list state
+function buildListQuery() {
+    const params = new URLSearchParams({
+        sort: listState.sort,
+        order: listState.order,
+        page: listState.page,
+        limit: PAGE_SIZE
+    });
+    if (listState.q) params.set('q', listState.q);
+    if (listState.category) params.set('category', listState.category);
+    if (listState.tag) params.set('tag', listState.tag);
+    if (listState.lowStock) params.set('lowStock', 'true');
+    return params.toString();
+}
+
 // Load Books
 async function loadBooks() {
     booksContainer.innerHTML = '<div class="loading">Loading books...</div>';
 
     try {
-        const response = await fetch(`${API_URL}/books`);
-        const books = await response.json();
+        const response = await apiFetch(`/books?${buildListQuery()}`);
+        if (!response.ok) throw new Error('Failed to load books');
+        const { data: books, pagination } = await response.json();
+
+        // The current page can disappear after a delete; step back to the last one
+        if (books.length === 0 && pagination.page > 1 && pagination.totalPages > 0) {
+            listState.page = pagination.totalPages;
+            return loadBooks();
+        }
 
         if (books.length === 0) {
-            booksContainer.innerHTML = '<div class="no-books">📚 No books in inventory. Add your first book!</div>';
+            booksContainer.innerHTML = isFiltered()
+                ? '<div class="no-books">🔍 No books found matching your search.</div>'
+                : '<div class="no-books">📚 No books in inventory. Add your first book!</div>';
         } else {
             displayBooks(books);
         }
 
-        bookCount.textContent = `${books.length} book${books.length !== 1 ? 's' : ''}`;
+        listState.totalPages = pagination.totalPages;
+        updatePagination(pagination);
+        updateBookCount(pagination.total);
     } catch (error) {
         console.error('Error loading books:', error);
         booksContainer.innerHTML = '<div class="no-books">❌ Error loading books. Check backend connection.</div>';
     }
 }
 
+function isFiltered() {
+    return Boolean(listState.q || listState.category || listState.tag || listState.lowStock);
+}
+
+function updateBookCount(total) {
+    listState.total = total;
+    bookCount.textContent = `${total} book${total !== 1 ? 's' : ''}${isFiltered() ? ' found' : ''}`;
+}
+
+// Update Pagination Controls
+function updatePagination(pagination) {
+    prevPageButton.disabled = pagination.page <= 1;
+    nextPageButton.disabled = pagination.page >= pagination.totalPages;
+    pageInfo.textContent = pagination.totalPages > 0
+        ? `Page ${pagination.page} of ${pagination.totalPages}`
+        : '';
+}
+
+function goToPage(page) {
+    if (page < 1 || (listState.totalPages && page > listState.totalPages)) return;
+    listState.page = page;
+    loadBooks();
+}
+
 // Display Books
 function displayBooks(books) {
-    booksContainer.innerHTML = books.map(book => `
-        <div class="book-card" data-id="${book.id}">
+    booksContainer.innerHTML = books.map(renderBookCard).join('');
+}
+
+// Low on stock once stock drops to the book's reorder threshold
+function isLowStock(stock, reorderThreshold) {
+    return stock <= reorderThreshold;
+}
+
+function renderBookCard(book) {
+    return `
+        <div class="book-card" data-id="${book.id}" data-reorder-threshold="${book.reorder_threshold}">
+            <span class="low-stock-badge" ${isLowStock(book.stock, book.reorder_threshold) ? '' : 'hidden'}>⚠️ Low stock</span>
             <h3>${escapeHtml(book.title)}</h3>
             <p class="author">by ${escapeHtml(book.author)}</p>
-            <p class="isbn">ISBN: ${escapeHtml(book.isbn)}</p>
+            <p class="isbn">ISBN: ${escapeHtml(book.isbn_display || book.isbn)}</p>
+            <div class="labels">
+                ${(book.categories || []).map(category => `<span class="category-badge">${escapeHtml(category.name)}</span>`).join('')}
+                ${(book.tags || []).map(tag => `<button class="tag-chip" data-tag="${escapeHtml(tag.name)}">#${escapeHtml(tag.name)}</button>`).join('')}
+            </div>
             <div class="details">
                 <span class="price">$${parseFloat(book.price).toFixed(2)}</span>
                 <span class="stock">Stock: ${book.stock}</span>
             </div>
             <div class="actions">
-                <button class="btn btn-edit" onclick="openEditModal(${book.id})">✏️ Edit</button>
-                <button class="btn btn-danger" onclick="deleteBook(${book.id})">🗑️ Delete</button>
+                ${hasRole('clerk') ? `<button class="btn btn-edit" onclick="openEditModal(${book.id})">✏️ Edit</button>` : ''}
+                ${hasRole('admin') ? `<button class="btn btn-danger" onclick="deleteBook(${book.id})">🗑️ Delete</button>` : ''}
             </div>
         </div>
-    `).join('');
+    `;
+}
+
+// Live updates: changes made by any user arrive over /api/events (Server-Sent Events).
+// Read with fetch() rather than EventSource so the token goes in a header, not the URL
+async function connectLiveUpdates() {
+    disconnectLiveUpdates();
+    const controller = new AbortController();
+    liveUpdates.controller = controller;
+
+    try {
+        const response = await apiFetch('/events', {
+            headers: { Accept: 'text/event-stream' },
+            signal: controller.signal
+        });
+        if (!response.ok) throw new Error(`Event stream returned ${response.status}`);
+
+        // Events sent while disconnected are lost, so resync the page after a reconnect
+        if (liveUpdates.connected) loadBooks();
+        liveUpdates.connected = true;
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += value;
+            const frames = buffer.split('\n\n');
+            buffer = frames.pop();
+            frames.forEach(handleEventFrame);
+        }
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        console.warn('Live updates disconnected:', error.message);
+    }
+
+    if (!controller.signal.aborted && auth.token) {
+        liveUpdates.retryTimer = setTimeout(connectLiveUpdates, 5000);
+    }
+}
+
+function disconnectLiveUpdates() {
+    clearTimeout(liveUpdates.retryTimer);
+    if (liveUpdates.controller) liveUpdates.controller.abort();
+    liveUpdates.controller = null;
+    liveUpdates.connected = false;
+}
+
+// One "event: ...\ndata: ..." frame; comment lines (heartbeats) and retry hints are skipped
+function handleEventFrame(frame) {
+    let type = 'message';
+    const data = [];
+    for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    }
+    if (data.length === 0) return;
+
+    try {
+        const handler = liveEventHandlers[type];
+        if (handler) handler(JSON.parse(data.join('\n')));
+    } catch (error) {
+        console.error('Error applying live update:', error);
+    }
+}
+
+// Card for a book on the current page, if it is shown
+function findCard(id) {
+    return booksContainer.querySelector(`.book-card[data-id="${id}"]`);
+}
+
+function flashCard(card) {
+    card.classList.remove('live-updated');
+    void card.offsetWidth; // restart the animation
+    card.classList.add('live-updated');
+}
+
+// Patch the visible page in place instead of reloading it
+const liveEventHandlers = {
+    'book.created': ({ book }) => {
+        // Only the unfiltered, newest-first first page is known to gain the book at the top
+        const showsNewest = listState.page === 1 && listState.sort === 'created_at' && listState.order === 'desc';
+        if (isFiltered() || !showsNewest || findCard(book.id)) return;
+
+        booksContainer.querySelector('.no-books')?.remove();
+        booksContainer.insertAdjacentHTML('afterbegin', renderBookCard(book));
+        const cards = booksContainer.querySelectorAll('.book-card');
+        if (cards.length > PAGE_SIZE) cards[cards.length - 1].remove();
+        flashCard(findCard(book.id));
+        updateBookCount(listState.total + 1);
+        refreshTrash();
+    },
+
+    'book.updated': ({ book }) => {
+        const card = findCard(book.id);
+        if (!card) return;
+        card.outerHTML = renderBookCard(book);
+        flashCard(findCard(book.id));
+    },
+
+    'book.stock': ({ books }) => {
+        for (const book of books) {
+            const card = findCard(book.id);
+            if (!card) continue;
+            card.querySelector('.stock').textContent = `Stock: ${book.stock}`;
+            card.querySelector('.low-stock-badge').hidden = !isLowStock(book.stock, Number(card.dataset.reorderThreshold));
+            flashCard(card);
+        }
+    },
+
+    'book.deleted': ({ id }) => {
+        refreshTrash();
+        const card = findCard(id);
+        if (!card) return;
+        card.remove();
+        updateBookCount(listState.total - 1);
+        // Pull the next book up into the page (or step back if it is now empty)
+        if (listState.page < listState.totalPages || !booksContainer.querySelector('.book-card')) loadBooks();
+    },
+
+    'catalogue.changed': () => {
+        loadCatalogue();
+        loadBooks();
+    }
+};
+
+// Authors, categories and tags for the pickers and filters
+async function loadCatalogue() {
+    try {
+        const [authors, categories, tags] = await Promise.all(
+            ['/authors', '/categories', '/tags'].map(async path => (await apiFetch(path)).json())
+        );
+        Object.assign(catalogue, { authors, categories, tags });
+
+        document.querySelectorAll('.author-picker').forEach(select => fillPicker(select, authors, author => author.id));
+        document.querySelectorAll('.category-picker').forEach(select => fillPicker(select, categories, category => category.id));
+        document.querySelectorAll('.tag-picker').forEach(select => fillPicker(select, tags, tag => tag.name));
+        fillPicker(categoryFilter, categories, category => category.id, [listState.category], 'All categories');
+        fillPicker(tagFilter, tags, tag => tag.name, [listState.tag], 'All tags');
+    } catch (error) {
+        console.error('Error loading catalogue:', error);
+    }
+}
+
+// Replace a select's options, keeping the current selection (or the given one)
+function fillPicker(select, items, valueOf, selected = selectedValues(select), emptyLabel = null) {
+    const options = items.map(item => {
+        const value = String(valueOf(item));
+        return `<option value="${escapeHtml(value)}" ${selected.includes(value) ? 'selected' : ''}>${escapeHtml(item.name)}</option>`;
+    });
+    if (emptyLabel) options.unshift(`<option value="">${emptyLabel}</option>`);
+    select.innerHTML = options.join('');
+}
+
+function selectedValues(select) {
+    return Array.from(select.selectedOptions).map(option => option.value);
+}
+
+function selectValues(select, values) {
+    const wanted = values.map(String);
+    Array.from(select.options).forEach(option => {
+        option.selected = wanted.includes(option.value);
+    });
+}
+
+// The authorIds/categoryIds/tags picked in the add or edit form
+function readPickers(prefix) {
+    const picker = name => document.getElementById(prefix ? prefix + name.charAt(0).toUpperCase() + name.slice(1) : name);
+    return {
+        authorIds: selectedValues(picker('authorIds')).map(Number),
+        categoryIds: selectedValues(picker('categoryIds')).map(Number),
+        tags: selectedValues(picker('tags'))
+    };
+}
+
+// "+ New ..." next to a picker: authors and categories are created right away,
+// tags are created by the server when a book using them is saved
+async function createCatalogueEntry(kind, select) {
+    const label = { authors: 'author', categories: 'category', tags: 'tag' }[kind];
+    const name = (prompt(`New ${label} name:`) || '').trim();
+    if (!name) return;
+
+    if (kind === 'tags') {
+        const value = name.toLowerCase();
+        if (!Array.from(select.options).some(option => option.value === value)) {
+            select.add(new Option(value, value));
+        }
+        selectValues(select, [...selectedValues(select), value]);
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`/${kind}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+
+        const picked = [...selectedValues(select), String(result.id)];
+        await loadCatalogue();
+        selectValues(select, picked);
+        showNotification(`${label.charAt(0).toUpperCase() + label.slice(1)} created`, 'success');
+    } catch (error) {
+        console.error(`Error creating ${label}:`, error);
+        showNotification(error.message || `Error creating ${label}`, 'error');
+    }
+}
+
+// Apply a category or tag filter (from the filter selects or a tag chip)
+function setFilter(name, value) {
+    listState[name] = value;
+    listState.page = 1;
+    (name === 'category' ? categoryFilter : tagFilter).value = value;
+    loadBooks();
 }
 
 // Add Book
@@ -90,14 +611,22 @@ async function handleAddBook(e) {
 
     const book = {
         title: document.getElementById('title').value,
-        author: document.getElementById('author').value,
         isbn: document.getElementById('isbn').value,
         price: parseFloat(document.getElementById('price').value),
-        stock: parseInt(document.getElementById('stock').value)
+        stock: parseInt(document.getElementById('stock').value),
+        ...readPickers('')
     };
+    // Without a credit line the server derives one from the picked authors
+    const author = document.getElementById('author').value.trim();
+    if (author) book.author = author;
+    // Left empty, the reorder settings keep the server defaults
+    for (const field of ['reorder_threshold', 'reorder_quantity']) {
+        const value = document.getElementById(field).value;
+        if (value !== '') book[field] = parseInt(value);
+    }
 
     try {
-        const response = await fetch(`${API_URL}/books`, {
+        const response = await apiFetch('/books', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(book)
@@ -105,8 +634,14 @@ async function handleAddBook(e) {
 
         if (response.ok) {
             addBookForm.reset();
+            clearFieldErrors(addBookForm);
+            loadCatalogue();
             loadBooks();
             showNotification('Book added successfully!', 'success');
+        } else if (response.status === 400) {
+            const result = await response.json();
+            showFieldErrors(addBookForm, result.details, '');
+            showNotification('Please fix the highlighted fields', 'error');
         } else {
             throw new Error('Failed to add book');
         }
@@ -116,55 +651,194 @@ async function handleAddBook(e) {
     }
 }
 
+// Highlight the inputs named in a VALIDATION_FAILED response; inputs are
+// found by field name, e.g. 'price' -> #price or, with prefix 'edit', #editPrice
+function showFieldErrors(form, details = [], prefix) {
+    clearFieldErrors(form);
+    for (const detail of details) {
+        if (detail.location !== 'body' || !detail.field) continue;
+        const id = prefix ? prefix + detail.field.charAt(0).toUpperCase() + detail.field.slice(1) : detail.field;
+        const input = form.querySelector(`#${id}`);
+        if (input) {
+            input.classList.add('input-error');
+            input.title = detail.message;
+        }
+    }
+}
+
+function clearFieldErrors(form) {
+    form.querySelectorAll('.input-error').forEach(input => {
+        input.classList.remove('input-error');
+        input.removeAttribute('title');
+    });
+}
+
 // Open Edit Modal
 async function openEditModal(id) {
     try {
-        const response = await fetch(`${API_URL}/books/${id}`);
+        const response = await apiFetch(`/books/${id}`);
         const book = await response.json();
 
+        editState.original = book;
+        editState.etag = response.headers.get('ETag');
+        editState.pendingChanges = null;
+        conflictDialog.hidden = true;
+        clearFieldErrors(document.getElementById('editBookForm'));
+
         document.getElementById('editId').value = book.id;
         document.getElementById('editTitle').value = book.title;
         document.getElementById('editAuthor').value = book.author;
-        document.getElementById('editIsbn').value = book.isbn;
+        document.getElementById('editIsbn').value = book.isbn_display || book.isbn;
         document.getElementById('editPrice').value = book.price;
         document.getElementById('editStock').value = book.stock;
+        document.getElementById('editReorder_threshold').value = book.reorder_threshold;
+        document.getElementById('editReorder_quantity').value = book.reorder_quantity;
+        selectValues(document.getElementById('editAuthorIds'), book.authors.map(author => author.id));
+        selectValues(document.getElementById('editCategoryIds'), book.categories.map(category => category.id));
+        selectValues(document.getElementById('editTags'), book.tags.map(tag => tag.name));
 
         editModal.classList.add('show');
+        loadHistory(id);
     } catch (error) {
         console.error('Error loading book:', error);
         showNotification('Error loading book details', 'error');
     }
 }
 
+// Load Book History into the edit modal
+async function loadHistory(id) {
+    historyList.innerHTML = '<li class="meta">Loading history...</li>';
+
+    try {
+        const response = await apiFetch(`/books/${id}/history`);
+        if (response.status === 404) {
+            historyList.innerHTML = '<li class="meta">No recorded changes yet.</li>';
+            return;
+        }
+        if (!response.ok) throw new Error('Failed to load history');
+
+        const entries = await response.json();
+        historyList.innerHTML = entries.map(entry => `
+            <li>
+                <div>
+                    <strong>${escapeHtml(entry.action)}</strong>
+                    ${escapeHtml(describeChanges(entry))}
+                    <div class="meta">
+                        ${new Date(entry.createdAt).toLocaleString()}
+                        by ${escapeHtml(entry.user ? entry.user.username : 'system')}
+                    </div>
+                </div>
+                <button class="btn btn-edit" onclick="restoreVersion(${entry.bookId}, ${entry.id})">↩️ Restore</button>
+            </li>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading history:', error);
+        historyList.innerHTML = '<li class="meta">❌ Could not load history.</li>';
+    }
+}
+
+function describeChanges(entry) {
+    if (entry.changes.length === 0) return '';
+    return entry.changes
+        .map(field => `${field}: ${entry.before[field]} → ${entry.after[field]}`)
+        .join(', ');
+}
+
+// Restore a previous version from history
+async function restoreVersion(bookId, historyId) {
+    if (!confirm('Restore this version of the book?')) return;
+
+    try {
+        const response = await apiFetch(`/books/${bookId}/history/${historyId}/restore`, {
+            method: 'POST'
+        });
+
+        if (response.ok) {
+            showNotification('Version restored successfully!', 'success');
+            loadBooks();
+            openEditModal(bookId);
+        } else {
+            throw new Error('Failed to restore version');
+        }
+    } catch (error) {
+        console.error('Error restoring version:', error);
+        showNotification('Error restoring version', 'error');
+    }
+}
+
 // Close Modal
 function closeModal() {
     editModal.classList.remove('show');
 }
 
-// Edit Book
+// A book's fields as the edit form shows them. The ISBN is compared as entered rather
+// than as the canonical ISBN-13, and relations as lists of ids (tags by name)
+function toEditableFields(book) {
+    return {
+        ...book,
+        isbn: book.isbn_display || book.isbn,
+        authorIds: (book.authors || []).map(author => author.id),
+        categoryIds: (book.categories || []).map(category => category.id),
+        tags: (book.tags || []).map(tag => tag.name)
+    };
+}
+
+// Edit Book (PATCH only the fields that changed)
 async function handleEditBook(e) {
     e.preventDefault();
 
-    const id = document.getElementById('editId').value;
-    const book = {
+    const edited = {
         title: document.getElementById('editTitle').value,
         author: document.getElementById('editAuthor').value,
         isbn: document.getElementById('editIsbn').value,
         price: parseFloat(document.getElementById('editPrice').value),
-        stock: parseInt(document.getElementById('editStock').value)
+        stock: parseInt(document.getElementById('editStock').value),
+        reorder_threshold: parseInt(document.getElementById('editReorder_threshold').value),
+        reorder_quantity: parseInt(document.getElementById('editReorder_quantity').value),
+        ...readPickers('edit')
     };
+    const original = toEditableFields(editState.original);
+    const changes = {};
+    for (const [field, value] of Object.entries(edited)) {
+        if (String(value) !== String(original[field]) && !(field === 'price' && value === parseFloat(original.price))) {
+            changes[field] = value;
+        }
+    }
+
+    if (Object.keys(changes).length === 0) {
+        closeModal();
+        showNotification('No changes to save', 'success');
+        return;
+    }
+
+    await saveBookChanges(original.id, changes, editState.etag);
+}
 
+async function saveBookChanges(id, changes, etag) {
     try {
-        const response = await fetch(`${API_URL}/books/${id}`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(book)
+        const headers = { 'Content-Type': 'application/json' };
+        if (etag) headers['If-Match'] = etag;
+
+        const response = await apiFetch(`/books/${id}`, {
+            method: 'PATCH',
+            headers,
+            body: JSON.stringify(changes)
         });
 
+        if (response.status === 412) {
+            const { current } = await response.json();
+            showConflict(changes, current, response.headers.get('ETag'));
+            return;
+        }
+
         if (response.ok) {
             closeModal();
             loadBooks();
             showNotification('Book updated successfully!', 'success');
+        } else if (response.status === 400) {
+            const result = await response.json();
+            showFieldErrors(document.getElementById('editBookForm'), result.details, 'edit');
+            showNotification('Please fix the highlighted fields', 'error');
         } else {
             throw new Error('Failed to update book');
         }
@@ -174,18 +848,35 @@ async function handleEditBook(e) {
     }
 }
 
-// Delete Book
-async function deleteBook(id) {
-    if (!confirm('Are you sure you want to delete this book?')) return;
+// Someone else saved the book since it was opened: let the user overwrite or reload
+function showConflict(changes, current, etag) {
+    editState.pendingChanges = changes;
+    editState.etag = etag;
+    editState.original = current;
+
+    const fields = toEditableFields(current);
+    conflictDetails.textContent = Object.keys(changes)
+        .map(field => `${field}: now "${fields[field]}", yours "${changes[field]}"`)
+        .join(' · ');
+    conflictDialog.hidden = false;
+}
 
+function overwriteConflict() {
+    conflictDialog.hidden = true;
+    saveBookChanges(editState.original.id, editState.pendingChanges, editState.etag);
+}
+
+// Delete Book (moves it to the trash; the toast offers an undo)
+async function deleteBook(id) {
     try {
-        const response = await fetch(`${API_URL}/books/${id}`, {
+        const response = await apiFetch(`/books/${id}`, {
             method: 'DELETE'
         });
 
         if (response.ok) {
+            const book = await response.json();
             loadBooks();
-            showNotification('Book deleted successfully!', 'success');
+            showUndoToast(`"${book.title}" moved to the trash`, () => restoreBook(id));
         } else {
             throw new Error('Failed to delete book');
         }
@@ -195,41 +886,192 @@ async function deleteBook(id) {
     }
 }
 
-// Search Books
-async function handleSearch() {
-    const query = searchInput.value.toLowerCase();
+// Restore Book from the trash
+async function restoreBook(id) {
+    try {
+        const response = await apiFetch(`/books/${id}/restore`, {
+            method: 'POST'
+        });
+
+        if (response.ok) {
+            loadBooks();
+            refreshTrash();
+            showNotification('Book restored successfully!', 'success');
+        } else if (response.status === 409) {
+            showNotification('Cannot restore: another book now uses this ISBN', 'error');
+        } else {
+            throw new Error('Failed to restore book');
+        }
+    } catch (error) {
+        console.error('Error restoring book:', error);
+        showNotification('Error restoring book', 'error');
+    }
+}
+
+// Purge Book: the only delete that cannot be undone, so it still asks first
+async function purgeBook(id) {
+    if (!confirm('Permanently delete this book? This cannot be undone.')) return;
+
+    try {
+        const response = await apiFetch(`/books/trash/${id}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            loadTrash();
+            showNotification('Book permanently deleted', 'success');
+        } else if (response.status === 409) {
+            showNotification('Cannot purge: the book is referenced by existing orders', 'error');
+        } else {
+            throw new Error('Failed to purge book');
+        }
+    } catch (error) {
+        console.error('Error purging book:', error);
+        showNotification('Error purging book', 'error');
+    }
+}
+
+function toggleTrash() {
+    trashSection.hidden = !trashSection.hidden;
+    if (!trashSection.hidden) {
+        loadTrash();
+        trashSection.scrollIntoView({ behavior: 'smooth' });
+    }
+}
+
+function refreshTrash() {
+    if (!trashSection.hidden) loadTrash();
+}
+
+// Load the most recently deleted books into the trash view
+async function loadTrash() {
+    trashList.innerHTML = '<li class="meta">Loading trash...</li>';
+
+    try {
+        const response = await apiFetch(`/books/trash?limit=${TRASH_PAGE_SIZE}`);
+        if (!response.ok) throw new Error('Failed to load trash');
+        const { data: books, pagination } = await response.json();
+
+        trashInfo.textContent = pagination.total > books.length
+            ? `Showing the ${books.length} most recently deleted of ${pagination.total} books.`
+            : '';
+        if (books.length === 0) {
+            trashList.innerHTML = '<li class="meta">The trash is empty.</li>';
+            return;
+        }
+
+        trashList.innerHTML = books.map(book => `
+            <li>
+                <div>
+                    <strong>${escapeHtml(book.title)}</strong> by ${escapeHtml(book.author)}
+                    <div class="meta">
+                        Deleted ${new Date(book.deleted_at).toLocaleString()}
+                        by ${escapeHtml(book.deleted_by ? book.deleted_by.username : 'unknown')}
+                        ${book.purge_at ? ` · purged after ${new Date(book.purge_at).toLocaleDateString()}` : ''}
+                    </div>
+                </div>
+                <div class="actions">
+                    <button class="btn btn-edit" onclick="restoreBook(${book.id})">↩️ Restore</button>
+                    ${hasRole('admin') ? `<button class="btn btn-danger" onclick="purgeBook(${book.id})">Delete forever</button>` : ''}
+                </div>
+            </li>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        trashList.innerHTML = '<li class="meta">❌ Could not load the trash.</li>';
+    }
+}
 
-    if (query.length === 0) {
+// Search Books (debounced, filtered server-side)
+function handleSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+        listState.q = searchInput.value.trim();
+        listState.page = 1;
         loadBooks();
-        return;
+    }, 300);
+}
+
+// Sort Books
+function handleSortChange() {
+    const [sort, order] = sortSelect.value.split(':');
+    listState.sort = sort;
+    listState.order = order;
+    listState.page = 1;
+    loadBooks();
+}
+
+// Export Catalogue (download through fetch so the auth header is sent)
+async function exportBooks(format) {
+    try {
+        const params = new URLSearchParams({ format, sort: listState.sort, order: listState.order });
+        if (listState.q) params.set('q', listState.q);
+
+        const response = await apiFetch(`/books/export?${params}`);
+        if (!response.ok) throw new Error('Failed to export books');
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : `books.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error exporting books:', error);
+        showNotification('Error exporting books', 'error');
     }
+}
+
+// Import Catalogue: dry run first, then confirm the real import
+async function handleImport() {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+
+    const contentType = file.name.toLowerCase().endsWith('.json') ? 'application/json' : 'text/csv';
+    const upload = (query) => apiFetch(`/books/import?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body: file
+    });
 
     try {
-        const response = await fetch(`${API_URL}/books`);
-        const books = await response.json();
+        const preview = await (await upload('dryRun=true')).json();
+        if (preview.error) throw new Error(preview.error);
 
-        const filtered = books.filter(book =>
-            book.title.toLowerCase().includes(query) ||
-            book.author.toLowerCase().includes(query)
-        );
+        const { created, updated, skipped, errors } = preview.summary;
+        const problems = preview.rows
+            .filter(row => row.status === 'error')
+            .slice(0, 5)
+            .map(row => `Row ${row.row}: ${row.errors.map(detail => `${detail.field} ${detail.message}`).join('; ')}`)
+            .join('\n');
+        const message = `Import ${file.name}?\n\n${created} to create, ${updated} to update, ${skipped} to skip, ${errors} with errors.`
+            + (problems ? `\n\n${problems}` : '');
 
-        if (filtered.length === 0) {
-            booksContainer.innerHTML = '<div class="no-books">🔍 No books found matching your search.</div>';
-        } else {
-            displayBooks(filtered);
+        if (created + updated === 0) {
+            alert(`${message}\n\nNothing to import.`);
+            return;
         }
+        if (!confirm(message)) return;
 
-        bookCount.textContent = `${filtered.length} book${filtered.length !== 1 ? 's' : ''} found`;
+        const report = await (await upload('dryRun=false')).json();
+        if (report.error) throw new Error(report.error);
+
+        loadBooks();
+        showNotification(`Imported: ${report.summary.created} created, ${report.summary.updated} updated`, 'success');
     } catch (error) {
-        console.error('Error searching books:', error);
+        console.error('Error importing books:', error);
+        showNotification(`Error importing books: ${error.message}`, 'error');
     }
 }
 
-// Utility: Escape HTML
+// Utility: Escape HTML, quotes included so the result is safe in attribute values too
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 // Show Notification
@@ -258,6 +1100,24 @@ function showNotification(message, type) {
     }, 3000);
 }
 
+// Show a message with an Undo button until it is clicked or UNDO_TIMEOUT_MS passes
+function showUndoToast(message, undo) {
+    document.querySelector('.undo-toast')?.remove();
+
+    const toast = document.createElement('div');
+    toast.className = 'undo-toast';
+    toast.setAttribute('role', 'status');
+    toast.innerHTML = `<span>${escapeHtml(message)}</span><button type="button">Undo</button>`;
+
+    const timer = setTimeout(() => toast.remove(), UNDO_TIMEOUT_MS);
+    toast.querySelector('button').addEventListener('click', () => {
+        clearTimeout(timer);
+        toast.remove();
+        undo();
+    });
+    document.body.appendChild(toast);
+}
+
 // Add CSS animation
 const style = document.createElement('style');
 style.textContent = `
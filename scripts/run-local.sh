@@ -56,6 +56,9 @@ podman run -d --name backend --network bookstore-net \
   -e DB_PASSWORD=securepassword123 \
   -e DB_NAME=bookstore \
   -e REDIS_HOST=redis \
+  -e JWT_SECRET=local-dev-jwt-secret \
+  -e ADMIN_USERNAME=admin \
+  -e ADMIN_PASSWORD=changeme-admin-123 \
   -p 3000:3000 \
   bookstore-backend:v1.0
 
@@ -78,6 +81,7 @@ echo "   Frontend: http://localhost:8080"
 echo "   Backend API: http://localhost:3000"
 echo "   MySQL: localhost:3306 (user: bookstore, password: securepassword123)"
 echo "   Redis: localhost:6379"
+echo "   Login: admin / changeme-admin-123"
 echo ""
 echo "📝 View logs:"
 echo "   podman logs -f backend"
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Stub webhook receiver for local testing
+ * Prints every delivery it receives and checks its X-Bookstore-Signature.
+ *
+ *   WEBHOOK_SECRET=<secret from POST /api/webhooks> node scripts/webhook-receiver.js [port]
+ *
+ * FAIL_FIRST=n answers the first n requests with 500 to exercise retries.
+ * Uses only Node.js built-ins, so it runs without npm install.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.argv[2]) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.FAIL_FIRST) || 0;
+
+function verifySignature(headers, body) {
+    const timestamp = headers['x-bookstore-timestamp'];
+    const signature = headers['x-bookstore-signature'] || '';
+    const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+    return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const signature = SECRET ? (verifySignature(req.headers, body) ? '✅ valid' : '❌ INVALID') : '(not checked: WEBHOOK_SECRET unset)';
+        console.log(`\n📨 ${req.headers['x-bookstore-event']} delivery ${req.headers['x-bookstore-delivery']}  signature ${signature}`);
+        console.log(body);
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`↩️  answering 500 (${failuresLeft} more failures to go)`);
+            res.writeHead(500).end();
+            return;
+        }
+        res.writeHead(SECRET && signature !== '✅ valid' ? 401 : 204).end();
+    });
+}).listen(PORT, () => {
+    console.log(`🪝 Webhook receiver listening on http://localhost:${PORT}`);
+});